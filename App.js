@@ -30,6 +30,12 @@ import {
 import HomeScreen from './screens/HomeScreen';
 import SeatAvailabilityScreen from './screens/SeatAvailabilityScreen';
 import SeatAvailabilityResultsScreen from './screens/SeatAvailabilityResultsScreen';
+import CorridorResultsScreen from './screens/CorridorResultsScreen';
+import ConnectionResultsScreen from './screens/ConnectionResultsScreen';
+import MatrixSweepResultsScreen from './screens/MatrixSweepResultsScreen';
+import AvailabilityScanResultsScreen from './screens/AvailabilityScanResultsScreen';
+import RoundTripResultsScreen from './screens/RoundTripResultsScreen';
+import SeatWatchScreen from './screens/SeatWatchScreen';
 import SettingsScreen from './screens/SettingsScreen';
 import MatrixResultsScreen from './screens/MatrixResultsScreen';
 import RailwayAccountScreen from './screens/RailwayAccountScreen';
@@ -37,10 +43,14 @@ import AboutScreen from './screens/AboutScreen';
 import TermsScreen from './screens/TermsScreen';
 import PrivacyPolicyScreen from './screens/PrivacyPolicyScreen';
 import { theme } from './theme';
+import { registerSeatWatchTask, startSeatWatchPolling } from './utils/seatWatch';
 
 const Tab = createBottomTabNavigator();
 const Stack = createNativeStackNavigator();
 
+// Seat alert handler and background check
+registerSeatWatchTask();
+
 // Custom Tab Icon Component with M3 Design and Animation
 const TabIcon = ({ focused, iconName, size, color }) => {
   const opacityAnim = useRef(new Animated.Value(focused ? 1 : 0)).current;
@@ -261,6 +271,9 @@ export default function App() {
     'PlusJakartaSans-ExtraBold-Italic': PlusJakartaSans_800ExtraBold_Italic,
   });
 
+  // Check saved seat watches while the app is open (the background task covers the rest)
+  useEffect(() => startSeatWatchPolling(), []);
+
   if (!fontsLoaded) {
     return null;
   }
@@ -308,6 +321,54 @@ export default function App() {
                 headerBackTitle: 'Back',
               }}
             />
+            <Stack.Screen 
+              name="CorridorResults" 
+              component={CorridorResultsScreen}
+              options={{
+                title: 'Compare Trains',
+                headerBackTitle: 'Back',
+              }}
+            />
+            <Stack.Screen 
+              name="ConnectionResults" 
+              component={ConnectionResultsScreen}
+              options={{
+                title: 'Change Trains',
+                headerBackTitle: 'Back',
+              }}
+            />
+            <Stack.Screen 
+              name="MatrixSweepResults" 
+              component={MatrixSweepResultsScreen}
+              options={{
+                title: 'Seats by Date',
+                headerBackTitle: 'Back',
+              }}
+            />
+            <Stack.Screen 
+              name="AvailabilityScanResults" 
+              component={AvailabilityScanResultsScreen}
+              options={{
+                title: 'Best Day to Travel',
+                headerBackTitle: 'Back',
+              }}
+            />
+            <Stack.Screen 
+              name="RoundTripResults" 
+              component={RoundTripResultsScreen}
+              options={{
+                title: 'Round Trip',
+                headerBackTitle: 'Back',
+              }}
+            />
+            <Stack.Screen 
+              name="SeatWatches" 
+              component={SeatWatchScreen}
+              options={{
+                title: 'Seat Watches',
+                headerBackTitle: 'Back',
+              }}
+            />
             <Stack.Screen 
               name="RailwayAccount" 
               component={RailwayAccountScreen}
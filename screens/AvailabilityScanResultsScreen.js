@@ -0,0 +1,407 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  Chip,
+} from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+import { SCAN_DATE_STATUS, summarizeScanDate, findBestScanDate } from '../utils/availabilityScan';
+
+const TRAIN_COLUMN_WIDTH = 130;
+const DATE_COLUMN_WIDTH = 76;
+
+// Cell text for dates without seat data
+const STATUS_LABELS = {
+  [SCAN_DATE_STATUS.NO_TRAINS]: 'No trains',
+  [SCAN_DATE_STATUS.NOT_OPEN]: 'Not open',
+  [SCAN_DATE_STATUS.FAILED]: 'Failed',
+};
+
+/**
+ * Short column label for a date: "21-Oct-2026" becomes "21 Oct"
+ * @param {string} date - Date in DD-MMM-YYYY format
+ * @returns {string}
+ */
+const formatColumnDate = (date) => date.split('-').slice(0, 2).join(' ');
+
+const AvailabilityScanResultsScreen = ({ route, navigation }) => {
+  const { scanData } = route.params;
+  const { origin, destination, seatTypes, trainNames, dates } = scanData;
+  const [seatTypeFilter, setSeatTypeFilter] = useState(null); // null = every class
+
+  const bestEntry = findBestScanDate(scanData, seatTypeFilter);
+  const bestSummary = bestEntry ? summarizeScanDate(bestEntry, seatTypeFilter) : null;
+  const problemDates = dates.filter(entry => entry.error);
+
+  const openDate = (entry) => {
+    if (!entry.availabilityData) return;
+    navigation.navigate('SeatAvailabilityResults', {
+      availabilityData: entry.availabilityData,
+      origin,
+      destination,
+      date: entry.date,
+      seatClass: 'S_CHAIR'
+    });
+  };
+
+  const renderSummary = () => (
+    <Surface style={styles.infoCard} elevation={2}>
+      <Text variant="titleLarge" style={styles.routeTitle}>
+        {origin} → {destination}
+      </Text>
+      <View style={styles.infoRow}>
+        <Ionicons name="calendar" size={18} color="#006747" />
+        <Text style={styles.infoText}>
+          {dates[0].date} to {dates[dates.length - 1].date} · {dates.length} days
+        </Text>
+      </View>
+      <View style={styles.infoRow}>
+        <Ionicons name={bestEntry ? 'star' : 'alert-circle-outline'} size={18} color="#006747" />
+        <Text style={styles.infoText}>
+          {bestEntry
+            ? `Best day: ${bestEntry.date} · ${bestSummary.available} seats on ${bestSummary.trainCount} train${bestSummary.trainCount === 1 ? '' : 's'}`
+            : `No seats online on any date${seatTypeFilter ? ` in ${seatTypeFilter}` : ''}`}
+        </Text>
+      </View>
+    </Surface>
+  );
+
+  const renderFilter = () => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.filterRow}
+    >
+      {[null, ...seatTypes].map(seatType => (
+        <Chip
+          key={seatType || 'all'}
+          selected={seatTypeFilter === seatType}
+          onPress={() => setSeatTypeFilter(seatType)}
+          style={[styles.filterChip, seatTypeFilter === seatType && styles.filterChipSelected]}
+          textStyle={styles.filterChipText}
+          compact
+        >
+          {seatType || 'All Classes'}
+        </Chip>
+      ))}
+    </ScrollView>
+  );
+
+  const renderStatusCell = (entry, key) => (
+    <View key={key} style={[styles.gridCell, styles.statusCell]}>
+      <Text style={styles.statusCellText}>{STATUS_LABELS[entry.status]}</Text>
+    </View>
+  );
+
+  const renderTotalCell = (entry) => {
+    if (entry.status !== SCAN_DATE_STATUS.OK) return renderStatusCell(entry, entry.date);
+
+    const summary = summarizeScanDate(entry, seatTypeFilter);
+    return (
+      <TouchableOpacity
+        key={entry.date}
+        style={[styles.gridCell, styles.totalCell, entry === bestEntry && styles.bestCell]}
+        onPress={() => openDate(entry)}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.cellSeats}>{summary.available}</Text>
+        <Text style={styles.cellDetail}>{summary.issued} issued</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderTrainCell = (entry, tripNumber) => {
+    const key = `${entry.date}-${tripNumber}`;
+    if (entry.status !== SCAN_DATE_STATUS.OK) return renderStatusCell(entry, key);
+
+    const train = entry.trains[tripNumber];
+    const classes = train
+      ? (seatTypeFilter ? [train.classes[seatTypeFilter]].filter(Boolean) : Object.values(train.classes))
+      : [];
+
+    // Not running that day, or not selling the chosen class
+    if (classes.length === 0) {
+      return (
+        <View key={key} style={[styles.gridCell, styles.emptyCell]}>
+          <Text style={styles.emptyCellText}>—</Text>
+        </View>
+      );
+    }
+
+    const available = classes.reduce((sum, summary) => sum + summary.available, 0);
+    const issued = classes.reduce((sum, summary) => sum + summary.issued, 0);
+    const unavailable = classes.every(summary => summary.unavailable);
+
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[
+          styles.gridCell,
+          available > 0 ? styles.availableCell : styles.soldOutCell,
+          entry === bestEntry && styles.bestCell
+        ]}
+        onPress={() => openDate(entry)}
+        activeOpacity={0.7}
+      >
+        {unavailable ? (
+          <Text style={styles.statusCellText}>No info</Text>
+        ) : (
+          <>
+            <Text style={[styles.cellSeats, available === 0 && styles.soldOutSeats]}>{available}</Text>
+            <Text style={styles.cellDetail}>{issued} issued</Text>
+          </>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {renderSummary()}
+      {renderFilter()}
+
+      <Surface style={styles.gridCard} elevation={2}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          <View>
+            <View style={styles.gridRow}>
+              <View style={[styles.trainCell, styles.headerCell]}>
+                <Text style={styles.headerCellText}>Train</Text>
+              </View>
+              {dates.map(entry => (
+                <TouchableOpacity
+                  key={entry.date}
+                  style={[styles.gridCell, styles.headerCell, entry === bestEntry && styles.bestHeaderCell]}
+                  onPress={() => openDate(entry)}
+                  disabled={!entry.availabilityData}
+                >
+                  {entry === bestEntry && <Ionicons name="star" size={12} color="#FACC15" />}
+                  <Text style={styles.headerCellText}>{formatColumnDate(entry.date)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.gridRow}>
+              <View style={[styles.trainCell, styles.totalTrainCell]}>
+                <Text style={styles.trainCellText}>All trains</Text>
+              </View>
+              {dates.map(renderTotalCell)}
+            </View>
+
+            {trainNames.map(tripNumber => (
+              <View key={tripNumber} style={styles.gridRow}>
+                <View style={styles.trainCell}>
+                  <Text style={styles.trainCellText} numberOfLines={2}>{tripNumber}</Text>
+                </View>
+                {dates.map(entry => renderTrainCell(entry, tripNumber))}
+              </View>
+            ))}
+          </View>
+        </ScrollView>
+      </Surface>
+
+      {problemDates.length > 0 && (
+        <Surface style={styles.problemCard} elevation={1}>
+          {problemDates.map(entry => (
+            <View key={entry.date} style={styles.problemRow}>
+              <Ionicons
+                name={entry.status === SCAN_DATE_STATUS.FAILED ? 'alert-circle-outline' : 'time-outline'}
+                size={16}
+                color={entry.status === SCAN_DATE_STATUS.FAILED ? '#DC2626' : '#B45309'}
+              />
+              <Text style={styles.problemText}>{entry.date}: {entry.error.message}</Text>
+            </View>
+          ))}
+        </Surface>
+      )}
+
+      <Text style={styles.legendText}>
+        Cells show seats available online and seats already issued. Tap a date to open its seat info.
+      </Text>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7F9FC',
+  },
+  content: {
+    paddingBottom: 24,
+  },
+
+  // Summary Card
+  infoCard: {
+    margin: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  routeTitle: {
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+    marginLeft: 8,
+  },
+
+  // Seat Class Filter
+  filterRow: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+  },
+  filterChip: {
+    marginRight: 6,
+    backgroundColor: '#F0F8F5',
+  },
+  filterChipSelected: {
+    backgroundColor: '#CFE9D9',
+  },
+  filterChipText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+  },
+
+  // Train by Date Grid
+  gridCard: {
+    marginHorizontal: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+    overflow: 'hidden',
+  },
+  gridRow: {
+    flexDirection: 'row',
+  },
+  headerCell: {
+    backgroundColor: '#006747',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  bestHeaderCell: {
+    backgroundColor: '#004D35',
+  },
+  headerCellText: {
+    color: '#FFFFFF',
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    fontSize: 11,
+    textAlign: 'center',
+  },
+  trainCell: {
+    width: TRAIN_COLUMN_WIDTH,
+    padding: 8,
+    borderRightWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+    justifyContent: 'center',
+  },
+  totalTrainCell: {
+    backgroundColor: '#F0F8F5',
+  },
+  trainCellText: {
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+  },
+  gridCell: {
+    width: DATE_COLUMN_WIDTH,
+    minHeight: 48,
+    padding: 6,
+    borderRightWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  totalCell: {
+    backgroundColor: '#F0F8F5',
+  },
+  availableCell: {
+    backgroundColor: '#ECFDF5',
+  },
+  soldOutCell: {
+    backgroundColor: '#FFFFFF',
+  },
+  bestCell: {
+    borderLeftWidth: 2,
+    borderRightWidth: 2,
+    borderColor: '#006747',
+  },
+  emptyCell: {
+    backgroundColor: '#F9FAFB',
+  },
+  emptyCellText: {
+    color: '#9CA3AF',
+  },
+  statusCell: {
+    backgroundColor: '#F3F4F6',
+  },
+  statusCellText: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+  cellSeats: {
+    fontSize: 15,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  soldOutSeats: {
+    color: '#9CA3AF',
+  },
+  cellDetail: {
+    fontSize: 9,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+  },
+
+  // Dates without results
+  problemCard: {
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  problemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 2,
+  },
+  problemText: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#374151',
+    marginLeft: 6,
+  },
+  legendText: {
+    marginHorizontal: 20,
+    marginTop: 12,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+});
+
+export default AvailabilityScanResultsScreen;
@@ -0,0 +1,300 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  Divider,
+} from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Format a number of minutes as "2h 15m"
+ * @param {number} minutes - Minutes
+ * @returns {string}
+ */
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+/**
+ * Short description of the tickets needed on one train
+ * @param {Object} route - Ticket plan from the route planner
+ * @returns {string}
+ */
+const getTicketSummary = (route) => {
+  const seatTypes = [...new Set(route.segments.map(segment => segment.seatType))].join(' + ');
+  if (route.segments.length === 1) return `1 ticket · ${seatTypes}`;
+  return `${route.segments.length} tickets · ${seatTypes}`;
+};
+
+const ConnectionResultsScreen = ({ route }) => {
+  const { connectionData } = route.params;
+  const {
+    origin,
+    destination,
+    junction,
+    date,
+    minConnectionMinutes,
+    itineraries,
+    firstLegTrainCount,
+    secondLegTrainCount,
+    failureCount
+  } = connectionData;
+
+  const renderSummary = () => (
+    <Surface style={styles.infoCard} elevation={2}>
+      <Text variant="titleLarge" style={styles.routeTitle}>
+        {origin} → {junction} → {destination}
+      </Text>
+      <View style={styles.infoRow}>
+        <Ionicons name="calendar" size={18} color="#006747" />
+        <Text style={styles.infoText}>Journey Date: {date}</Text>
+      </View>
+      <View style={styles.infoRow}>
+        <Ionicons name="time" size={18} color="#006747" />
+        <Text style={styles.infoText}>At least {formatMinutes(minConnectionMinutes)} to change trains</Text>
+      </View>
+      <View style={styles.infoRow}>
+        <Ionicons name="train" size={18} color="#006747" />
+        <Text style={styles.infoText}>
+          {firstLegTrainCount} train{firstLegTrainCount === 1 ? '' : 's'} to {junction}, {secondLegTrainCount} onward
+          {failureCount > 0 ? ` (${failureCount} could not be checked)` : ''}
+        </Text>
+      </View>
+    </Surface>
+  );
+
+  const renderLeg = (leg, index) => (
+    <View key={index} style={styles.legContainer}>
+      <View style={styles.legHeader}>
+        <Ionicons name="train" size={18} color="#006747" />
+        <Text style={styles.legTrainName} numberOfLines={1}>{leg.trainName}</Text>
+        <Text style={styles.legFare}>৳{leg.route.totalFare}</Text>
+      </View>
+      <Text style={styles.legStations}>
+        {leg.from} {leg.departureTime} → {leg.to} {leg.arrivalTime}
+      </Text>
+      <Text style={styles.legDetail}>{leg.date} · {getTicketSummary(leg.route)}</Text>
+      {leg.route.segments.length > 1 && leg.route.segments.map((segment, segmentIndex) => (
+        <Text key={segmentIndex} style={styles.legSegment}>
+          {segment.from} → {segment.to} · {segment.seatType} · ৳{segment.total} · {segment.seats} seat{segment.seats === 1 ? '' : 's'}
+        </Text>
+      ))}
+    </View>
+  );
+
+  const renderItinerary = (itinerary, index) => (
+    <Surface key={index} style={styles.itineraryCard} elevation={1}>
+      <View style={styles.itineraryHeader}>
+        <Text style={styles.itineraryIndex}>#{index + 1}</Text>
+        <Text style={styles.itineraryFare}>৳{itinerary.totalFare}</Text>
+      </View>
+      <Text style={styles.itineraryMeta}>
+        {formatMinutes(itinerary.journeyMinutes)} door to door · {formatMinutes(itinerary.waitingMinutes)} waiting
+        {itinerary.passengers > 1 ? ` · for ${itinerary.passengers}` : ''}
+      </Text>
+      <Divider style={styles.divider} />
+
+      {itinerary.legs.map((leg, legIndex) => (
+        <React.Fragment key={legIndex}>
+          {legIndex > 0 && (
+            <View style={styles.connectionRow}>
+              <Ionicons name="swap-vertical" size={16} color="#B45309" />
+              <Text style={styles.connectionText}>
+                Change at {itinerary.connections[legIndex - 1].station} · wait {formatMinutes(itinerary.connections[legIndex - 1].waitMinutes)}
+              </Text>
+            </View>
+          )}
+          {renderLeg(leg, legIndex)}
+        </React.Fragment>
+      ))}
+    </Surface>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {renderSummary()}
+
+      {itineraries.length > 0 ? (
+        <View style={styles.listContainer}>
+          <Text style={styles.sectionTitle}>Connections</Text>
+          {itineraries.map(renderItinerary)}
+        </View>
+      ) : (
+        <Surface style={styles.emptyCard} elevation={1}>
+          <Ionicons name="alert-circle" size={40} color="#FF9800" />
+          <Text style={styles.emptyTitle}>No Connections Found</Text>
+          <Text style={styles.emptyText}>
+            No pair of trains with seats makes the change at {junction} with {formatMinutes(minConnectionMinutes)} to spare.
+            Try another junction or a shorter connection time.
+          </Text>
+        </Surface>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7F9FC',
+  },
+  content: {
+    paddingBottom: 24,
+  },
+
+  // Summary Card
+  infoCard: {
+    margin: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  routeTitle: {
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+    marginLeft: 8,
+  },
+
+  // Itinerary Cards
+  listContainer: {
+    marginHorizontal: 16,
+    marginTop: 4,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  itineraryCard: {
+    padding: 14,
+    borderRadius: 16,
+    marginBottom: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  itineraryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  itineraryIndex: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#6B7280',
+  },
+  itineraryFare: {
+    fontSize: 18,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  itineraryMeta: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  divider: {
+    backgroundColor: '#DDE5DB',
+    height: 1,
+    marginVertical: 10,
+  },
+  legContainer: {
+    paddingVertical: 4,
+  },
+  legHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legTrainName: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#1F2937',
+    marginLeft: 6,
+  },
+  legFare: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  legStations: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#374151',
+    marginTop: 4,
+  },
+  legDetail: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  legSegment: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#374151',
+    marginTop: 2,
+    marginLeft: 12,
+  },
+  connectionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 8,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#FFFBEB',
+  },
+  connectionText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#B45309',
+    marginLeft: 6,
+  },
+
+  // Empty State
+  emptyCard: {
+    margin: 16,
+    padding: 24,
+    borderRadius: 16,
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+    marginTop: 12,
+  },
+  emptyText: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
+
+export default ConnectionResultsScreen;
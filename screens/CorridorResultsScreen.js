@@ -0,0 +1,437 @@
+import React, { useMemo } from 'react';
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  Divider,
+  Button,
+} from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+
+const TRAIN_COLUMN_WIDTH = 130;
+const SEAT_COLUMN_WIDTH = 92;
+
+/**
+ * Short label for a ticket plan: "Direct" or the number of tickets needed
+ * @param {Object} option - Route from the route planner
+ * @returns {string}
+ */
+const getOptionLabel = (option) => {
+  if (option.type === 'DIRECT') return 'Direct';
+  return `${option.segments.length} tickets`;
+};
+
+/**
+ * Seats left on the tightest ticket of a plan
+ * @param {Object} option - Route from the route planner
+ * @returns {number}
+ */
+const getOptionSeats = (option) => Math.min(...option.segments.map(segment => segment.seats));
+
+const CorridorResultsScreen = ({ route, navigation }) => {
+  const { corridorData } = route.params;
+  const { origin, destination, date, seatTypes, trains } = corridorData;
+
+  // Cheapest direct fare per seat type, to point out the best train in each column
+  const cheapestDirectFare = useMemo(() => {
+    const cheapest = {};
+    seatTypes.forEach(seatType => {
+      trains.forEach(train => {
+        const option = train.seatOptions[seatType];
+        if (option?.type === 'DIRECT' && (cheapest[seatType] === undefined || option.totalFare < cheapest[seatType])) {
+          cheapest[seatType] = option.totalFare;
+        }
+      });
+    });
+    return cheapest;
+  }, [seatTypes, trains]);
+
+  const openTrainMatrix = (train) => {
+    if (!train.matrixData) return;
+    navigation.navigate('MatrixResults', { matrixData: train.matrixData });
+  };
+
+  const renderSummary = () => (
+    <Surface style={styles.infoCard} elevation={2}>
+      <Text variant="titleLarge" style={styles.routeTitle}>
+        {origin} → {destination}
+      </Text>
+      <View style={styles.infoRow}>
+        <Ionicons name="calendar" size={18} color="#006747" />
+        <Text style={styles.infoText}>Journey Date: {date}</Text>
+      </View>
+      <View style={styles.infoRow}>
+        <Ionicons name="train" size={18} color="#006747" />
+        <Text style={styles.infoText}>
+          {trains.length} train{trains.length > 1 ? 's' : ''} compared
+          {corridorData.failureCount > 0 ? ` (${corridorData.failureCount} could not be checked)` : ''}
+        </Text>
+      </View>
+    </Surface>
+  );
+
+  const renderGridCell = (train, seatType) => {
+    const option = train.seatOptions[seatType];
+
+    if (!option) {
+      return (
+        <View key={seatType} style={[styles.gridCell, styles.emptyCell]}>
+          <Text style={styles.emptyCellText}>—</Text>
+        </View>
+      );
+    }
+
+    const isBest = train.bestOption === option;
+    const isCheapest = option.type === 'DIRECT' && option.totalFare === cheapestDirectFare[seatType];
+
+    return (
+      <TouchableOpacity
+        key={seatType}
+        style={[
+          styles.gridCell,
+          option.type === 'DIRECT' ? styles.directCell : styles.segmentedCell,
+          isBest && styles.bestCell
+        ]}
+        onPress={() => openTrainMatrix(train)}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.cellFare}>৳{option.totalFare}</Text>
+        <Text style={styles.cellType}>{getOptionLabel(option)}</Text>
+        <Text style={styles.cellSeats}>
+          {getOptionSeats(option)} seat{getOptionSeats(option) === 1 ? '' : 's'}
+          {isCheapest ? ' · lowest' : ''}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderGrid = () => (
+    <Surface style={styles.gridCard} elevation={2}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <View>
+          <View style={styles.gridRow}>
+            <View style={[styles.trainCell, styles.headerCell]}>
+              <Text style={styles.headerCellText}>Train</Text>
+            </View>
+            {seatTypes.map(seatType => (
+              <View key={seatType} style={[styles.gridCell, styles.headerCell]}>
+                <Text style={styles.headerCellText}>{seatType}</Text>
+              </View>
+            ))}
+          </View>
+
+          {trains.map(train => (
+            <View key={train.trainModel} style={styles.gridRow}>
+              <TouchableOpacity
+                style={styles.trainCell}
+                onPress={() => openTrainMatrix(train)}
+                disabled={!train.matrixData}
+              >
+                <Text style={styles.trainCellName} numberOfLines={2}>{train.trainName}</Text>
+                <Text style={styles.trainCellTime} numberOfLines={1}>{train.departureTime}</Text>
+              </TouchableOpacity>
+              {train.status === 'failed' ? (
+                <View style={[styles.failedRow, { width: SEAT_COLUMN_WIDTH * Math.max(seatTypes.length, 1) }]}>
+                  <Ionicons name="alert-circle-outline" size={16} color="#DC2626" />
+                  <Text style={styles.failedRowText} numberOfLines={2}>{train.error?.message}</Text>
+                </View>
+              ) : train.status === 'sold_out' ? (
+                <View style={[styles.soldOutRow, { width: SEAT_COLUMN_WIDTH * Math.max(seatTypes.length, 1) }]}>
+                  <Ionicons name="remove-circle-outline" size={16} color="#6B7280" />
+                  <Text style={styles.soldOutRowText} numberOfLines={2}>Sold out - no seats on any ticket</Text>
+                </View>
+              ) : (
+                seatTypes.map(seatType => renderGridCell(train, seatType))
+              )}
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+    </Surface>
+  );
+
+  const renderBestOptions = () => (
+    <View style={styles.bestContainer}>
+      <Text style={styles.sectionTitle}>Best Option per Train</Text>
+      {trains.map(train => {
+        const option = train.bestOption;
+        return (
+          <Surface key={train.trainModel} style={styles.bestCard} elevation={1}>
+            <Text style={styles.bestTrainName}>{train.trainName}</Text>
+            <Text style={styles.bestTrainTime}>
+              {train.departureTime} → {train.arrivalTime}
+            </Text>
+            <Divider style={styles.divider} />
+
+            {option ? (
+              <>
+                <View style={styles.bestHeader}>
+                  <Ionicons
+                    name={option.type === 'DIRECT' ? 'arrow-forward' : 'git-branch'}
+                    size={18}
+                    color="#006747"
+                  />
+                  <Text style={styles.bestHeaderText}>
+                    {option.type === 'DIRECT' ? 'Direct' : 'Segmented'} · {option.seatType}
+                  </Text>
+                  <Text style={styles.bestFare}>৳{option.totalFare}</Text>
+                </View>
+                {option.segments.map((segment, index) => (
+                  <Text key={index} style={styles.bestSegment}>
+                    {segment.from} → {segment.to} · ৳{segment.total} · {segment.seats} seat{segment.seats === 1 ? '' : 's'}
+                  </Text>
+                ))}
+                <Button
+                  mode="text"
+                  compact
+                  onPress={() => openTrainMatrix(train)}
+                  style={styles.matrixLink}
+                >
+                  Open Matrix
+                </Button>
+              </>
+            ) : (
+              <Text style={styles.noOptionText}>
+                {train.status === 'failed'
+                  ? train.error?.message
+                  : train.status === 'sold_out'
+                    ? `Sold out from ${origin} to ${destination} on this train.`
+                    : `No tickets from ${origin} to ${destination} on this train.`}
+              </Text>
+            )}
+          </Surface>
+        );
+      })}
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {renderSummary()}
+      {renderGrid()}
+      {renderBestOptions()}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7F9FC',
+  },
+  content: {
+    paddingBottom: 24,
+  },
+
+  // Summary Card
+  infoCard: {
+    margin: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  routeTitle: {
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  infoText: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+    marginLeft: 8,
+  },
+
+  // Comparison Grid
+  gridCard: {
+    marginHorizontal: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+    overflow: 'hidden',
+  },
+  gridRow: {
+    flexDirection: 'row',
+  },
+  headerCell: {
+    backgroundColor: '#006747',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerCellText: {
+    color: '#FFFFFF',
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    fontSize: 11,
+    textAlign: 'center',
+  },
+  trainCell: {
+    width: TRAIN_COLUMN_WIDTH,
+    padding: 8,
+    borderRightWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+    justifyContent: 'center',
+  },
+  trainCellName: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+  },
+  trainCellTime: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  gridCell: {
+    width: SEAT_COLUMN_WIDTH,
+    minHeight: 64,
+    padding: 6,
+    borderRightWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyCell: {
+    backgroundColor: '#F9FAFB',
+  },
+  emptyCellText: {
+    color: '#9CA3AF',
+  },
+  directCell: {
+    backgroundColor: '#ECFDF5',
+  },
+  segmentedCell: {
+    backgroundColor: '#FFFBEB',
+  },
+  bestCell: {
+    borderWidth: 2,
+    borderColor: '#006747',
+  },
+  cellFare: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+  },
+  cellType: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+  },
+  cellSeats: {
+    fontSize: 9,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+  },
+  failedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    backgroundColor: '#FEF2F2',
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+  },
+  failedRowText: {
+    flex: 1,
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#DC2626',
+    marginLeft: 6,
+  },
+  soldOutRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    backgroundColor: '#F3F4F6',
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+  },
+  soldOutRowText: {
+    flex: 1,
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#6B7280',
+    marginLeft: 6,
+  },
+
+  // Best Option Cards
+  bestContainer: {
+    marginHorizontal: 16,
+    marginTop: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  bestCard: {
+    padding: 14,
+    borderRadius: 16,
+    marginBottom: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  bestTrainName: {
+    fontSize: 15,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+  },
+  bestTrainTime: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  divider: {
+    backgroundColor: '#DDE5DB',
+    height: 1,
+    marginVertical: 10,
+  },
+  bestHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  bestHeaderText: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+    marginLeft: 6,
+  },
+  bestFare: {
+    fontSize: 16,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  bestSegment: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#374151',
+    marginTop: 2,
+  },
+  matrixLink: {
+    alignSelf: 'flex-end',
+    marginTop: 4,
+  },
+  noOptionText: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#6B7280',
+  },
+});
+
+export default CorridorResultsScreen;
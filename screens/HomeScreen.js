@@ -29,10 +29,22 @@ import {
   Icon,
   ProgressBar,
   ActivityIndicator,
+  Chip,
 } from 'react-native-paper';
 import { Calendar } from 'react-native-calendars';
-import { computeMatrix } from '../utils/matrixCalculator';
-import { extractTrainModel, parseDateString, searchTrainsBetweenStations } from '../utils/railwayAPI';
+import { prepareMatrix, getSelectedPairs, restrictMatrixToStations } from '../utils/matrixCalculator';
+import { extractTrainModel, formatDateForAPI, parseDateString, searchTrainsBetweenStations } from '../utils/railwayAPI';
+import { computeMatrixSweep } from '../utils/matrixSweep';
+import { computeRoundTrip, findReturnTrains } from '../utils/roundTrip';
+import { describeError, isCanceledError } from '../utils/railwayErrors';
+import {
+  getReleaseSchedule,
+  getTrainZone,
+  formatCountdown,
+  formatBangladeshTime,
+  ZONE_LABELS,
+  AUTO_CHECK_DELAY_MS,
+} from '../utils/releaseSchedule';
 import { useNavigation } from '@react-navigation/native';
 import { checkForUpdate, openUpdateUrl } from '../utils/updateChecker';
 import { checkForNotice, dismissNotice } from '../utils/noticeChecker';
@@ -100,6 +112,11 @@ export default function HomeScreen() {
   const [customTrainName, setCustomTrainName] = useState('');
   const [journeyDate, setJourneyDate] = useState('');
   const [selectedDateString, setSelectedDateString] = useState(''); // Store the raw date string
+  const [isRoundTrip, setIsRoundTrip] = useState(false);
+  const [returnDate, setReturnDate] = useState('');
+  const [returnDateString, setReturnDateString] = useState('');
+  const [datePickerTarget, setDatePickerTarget] = useState('journey'); // 'journey' | 'return'
+  const [loadingMode, setLoadingMode] = useState('matrix'); // 'matrix' | 'roundTrip'
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [currentMonth, setCurrentMonth] = useState(new Date().toISOString().slice(0, 7)); // YYYY-MM format
   const [showErrorDialog, setShowErrorDialog] = useState(false);
@@ -110,6 +127,8 @@ export default function HomeScreen() {
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [abortController, setAbortController] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [autoCheckAt, setAutoCheckAt] = useState(null);
   const [keyboardType, setKeyboardType] = useState('default');
 
   // Train Search related state
@@ -140,6 +159,14 @@ export default function HomeScreen() {
   const [stations, setStations] = useState([]);
   const [isLoadingData, setIsLoadingData] = useState(true);
 
+  // Matrix station selection states - shown once the train route is known
+  const [preparedMatrix, setPreparedMatrix] = useState(null);
+  const [stationSelectMode, setStationSelectMode] = useState('all'); // 'all' | 'subset' | 'segment'
+  const [selectedBoardingStations, setSelectedBoardingStations] = useState([]);
+  const [sweepStartDate, setSweepStartDate] = useState(null); // YYYY-MM-DD, first day of Check Dates
+  const [sweepEndDate, setSweepEndDate] = useState(null); // YYYY-MM-DD, last day of Check Dates
+  const [selectedAlightingStations, setSelectedAlightingStations] = useState([]);
+
   // Load Firebase data on mount
   useEffect(() => {
     const loadFirebaseData = async () => {
@@ -424,50 +451,17 @@ export default function HomeScreen() {
       }
     } catch (error) {
       // Handle cancellation
-      if (error.message === 'Search canceled' || controller.signal.aborted) {
+      if (isCanceledError(error) || controller.signal.aborted) {
         console.log('Train search canceled by user');
         setShowTrainSearchResults(false);
         return;
       }
 
-      // Provide more specific error messages following the reference project approach
-      let errorMessage = error.message || 'Failed to search trains. Please try again.';
-      let isCredError = false;
-      
-      // Check for AUTH_TOKEN_EXPIRED and AUTH_DEVICE_KEY_EXPIRED first
-      if (errorMessage === 'AUTH_TOKEN_EXPIRED') {
-        errorMessage = 'Your Auth Token has expired or is invalid (valid for 24 hours). Please update your credentials in Settings with a new token and device key.';
-        isCredError = true;
-      } else if (errorMessage === 'AUTH_DEVICE_KEY_EXPIRED') {
-        errorMessage = 'Your Device Key has expired or is invalid. Please update your credentials in Settings with a new token and device key.';
-        isCredError = true;
-      }
-      // Authentication and credential validation errors
-      else if (errorMessage.includes('INVALID_CREDENTIALS:')) {
-        errorMessage = errorMessage.replace('INVALID_CREDENTIALS: ', '');
-        isCredError = true;
-      } else if (errorMessage.includes('CREDENTIALS_ERROR:')) {
-        errorMessage = errorMessage.replace('CREDENTIALS_ERROR: ', '');
-        isCredError = true;
-      } else if (errorMessage.includes('Authentication failed') || errorMessage.includes('Mobile Number or Password is incorrect')) {
-        errorMessage = 'Authentication failed. Please check your auth token and device key in Settings and ensure they are valid.';
-        isCredError = true;
-      } else if (errorMessage.includes('AUTH_CREDENTIALS_REQUIRED') || errorMessage.includes('Railway account credentials not found')) {
-        errorMessage = 'Railway credentials not found. Please add your credentials in Settings.';
-        isCredError = true;
-      }
-      // Network and connection errors
-      else if (errorMessage.includes('Network request failed') || errorMessage.includes('Failed to fetch')) {
-        errorMessage = 'Network connection failed. Please check your internet connection and try again.';
-      } else if (errorMessage.includes("We couldn't reach the Bangladesh Railway website")) {
-        errorMessage = "We couldn't reach the Bangladesh Railway website. Please check your internet connection and try again.";
-      } else if (errorMessage.includes("We're facing a problem with the Bangladesh Railway website")) {
-        errorMessage = "We're facing a problem with the Bangladesh Railway website. Please try again in a few minutes.";
-      }
-      // Rate limiting
-      else if (errorMessage.includes('Rate limit exceeded')) {
-        errorMessage = 'Too many requests. Please try again in a few minutes.';
-      }
+      // Typed API errors carry their own user-facing message
+      const { message: errorMessage, isCredentialError: isCredError } = describeError(
+        error,
+        'Failed to search trains. Please try again.'
+      );
       
       setErrorMessage(errorMessage);
       setIsCredentialError(isCredError);
@@ -541,6 +535,183 @@ export default function HomeScreen() {
     }, 100);
   };
 
+  // Selection object understood by the matrix calculator
+  const stationSelection = useMemo(() => {
+    if (stationSelectMode === 'segment') {
+      if (selectedBoardingStations.length === 0 || selectedAlightingStations.length === 0) return null;
+      // The segment must run forwards along the route
+      const stations = preparedMatrix?.stations || [];
+      const fromIndex = stations.indexOf(selectedBoardingStations[0]);
+      if (fromIndex === -1 || fromIndex >= stations.indexOf(selectedAlightingStations[0])) return null;
+      return { segment: { from: selectedBoardingStations[0], to: selectedAlightingStations[0] } };
+    }
+    if (stationSelectMode === 'subset') {
+      return { origins: selectedBoardingStations, destinations: selectedAlightingStations };
+    }
+    return null;
+  }, [preparedMatrix, stationSelectMode, selectedBoardingStations, selectedAlightingStations]);
+
+  const selectedPairCount = useMemo(() => {
+    if (!preparedMatrix) return 0;
+    if (stationSelectMode === 'segment' && !stationSelection) return 0;
+    return getSelectedPairs(preparedMatrix.stations, stationSelection).length;
+  }, [preparedMatrix, stationSelectMode, stationSelection]);
+
+  const toggleStationSelection = (station, selected, setSelected) => {
+    if (stationSelectMode === 'segment') {
+      setSelected(selected[0] === station ? [] : [station]);
+      // Moving the start to or past the end drops the end, which is no longer listed
+      if (setSelected === setSelectedBoardingStations && selectedAlightingStations.length > 0) {
+        const { stations } = preparedMatrix;
+        if (stations.indexOf(station) >= stations.indexOf(selectedAlightingStations[0])) {
+          setSelectedAlightingStations([]);
+        }
+      }
+    } else {
+      setSelected(selected.includes(station)
+        ? selected.filter(s => s !== station)
+        : [...selected, station]);
+    }
+  };
+
+  const handleStationSelectConfirm = () => {
+    const matrixData = restrictMatrixToStations(preparedMatrix, stationSelection);
+    setPreparedMatrix(null);
+
+    // Navigate to results screen
+    navigation.navigate('MatrixResults', { matrixData, loadSeats: true });
+  };
+
+  // Every bookable day, today through the end of the booking window, in YYYY-MM-DD format
+  const getBookingWindowDates = () => {
+    const dates = [];
+    const firstDate = getMinDate();
+    const lastDate = getMaxDate();
+    const cursor = new Date(`${firstDate}T00:00:00Z`);
+    for (let dateString = firstDate; dateString <= lastDate;) {
+      dates.push(dateString);
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+      dateString = cursor.toISOString().split('T')[0];
+    }
+    return dates;
+  };
+
+  // Chosen Check Dates range, in DD-MMM-YYYY format
+  const getSweepDates = () => getBookingWindowDates()
+    .filter(dateString => dateString >= sweepStartDate && dateString <= sweepEndDate)
+    .map(formatDateForAPI);
+
+  // Keep the range in order: moving one end past the other moves both
+  const handleSweepStartPress = (dateString) => {
+    setSweepStartDate(dateString);
+    if (dateString > sweepEndDate) setSweepEndDate(dateString);
+  };
+
+  const handleSweepEndPress = (dateString) => {
+    setSweepEndDate(dateString);
+    if (dateString < sweepStartDate) setSweepStartDate(dateString);
+  };
+
+  const handleSweepDates = async () => {
+    const { trainModel } = preparedMatrix;
+    const selection = stationSelection;
+    const dates = getSweepDates();
+    setPreparedMatrix(null);
+
+    setLoadingMode('matrix');
+    setIsLoading(true);
+    setLoadingProgress(0);
+    setLoadingMessage('Starting...');
+
+    const controller = new AbortController();
+    setAbortController(controller);
+
+    try {
+      const onProgress = (message, progress) => {
+        console.log('Progress:', message, progress + '%');
+        setLoadingMessage(message);
+        setLoadingProgress(progress / 100);
+      };
+
+      const sweepData = await computeMatrixSweep(trainModel, dates, onProgress, controller.signal, selection);
+
+      if (controller.signal.aborted) {
+        console.log('Request was cancelled, not navigating');
+        return;
+      }
+
+      setIsLoading(false);
+      setAbortController(null);
+
+      navigation.navigate('MatrixSweepResults', { sweepData });
+    } catch (error) {
+      setIsLoading(false);
+      setAbortController(null);
+      console.error('Date sweep error:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Request was cancelled by user');
+        return;
+      }
+
+      const { message: displayMessage, isCredentialError: isCredError } = describeError(
+        error,
+        'Failed to check the dates. Please try again.'
+      );
+
+      setErrorMessage(displayMessage);
+      setIsCredentialError(isCredError);
+      setShowErrorDialog(true);
+    }
+  };
+
+  const renderSweepDateChips = (title, selectedDate, onSelect) => (
+    <View style={styles.sweepDateRow}>
+      <Text style={styles.stationSelectColumnTitle}>{title}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} nestedScrollEnabled={true}>
+        {getBookingWindowDates().map(dateString => (
+          <Chip
+            key={dateString}
+            selected={selectedDate === dateString}
+            onPress={() => onSelect(dateString)}
+            style={[styles.sweepDateChip, selectedDate === dateString && styles.sweepDateChipSelected]}
+            textStyle={styles.sweepDateChipText}
+            compact
+          >
+            {formatDateForAPI(dateString).slice(0, 6).replace('-', ' ')}
+          </Chip>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  const renderStationChoices = (title, choices, selected, setSelected) => (
+    <View style={styles.stationSelectColumn}>
+      <Text style={styles.stationSelectColumnTitle}>{title}</Text>
+      <ScrollView style={styles.stationSelectList} nestedScrollEnabled={true}>
+        {choices.map(station => {
+          const isSelected = selected.includes(station);
+          return (
+            <TouchableOpacity
+              key={station}
+              style={[styles.stationSelectItem, isSelected && styles.stationSelectItemSelected]}
+              onPress={() => toggleStationSelection(station, selected, setSelected)}
+            >
+              <Icon
+                source={stationSelectMode === 'segment'
+                  ? (isSelected ? 'radiobox-marked' : 'radiobox-blank')
+                  : (isSelected ? 'checkbox-marked' : 'checkbox-blank-outline')}
+                color={isSelected ? '#006747' : '#8F9E8D'}
+                size={18}
+              />
+              <Text style={styles.stationSelectItemText} numberOfLines={2}>{station}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+
   const handleCancelRequest = () => {
     if (abortController) {
       abortController.abort();
@@ -551,25 +722,23 @@ export default function HomeScreen() {
     setLoadingMessage('');
   };
 
-  const handleViewSeatMatrix = async () => {
-    // Dismiss keyboard when button is pressed
-    Keyboard.dismiss();
-    
+  // Show the matching error dialog and return false when the matrix cannot be requested
+  const validateMatrixInputs = async () => {
     if (!trainName && !journeyDate) {
       setErrorMessage('Please fill in train name and journey date');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!trainName) {
       setErrorMessage('Please fill in train name');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!journeyDate) {
       setErrorMessage('Please fill in journey date');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     }
 
     // Check if credentials are set up
@@ -580,16 +749,33 @@ export default function HomeScreen() {
         setErrorMessage('Please set up your Bangladesh Railway account credentials in Settings first.');
         setIsCredentialError(true);
         setShowErrorDialog(true);
-        return;
+        return false;
       }
     } catch (credError) {
       console.error('Credential check error:', credError);
       setErrorMessage('Please set up your Bangladesh Railway account credentials in Settings first.');
       setIsCredentialError(true);
       setShowErrorDialog(true);
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Load the train route and open the seat matrix
+   * @param {boolean} skipStationSelect - Go straight to every station pair, as the
+   *   automatic check at sale opening does, instead of asking which stations to load
+   */
+  const handleViewSeatMatrix = async (skipStationSelect = false) => {
+    // Dismiss keyboard when button is pressed
+    Keyboard.dismiss();
+    
+    if (!(await validateMatrixInputs())) {
       return;
     }
 
+    setLoadingMode('matrix');
     setIsLoading(true);
     setLoadingProgress(0);
     setLoadingMessage('Starting...');
@@ -616,14 +802,24 @@ export default function HomeScreen() {
         setLoadingProgress(progress / 100);
       };
 
-      // Compute the matrix
-      const matrixData = await computeMatrix(trainModel, journeyDate, apiDateFormat, onProgress, controller.signal);
+      // Load the train route only - seats stream in on the results screen
+      const matrixData = await prepareMatrix(trainModel, journeyDate, apiDateFormat, onProgress, controller.signal);
       
       setIsLoading(false);
       setAbortController(null);
+
+      if (skipStationSelect) {
+        navigation.navigate('MatrixResults', { matrixData, loadSeats: true });
+        return;
+      }
       
-      // Navigate to results screen
-      navigation.navigate('MatrixResults', { matrixData });
+      // Let the user narrow the stations before any seat is queried
+      setStationSelectMode('all');
+      setSelectedBoardingStations([]);
+      setSelectedAlightingStations([]);
+      setSweepStartDate(selectedDateString > getMinDate() ? selectedDateString : getMinDate());
+      setSweepEndDate(getMaxDate());
+      setPreparedMatrix(matrixData);
       
     } catch (error) {
       setIsLoading(false);
@@ -631,57 +827,21 @@ export default function HomeScreen() {
       console.error('Matrix calculation error:', error);
       
       // Handle cancellation
-      if (error.name === 'AbortError' || error.message.includes('canceled') || error.message.includes('aborted')) {
+      if (isCanceledError(error) || controller.signal.aborted) {
         console.log('Request was cancelled by user');
         return; // Don't show error dialog for user-cancelled requests
       }
       
-      // Provide more specific error messages following the reference project approach
-      let errorMessage = error.message || 'Failed to compute seat matrix. Please try again.';
-      let isCredError = false;
+      // Typed API errors carry their own user-facing message
+      let { message: errorMessage, isCredentialError: isCredError } = describeError(
+        error,
+        'Failed to compute seat matrix. Please try again.'
+      );
       
-      // Check for AUTH_TOKEN_EXPIRED and AUTH_DEVICE_KEY_EXPIRED first
-      if (errorMessage === 'AUTH_TOKEN_EXPIRED') {
-        errorMessage = 'Your Auth Token has expired or is invalid (valid for 24 hours). Please update your credentials in Settings with a new token and device key.';
-        isCredError = true;
-      } else if (errorMessage === 'AUTH_DEVICE_KEY_EXPIRED') {
-        errorMessage = 'Your Device Key has expired or is invalid. Please update your credentials in Settings with a new token and device key.';
-        isCredError = true;
-      }
-      // Authentication and credential validation errors
-      else if (errorMessage.includes('INVALID_CREDENTIALS:')) {
-        errorMessage = errorMessage.replace('INVALID_CREDENTIALS: ', '');
-        isCredError = true;
-      } else if (errorMessage.includes('CREDENTIALS_ERROR:')) {
-        errorMessage = errorMessage.replace('CREDENTIALS_ERROR: ', '');
-        isCredError = true;
-      } else if (errorMessage.includes('Authentication failed') || errorMessage.includes('Mobile Number or Password is incorrect')) {
-        errorMessage = 'Authentication failed. Please check your auth token and device key in Settings and ensure they are valid.';
-        isCredError = true;
-      } else if (errorMessage.includes('AUTH_CREDENTIALS_REQUIRED') || errorMessage.includes('Railway account credentials not found')) {
-        errorMessage = 'Railway credentials not found. Please add your credentials in Settings.';
-        isCredError = true;
-      }
-      // Train schedule validation errors  
-      else if (errorMessage.includes('does not run on')) {
-        errorMessage = errorMessage; // Keep the specific day message
-      }
-      // Network and connection errors
-      else if (errorMessage.includes('Network request failed') || errorMessage.includes('Failed to fetch')) {
-        errorMessage = 'Network connection failed. Please check your internet connection and try again.';
-      } else if (errorMessage.includes("We couldn't reach the Bangladesh Railway website")) {
-        errorMessage = "We couldn't reach the Bangladesh Railway website. Please check your internet connection and try again.";
-      } else if (errorMessage.includes("We're facing a problem with the Bangladesh Railway website")) {
-        errorMessage = "We're facing a problem with the Bangladesh Railway website. Please try again in a few minutes.";
-      }
       // Date validation errors
-      else if (errorMessage.includes('Date Value out of bounds') || errorMessage.includes('Invalid date format')) {
+      if (errorMessage.includes('Date Value out of bounds') || errorMessage.includes('Invalid date format')) {
         errorMessage = `Invalid date: ${journeyDate}. Please select a different date.`;
       }
-      // Rate limiting
-      else if (errorMessage.includes('Rate limit exceeded')) {
-        errorMessage = 'Too many requests. Please try again in a few minutes.';
-      }
       
       setErrorMessage(errorMessage);
       setIsCredentialError(isCredError);
@@ -689,6 +849,159 @@ export default function HomeScreen() {
     }
   };
 
+  // Ticket sale countdown for the selected train and date. Trains missing
+  // from trains.json could be in either zone, so both openings are shown.
+  const trainZone = trainName ? getTrainZone(extractTrainModel(trainName), trains) : null;
+  const releaseSchedule = selectedDateString
+    ? getReleaseSchedule(selectedDateString, trainZone ? [trainZone] : ['EAST', 'WEST'], now)
+    : null;
+  const hasUpcomingRelease = Boolean(releaseSchedule?.next);
+
+  // A different train or date means a different opening, so drop any armed check
+  useEffect(() => {
+    setNow(Date.now());
+    setAutoCheckAt(null);
+  }, [selectedDateString, trainName]);
+
+  // Tick once a second while there is a countdown to show or a check to fire
+  useEffect(() => {
+    if (!hasUpcomingRelease && !autoCheckAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasUpcomingRelease, autoCheckAt]);
+
+  // Fire the armed check shortly after sales open
+  useEffect(() => {
+    if (autoCheckAt && now >= autoCheckAt + AUTO_CHECK_DELAY_MS && !isLoading) {
+      console.log('Ticket sales open, loading the seat matrix automatically');
+      setAutoCheckAt(null);
+      handleViewSeatMatrix(true);
+    }
+  }, [now, autoCheckAt, isLoading]);
+
+  const toggleAutoCheck = () => {
+    setAutoCheckAt(autoCheckAt ? null : releaseSchedule.next.opensAt);
+  };
+
+  const renderReleaseCountdown = () => {
+    if (!hasUpcomingRelease) return null;
+
+    return (
+      <View style={styles.releaseCard}>
+        <View style={styles.releaseHeader}>
+          <Icon source="timer-sand" size={18} color="#B45309" />
+          <Text style={styles.releaseTitle}>
+            Ticket sales open in {formatCountdown(releaseSchedule.next.opensAt - now)}
+          </Text>
+        </View>
+        {releaseSchedule.openings.map(opening => (
+          <Text key={opening.zone} style={styles.releaseDetail}>
+            {ZONE_LABELS[opening.zone]} trains: {formatBangladeshTime(opening.opensAt)}
+            {opening.opensAt <= now ? ' (open now)' : ''}
+          </Text>
+        ))}
+        <TouchableOpacity style={styles.releaseToggle} onPress={toggleAutoCheck} activeOpacity={0.7}>
+          <Icon
+            source={autoCheckAt ? 'checkbox-marked' : 'checkbox-blank-outline'}
+            size={20}
+            color="#006747"
+          />
+          <Text style={styles.releaseToggleText}>Load the seat matrix when sales open</Text>
+        </TouchableOpacity>
+        {autoCheckAt && (
+          <Text style={styles.releaseHint}>
+            Keep this screen open - loading starts at {formatBangladeshTime(autoCheckAt)}.
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const handlePlanRoundTrip = async () => {
+    Keyboard.dismiss();
+
+    if (!(await validateMatrixInputs())) {
+      return;
+    }
+    if (!returnDate) {
+      setErrorMessage('Please select a return date');
+      setIsCredentialError(false);
+      setShowErrorDialog(true);
+      return;
+    }
+    if (returnDateString < selectedDateString) {
+      setErrorMessage('Return date cannot be before the journey date');
+      setIsCredentialError(false);
+      setShowErrorDialog(true);
+      return;
+    }
+
+    // The train list knows each train's terminals, which the return train runs between
+    const trainModel = extractTrainModel(trainName);
+    const outboundTrain = trains.find(train => train.train_number === trainModel);
+    if (!outboundTrain) {
+      setErrorMessage('Please pick a train from the list to check a round trip.');
+      setIsCredentialError(false);
+      setShowErrorDialog(true);
+      return;
+    }
+    const returnTrains = findReturnTrains(outboundTrain, trains);
+
+    setLoadingMode('roundTrip');
+    setIsLoading(true);
+    setLoadingProgress(0);
+    setLoadingMessage('Starting...');
+
+    const controller = new AbortController();
+    setAbortController(controller);
+
+    try {
+      const onProgress = (message, progress) => {
+        console.log('Progress:', message, progress + '%');
+        setLoadingMessage(message);
+        setLoadingProgress(progress / 100);
+      };
+
+      // Without a known return train, every train on the reversed run is compared
+      const roundTripData = await computeRoundTrip({
+        origin: outboundTrain.origin_city,
+        destination: outboundTrain.destination_city,
+        outboundDate: journeyDate,
+        returnDate,
+        outboundTrainModels: [trainModel],
+        returnTrainModels: returnTrains.length > 0 ? returnTrains.map(train => train.train_number) : null
+      }, onProgress, controller.signal);
+
+      if (controller.signal.aborted) {
+        console.log('Request was cancelled, not navigating');
+        return;
+      }
+
+      setIsLoading(false);
+      setAbortController(null);
+
+      navigation.navigate('RoundTripResults', { roundTripData });
+    } catch (error) {
+      setIsLoading(false);
+      setAbortController(null);
+      console.error('Round trip error:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Request was cancelled by user');
+        return;
+      }
+
+      const { message: displayMessage, isCredentialError: isCredError } = describeError(
+        error,
+        'Failed to check the round trip. Please try again.'
+      );
+
+      setErrorMessage(displayMessage);
+      setIsCredentialError(isCredError);
+      setShowErrorDialog(true);
+    }
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
     
@@ -723,6 +1036,8 @@ export default function HomeScreen() {
     setCustomTrainName('');
     setJourneyDate('');
     setSelectedDateString('');
+    setReturnDate('');
+    setReturnDateString('');
     setCurrentMonth(new Date().toISOString().slice(0, 7));
     setShowTrainDropdown(false);
     setShowDatePicker(false);
@@ -772,8 +1087,13 @@ export default function HomeScreen() {
       const year = selectedDate.getFullYear();
       
       const formattedDate = `${day}-${month}-${year}`;
-      setJourneyDate(formattedDate);
-      setSelectedDateString(selectedDateString); // Store the raw date string
+      if (datePickerTarget === 'return') {
+        setReturnDate(formattedDate);
+        setReturnDateString(selectedDateString);
+      } else {
+        setJourneyDate(formattedDate);
+        setSelectedDateString(selectedDateString); // Store the raw date string
+      }
       setShowDatePicker(false);
     }
   };
@@ -820,7 +1140,7 @@ export default function HomeScreen() {
     const maxDate = new Date(getMaxDate());
     
     // Use the stored selected date string
-    const currentSelectedDateString = selectedDateString;
+    const currentSelectedDateString = datePickerTarget === 'return' ? returnDateString : selectedDateString;
     
     // Mark today with special styling (current date)
     marked[today] = {
@@ -1109,6 +1429,7 @@ export default function HomeScreen() {
                     // Reset currentMonth to the selected date or today when opening calendar
                     const dateToShow = selectedDateString || getBangladeshToday();
                     setCurrentMonth(dateToShow.slice(0, 7)); // Set to YYYY-MM format
+                    setDatePickerTarget('journey');
                     setShowDatePicker(true);
                   }}>
                     <TextInput
@@ -1126,21 +1447,82 @@ export default function HomeScreen() {
                   </TouchableOpacity>
                 </View>
 
+                {renderReleaseCountdown()}
+
+                {/* Round Trip */}
+                <TouchableOpacity
+                  style={styles.roundTripToggle}
+                  onPress={() => setIsRoundTrip(!isRoundTrip)}
+                  activeOpacity={0.7}
+                >
+                  <Icon
+                    source={isRoundTrip ? 'checkbox-marked' : 'checkbox-blank-outline'}
+                    color="#006747"
+                    size={22}
+                  />
+                  <Text style={styles.roundTripToggleText}>Round trip</Text>
+                </TouchableOpacity>
+
+                {isRoundTrip && (
+                  <View style={styles.inputContainer}>
+                    <Text variant="titleSmall" style={styles.inputLabel}>
+                      Date of Return
+                    </Text>
+                    <TouchableOpacity onPress={() => {
+                      const dateToShow = returnDateString || selectedDateString || getBangladeshToday();
+                      setCurrentMonth(dateToShow.slice(0, 7));
+                      setDatePickerTarget('return');
+                      setShowDatePicker(true);
+                    }}>
+                      <TextInput
+                        mode="outlined"
+                        value={returnDate}
+                        editable={false}
+                        left={<TextInput.Icon icon="calendar-refresh" iconColor="#006747" />}
+                        style={styles.input}
+                        contentStyle={[styles.inputContent, styles.dateInputContent]}
+                        placeholder="Select return date"
+                        outlineColor="#006747"
+                        activeOutlineColor="#006747"
+                        outlineStyle={styles.inputOutline}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                )}
+
                 {/* View Seat Matrix Button */}
                 <Button 
                   mode="contained"
                   icon={({ size, color }) => (
                     <Icon source="format-list-bulleted-square" size={20} color={color} />
                   )}
-                  onPress={handleViewSeatMatrix}
+                  onPress={() => handleViewSeatMatrix()}
                   style={styles.matrixButton}
                   contentStyle={styles.matrixButtonContent}
                   labelStyle={styles.matrixButtonLabel}
                   disabled={isLoading}
-                  loading={isLoading}
+                  loading={isLoading && loadingMode === 'matrix'}
                 >
-                  {isLoading ? 'Generating Matrix...' : 'View Seat Matrix'}
+                  {isLoading && loadingMode === 'matrix' ? 'Generating Matrix...' : 'View Seat Matrix'}
                 </Button>
+
+                {/* Outbound train and its return train */}
+                {isRoundTrip && (
+                  <Button 
+                    mode="outlined"
+                    icon={({ size, color }) => (
+                      <Icon source="swap-horizontal-bold" size={20} color={color} />
+                    )}
+                    onPress={handlePlanRoundTrip}
+                    style={styles.roundTripButton}
+                    contentStyle={styles.matrixButtonContent}
+                    labelStyle={styles.matrixButtonLabel}
+                    disabled={isLoading}
+                    loading={isLoading && loadingMode === 'roundTrip'}
+                  >
+                    {isLoading && loadingMode === 'roundTrip' ? 'Checking Both Ways...' : 'Check Round Trip'}
+                  </Button>
+                )}
                 
               </Card.Content>
             </Card>
@@ -1158,7 +1540,7 @@ export default function HomeScreen() {
           >
             <Dialog.Content style={styles.calendarContent}>
               <Calendar
-                current={selectedDateString || getBangladeshToday()}
+                current={(datePickerTarget === 'return' ? returnDateString : selectedDateString) || getBangladeshToday()}
                 onDayPress={onDayPress}
                 onMonthChange={onMonthChange}
                 minDate={getMinDate()}
@@ -1390,6 +1772,100 @@ export default function HomeScreen() {
           </Dialog>
         </Portal>
 
+        {/* Matrix Station Selection Dialog */}
+        <Portal>
+          <Dialog
+            visible={!!preparedMatrix}
+            onDismiss={() => setPreparedMatrix(null)}
+            style={styles.trainDialog}
+          >
+            <Dialog.Title style={styles.trainDialogTitle}>Choose Stations</Dialog.Title>
+            <Dialog.Content>
+              {[
+                { mode: 'all', label: 'All stations' },
+                { mode: 'subset', label: 'Choose boarding and alighting stations' },
+                { mode: 'segment', label: 'All routes covering a segment' },
+              ].map(option => (
+                <TouchableOpacity
+                  key={option.mode}
+                  style={styles.stationSelectMode}
+                  onPress={() => {
+                    setStationSelectMode(option.mode);
+                    setSelectedBoardingStations([]);
+                    setSelectedAlightingStations([]);
+                  }}
+                >
+                  <Icon
+                    source={stationSelectMode === option.mode ? 'radiobox-marked' : 'radiobox-blank'}
+                    color="#006747"
+                    size={20}
+                  />
+                  <Text style={styles.stationSelectModeText}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+
+              {preparedMatrix && stationSelectMode !== 'all' && (
+                <View style={styles.stationSelectColumns}>
+                  {renderStationChoices(
+                    stationSelectMode === 'segment' ? 'Segment from' : 'Boarding',
+                    preparedMatrix.stations.slice(0, -1),
+                    selectedBoardingStations,
+                    setSelectedBoardingStations
+                  )}
+                  {renderStationChoices(
+                    stationSelectMode === 'segment' ? 'Segment to' : 'Alighting',
+                    stationSelectMode === 'segment' && selectedBoardingStations.length > 0
+                      ? preparedMatrix.stations.slice(preparedMatrix.stations.indexOf(selectedBoardingStations[0]) + 1)
+                      : preparedMatrix.stations.slice(1),
+                    selectedAlightingStations,
+                    setSelectedAlightingStations
+                  )}
+                </View>
+              )}
+
+              {preparedMatrix && sweepStartDate && (
+                <>
+                  {renderSweepDateChips('Check Dates from', sweepStartDate, handleSweepStartPress)}
+                  {renderSweepDateChips('to', sweepEndDate, handleSweepEndPress)}
+                </>
+              )}
+
+              <Text style={styles.stationSelectSummary}>
+                {stationSelectMode === 'subset'
+                  ? 'Leave a side empty to include every station on it. '
+                  : ''}
+                {selectedPairCount} {selectedPairCount === 1 ? 'route' : 'routes'} will be checked.
+                {sweepStartDate && (sweepStartDate === sweepEndDate
+                  ? ` Check Dates repeats them on ${formatDateForAPI(sweepStartDate)}.`
+                  : ` Check Dates repeats them on every day from ${formatDateForAPI(sweepStartDate)} to ${formatDateForAPI(sweepEndDate)}.`)}
+              </Text>
+            </Dialog.Content>
+            <Dialog.Actions>
+              <Button onPress={() => setPreparedMatrix(null)} textColor="#006747">
+                Cancel
+              </Button>
+              <Button
+                mode="outlined"
+                onPress={handleSweepDates}
+                disabled={selectedPairCount === 0}
+                textColor="#006747"
+                style={styles.stationSelectConfirmButton}
+              >
+                Check Dates
+              </Button>
+              <Button
+                mode="contained"
+                onPress={handleStationSelectConfirm}
+                disabled={selectedPairCount === 0}
+                buttonColor="#006747"
+                style={styles.stationSelectConfirmButton}
+              >
+                View Matrix
+              </Button>
+            </Dialog.Actions>
+          </Dialog>
+        </Portal>
+
         {/* Train Search Progress Dialog */}
         <Portal>
           <Dialog visible={isSearchingTrains} dismissable={false} style={styles.loadingDialog}>
@@ -1778,6 +2254,67 @@ const styles = StyleSheet.create({
   },
   
   // Button Styles
+  releaseCard: {
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 16,
+    backgroundColor: '#FFFBEB',
+    borderWidth: 1,
+    borderColor: '#FDE68A',
+  },
+  releaseHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  releaseTitle: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#B45309',
+  },
+  releaseDetail: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#92400E',
+    marginTop: 2,
+  },
+  releaseToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+  },
+  releaseToggleText: {
+    marginLeft: 8,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+  },
+  releaseHint: {
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  roundTripToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginBottom: 16,
+  },
+  roundTripToggleText: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+  },
+  roundTripButton: {
+    borderRadius: 16,
+    marginTop: 10,
+    borderColor: '#006747',
+  },
   matrixButton: {
     borderRadius: 16,
     marginTop: 10,
@@ -2081,6 +2618,80 @@ const styles = StyleSheet.create({
     borderRadius: 20,
     borderColor: '#79747E',
   },
+  
+  // Matrix station selection styles
+  stationSelectMode: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  stationSelectModeText: {
+    marginLeft: 10,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#1C1B1F',
+    flex: 1,
+  },
+  stationSelectColumns: {
+    flexDirection: 'row',
+    marginTop: 8,
+    gap: 8,
+  },
+  stationSelectColumn: {
+    flex: 1,
+  },
+  stationSelectColumnTitle: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+    marginBottom: 4,
+  },
+  stationSelectList: {
+    maxHeight: 220,
+    borderWidth: 1,
+    borderColor: '#DDE5DB',
+    borderRadius: 12,
+  },
+  stationSelectItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+  },
+  stationSelectItemSelected: {
+    backgroundColor: '#E8F5F0',
+  },
+  stationSelectItemText: {
+    marginLeft: 6,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#1C1B1F',
+    flex: 1,
+  },
+  stationSelectSummary: {
+    marginTop: 12,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#49454F',
+  },
+  stationSelectConfirmButton: {
+    borderRadius: 20,
+  },
+  sweepDateRow: {
+    marginTop: 12,
+  },
+  sweepDateChip: {
+    marginRight: 6,
+    backgroundColor: '#F0F8F5',
+  },
+  sweepDateChipSelected: {
+    backgroundColor: '#CFE9D9',
+  },
+  sweepDateChipText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+  },
   cancelButtonLabel: {
     fontSize: 14,
     fontFamily: 'PlusJakartaSans-SemiBold',
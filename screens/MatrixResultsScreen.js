@@ -33,10 +33,30 @@ import {
 } from 'react-native-paper';
 import { Ionicons } from '@expo/vector-icons';
 import { SEAT_TYPES } from '../utils/railwayAPI';
+import { ERROR_CODES, describeError, isCanceledError } from '../utils/railwayErrors';
+import { CELL_STATUS } from '../utils/matrixCalculator';
+import { clearTripSearchCache } from '../utils/tripSearchCache';
+import { SeatClassPreferenceStorage } from '../utils/storage';
+import {
+  RANKING_OBJECTIVES,
+  findRankedItineraries,
+  getTicketFare,
+  hasSeatsForGroup,
+  validateRouteQuery
+} from '../utils/routePlanner';
 import { LinearGradient } from 'expo-linear-gradient';
 
 const { width, height } = Dimensions.get('window');
 
+// Shohoz sells at most four tickets per purchase
+const MAX_PASSENGERS = 4;
+
+const RANKING_OBJECTIVE_LABELS = {
+  [RANKING_OBJECTIVES.TOTAL_FARE]: 'Total Fare',
+  [RANKING_OBJECTIVES.SEGMENTS]: 'Segments',
+  [RANKING_OBJECTIVES.COMFORT]: 'Comfort'
+};
+
 // Seat type labels for display
 const SEAT_TYPE_LABELS = {
   'S_CHAIR': 'S_CHAIR',
@@ -71,6 +91,10 @@ const MatrixResultsScreen = ({ route, navigation }) => {
   const [toDropdownVisible, setToDropdownVisible] = useState(false);
   const [routeResults, setRouteResults] = useState(null);
   const [isSearching, setIsSearching] = useState(false);
+  const [rankingObjective, setRankingObjective] = useState(RANKING_OBJECTIVES.TOTAL_FARE);
+  const [passengerCount, setPassengerCount] = useState(1);
+  const [classPreference, setClassPreference] = useState({ order: [], excluded: [] });
+  const [showPreferenceDialog, setShowPreferenceDialog] = useState(false);
   
   // Train route collapse state
   const [showTrainRoute, setShowTrainRoute] = useState(false);
@@ -81,7 +105,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
   const [isRefreshLoading, setIsRefreshLoading] = useState(false);
   const [refreshProgress, setRefreshProgress] = useState(0);
   const [refreshMessage, setRefreshMessage] = useState('');
-  const [refreshAbortController, setRefreshAbortController] = useState(null);
+  const [isLiveRefreshing, setIsLiveRefreshing] = useState(false); // Incremental refresh updating the matrix in place
   
   // Scroll-aware shadow states
   const [showLeftShadow, setShowLeftShadow] = useState(false);
@@ -95,10 +119,13 @@ const MatrixResultsScreen = ({ route, navigation }) => {
   const headerScrollRef = useRef(null);
   const bodyScrollRef = useRef(null);
   const leftScrollRef = useRef(null);
+  const matrixScrollOffset = useRef({ x: 0, y: 0 }); // Used to refresh visible cells first
   
   // Refs for route results section smooth scrolling
   const mainScrollViewRef = useRef(null);
   const routeResultsRef = useRef(null);
+  const lastRouteSearch = useRef(null);
+  const refreshAbortControllerRef = useRef(null); // Running matrix request, if any
 
   // Find the first available seat type
   useEffect(() => {
@@ -119,6 +146,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
       
       // Reset scroll positions immediately for better responsiveness
       // Use requestAnimationFrame for smoother performance
+      matrixScrollOffset.current = { x: 0, y: 0 };
       requestAnimationFrame(() => {
         if (headerScrollRef.current && bodyScrollRef.current && leftScrollRef.current) {
           headerScrollRef.current?.scrollTo({ x: 0, animated: false });
@@ -129,6 +157,26 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     }
   }, [selectedSeatType]);
 
+  // HomeScreen only loads the train route - fetch the seats here so cells fill in live
+  useEffect(() => {
+    if (route.params?.loadSeats) {
+      navigation.setParams({ loadSeats: false });
+      runLiveUpdate();
+    }
+  }, []);
+
+  // Load the saved seat class preference
+  useEffect(() => {
+    SeatClassPreferenceStorage.getPreference().then(setClassPreference);
+  }, []);
+
+  // Stop any running matrix request when the screen is left
+  useEffect(() => {
+    return () => {
+      refreshAbortControllerRef.current?.abort();
+    };
+  }, []);
+
   // Set navigation options
   useEffect(() => {
     navigation.setOptions({
@@ -151,9 +199,28 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     return SEAT_TYPES.filter(seatType => matrixData.hasDataMap[seatType]);
   }, [matrixData]);
 
+  // This train's seat classes in the user's order - ranked classes first, the rest as sold
+  const preferenceSeatTypes = useMemo(() => {
+    const ranked = classPreference.order.filter(seatType => availableSeatTypes.includes(seatType));
+    return [...ranked, ...availableSeatTypes.filter(seatType => !ranked.includes(seatType))];
+  }, [availableSeatTypes, classPreference]);
+
   const filteredStations = useMemo(() => {
-    // Always show ALL stations like the web version, don't filter by seat availability
-    return matrixData?.stations || [];
+    // Show ALL stations like the web version, don't filter by seat availability.
+    // A matrix built for a station selection only shows the stations it covers.
+    if (!matrixData?.stations) return [];
+    if (!matrixData.stationSelection) return matrixData.stations;
+
+    const rows = matrixData.fareMatrices[SEAT_TYPES[0]] || {};
+    const usedStations = new Set();
+    Object.entries(rows).forEach(([fromCity, row]) => {
+      const destinations = Object.keys(row);
+      if (destinations.length > 0) {
+        usedStations.add(fromCity);
+        destinations.forEach(toCity => usedStations.add(toCity));
+      }
+    });
+    return matrixData.stations.filter(station => usedStations.has(station));
   }, [matrixData]);
 
   // Filtered station lists for dropdowns - exclude selected station from the other dropdown
@@ -221,157 +288,64 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     };
   }, [filteredStations, width, height]);
 
-  // Route finding algorithms
-  const findDirectRoute = (origin, destination, seatType) => {
-    if (!matrixData?.fareMatrices?.[seatType]?.[origin]?.[destination]) {
-      return null;
-    }
-    
-    const route = matrixData.fareMatrices[seatType][origin][destination];
-    if (route.online > 0) {
-      const base = parseFloat(route.fare);
-      const vat = parseFloat(route.vat_amount || 0);
-      const charge = 20;
-      const total = base + vat + charge;
-      
-      return {
-        type: 'DIRECT',
-        seatType,
-        segments: [{
-          from: origin,
-          to: destination,
-          seatType,
-          base,
-          vat,
-          charge,
-          total,
-          seats: route.online + route.offline,
-          date: matrixData.stationDatesFormatted?.[origin] || matrixData.date // Use formatted date
-        }],
-        totalFare: total
-      };
-    }
-    return null;
+  // Re-rank the last search when the user picks another sort order
+  const handleRankingChange = (objective) => {
+    setRankingObjective(objective);
+    if (!routeResults || !lastRouteSearch.current) return;
+
+    const { fromStation: from, toStation: to } = lastRouteSearch.current;
+    setRouteResults(findRankedItineraries(matrixData, from, to, availableSeatTypes, {
+      objective,
+      passengers: passengerCount,
+      classPreference
+    }));
   };
 
-  const findSegmentedRoutes = (origin, destination, seatType, stations, fareMatrices) => {
-    const queue = [[origin, [], 0]];
-    const visited = new Set();
-
-    while (queue.length) {
-      const [currentStation, path, totalFare] = queue.shift();
-
-      if (visited.has(currentStation)) continue;
-      visited.add(currentStation);
-
-      if (currentStation === destination) {
-        return {
-          type: 'SEGMENTED',
-          seatType,
-          segments: path,
-          totalFare
-        };
-      }
-
-      const currentIndex = stations.indexOf(currentStation);
-      for (let i = currentIndex + 1; i < stations.length; i++) {
-        const nextStation = stations[i];
-        const seatInfo = fareMatrices[seatType]?.[currentStation]?.[nextStation];
-        if (seatInfo && seatInfo.online > 0) {
-          const base = parseFloat(seatInfo.fare);
-          const vat = parseFloat(seatInfo.vat_amount || 0);
-          const charge = 20;
-          const total = base + vat + charge;
-          const newPath = [...path, {
-            from: currentStation,
-            to: nextStation,
-            seatType,
-            base,
-            vat,
-            charge,
-            total,
-            seats: seatInfo.online + seatInfo.offline,
-            date: matrixData.stationDatesFormatted?.[currentStation] || matrixData.date // Use formatted date
-          }];
-          queue.push([nextStation, newPath, totalFare + total]);
-        }
-      }
-    }
-    return null;
+  const handlePassengerCountChange = (count) => {
+    setPassengerCount(Math.min(MAX_PASSENGERS, Math.max(1, count)));
+    if (routeResults) setRouteResults(null);
   };
 
-  const findMixedSegmentedRoutes = (origin, destination, stations, fareMatrices, seatTypes) => {
-    const queue = [[origin, [], 0]];
-    const visited = new Set();
-
-    while (queue.length) {
-      const [currentStation, path, totalFare] = queue.shift();
-
-      if (visited.has(currentStation)) continue;
-      visited.add(currentStation);
+  const updateClassPreference = (preference) => {
+    setClassPreference(preference);
+    SeatClassPreferenceStorage.savePreference(preference);
+    if (routeResults) setRouteResults(null);
+  };
 
-      if (currentStation === destination) {
-        return {
-          type: 'MIXED_SEGMENTED',
-          segments: path,
-          totalFare
-        };
-      }
+  // Move a seat class one place up or down. The whole visible order is saved,
+  // keeping classes this train doesn't sell where they were ranked before.
+  const moveSeatClass = (seatType, direction) => {
+    const order = [...preferenceSeatTypes];
+    const index = order.indexOf(seatType);
+    const target = index + direction;
+    if (target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    const otherTrains = classPreference.order.filter(type => !order.includes(type));
+    updateClassPreference({ ...classPreference, order: [...order, ...otherTrains] });
+  };
 
-      const currentIndex = stations.indexOf(currentStation);
-      for (let i = currentIndex + 1; i < stations.length; i++) {
-        const nextStation = stations[i];
-        let bestSegment = null;
-        for (const seatType of seatTypes) {
-          const seatInfo = fareMatrices[seatType]?.[currentStation]?.[nextStation];
-          if (seatInfo && seatInfo.online > 0) {
-            bestSegment = { seatType, seatInfo };
-            break;
-          }
-        }
+  const toggleSeatClassExcluded = (seatType) => {
+    const excluded = classPreference.excluded.includes(seatType)
+      ? classPreference.excluded.filter(type => type !== seatType)
+      : [...classPreference.excluded, seatType];
+    updateClassPreference({ ...classPreference, excluded });
+  };
 
-        if (bestSegment) {
-          const { seatType, seatInfo } = bestSegment;
-          const base = parseFloat(seatInfo.fare);
-          const vat = parseFloat(seatInfo.vat_amount || 0);
-          const charge = 20;
-          const total = base + vat + charge;
-          const seg = {
-            from: currentStation,
-            to: nextStation,
-            seatType,
-            base,
-            vat,
-            charge,
-            total,
-            seats: seatInfo.online + seatInfo.offline,
-            date: matrixData.stationDatesFormatted?.[currentStation] || matrixData.date // Use formatted date
-          };
-          queue.push([nextStation, [...path, seg], totalFare + total]);
-        }
-      }
-    }
-    return null;
+  const getClassPreferenceSummary = () => {
+    const ranked = preferenceSeatTypes.filter(seatType =>
+      classPreference.order.includes(seatType) && !classPreference.excluded.includes(seatType));
+    const excluded = preferenceSeatTypes.filter(seatType => classPreference.excluded.includes(seatType));
+    const parts = [];
+    if (ranked.length > 0) parts.push(`Prefer ${ranked.join(' > ')}`);
+    if (excluded.length > 0) parts.push(`never ${excluded.join(', ')}`);
+    return parts.length > 0 ? parts.join('; ') : 'Cheapest class on every ticket';
   };
 
   const checkRouteAvailability = () => {
-    if (!fromStation || !toStation) {
-      setErrorMessage('Please select both origin and destination stations');
-      setShowErrorDialog(true);
-      return;
-    }
-
-    if (fromStation === toStation) {
-      setErrorMessage('Origin and destination cannot be the same');
-      setShowErrorDialog(true);
-      return;
-    }
-
-    const fromIndex = matrixData.stations.indexOf(fromStation);
-    const toIndex = matrixData.stations.indexOf(toStation);
-    
-    if (fromIndex >= toIndex) {
-      setErrorMessage('Origin station must come before destination station in the train route');
+    const queryError = validateRouteQuery(matrixData, fromStation, toStation);
+    if (queryError) {
+      setErrorMessage(queryError);
       setShowErrorDialog(true);
       return;
     }
@@ -380,45 +354,12 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     
     // Simulate search delay for better UX
     setTimeout(() => {
-      const results = [];
-      
-      // Check for direct routes first
-      for (const seatType of availableSeatTypes) {
-        const directRoute = findDirectRoute(fromStation, toStation, seatType);
-        if (directRoute) {
-          results.push(directRoute);
-        }
-      }
-
-      // If no direct routes, check for segmented routes
-      if (results.length === 0) {
-        for (const seatType of availableSeatTypes) {
-          const segmentedRoute = findSegmentedRoutes(
-            fromStation, 
-            toStation, 
-            seatType, 
-            matrixData.stations, 
-            matrixData.fareMatrices
-          );
-          if (segmentedRoute) {
-            results.push(segmentedRoute);
-          }
-        }
-      }
-
-      // If still no routes, try mixed segmented
-      if (results.length === 0) {
-        const mixedRoute = findMixedSegmentedRoutes(
-          fromStation,
-          toStation,
-          matrixData.stations,
-          matrixData.fareMatrices,
-          availableSeatTypes
-        );
-        if (mixedRoute) {
-          results.push(mixedRoute);
-        }
-      }
+      const results = findRankedItineraries(matrixData, fromStation, toStation, availableSeatTypes, {
+        objective: rankingObjective,
+        passengers: passengerCount,
+        classPreference
+      });
+      lastRouteSearch.current = { fromStation, toStation };
 
       setRouteResults(results);
       setIsSearching(false);
@@ -451,8 +392,36 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     setToStation(temp);
   };
 
+  // Station pairs currently inside the matrix viewport
+  const getVisiblePairs = () => {
+    const stationCount = filteredStations.length;
+    if (stationCount === 0) return [];
+
+    // Cells are separated by 1px margins
+    const cellWidth = (dynamicDimensions.shouldFillWidth
+      ? dynamicDimensions.availableWidth / stationCount
+      : dynamicDimensions.cellWidth) + 1;
+    const cellHeight = dynamicDimensions.cellHeight + 1;
+    const { x, y } = matrixScrollOffset.current;
+
+    const firstCol = Math.floor(x / cellWidth);
+    const lastCol = Math.min(stationCount - 1, Math.ceil((x + dynamicDimensions.availableWidth) / cellWidth));
+    const firstRow = Math.floor(y / cellHeight);
+    const lastRow = Math.min(stationCount - 1, Math.ceil((y + dynamicDimensions.contentHeight) / cellHeight));
+
+    const pairs = [];
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = Math.max(firstCol, row + 1); col <= lastCol; col++) {
+        pairs.push({ fromCity: filteredStations[row], toCity: filteredStations[col] });
+      }
+    }
+    return pairs;
+  };
+
   // Handle pull to refresh - show confirmation dialog
   const onRefresh = () => {
+    // An incremental refresh is already updating the matrix
+    if (isLiveRefreshing) return;
     setRefreshing(true);
     // Show dialog to confirm refresh
     setShowRefreshDialog(true);
@@ -467,7 +436,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
 
     // Create abort controller for cancellation
     const controller = new AbortController();
-    setRefreshAbortController(controller);
+    refreshAbortControllerRef.current = controller;
 
     try {
       console.log('Refreshing matrix with same parameters:', { 
@@ -487,6 +456,9 @@ const MatrixResultsScreen = ({ route, navigation }) => {
       const { computeMatrix } = require('../utils/matrixCalculator');
       const { parseDateString } = require('../utils/railwayAPI');
 
+      // The user asked for fresh data - don't answer from recent searches
+      clearTripSearchCache();
+
       // Parse the date for API
       const apiDateFormat = parseDateString(matrixData.date);
       console.log('Parsed date for refresh:', { original: matrixData.date, parsed: apiDateFormat });
@@ -497,11 +469,13 @@ const MatrixResultsScreen = ({ route, navigation }) => {
         matrixData.date, 
         apiDateFormat, 
         onProgress, 
-        controller.signal
+        controller.signal,
+        null,
+        matrixData.stationSelection // Keep the station selection from HomeScreen
       );
 
       setIsRefreshLoading(false);
-      setRefreshAbortController(null);
+      refreshAbortControllerRef.current = null;
       setRefreshing(false);
 
       console.log('Matrix refreshed successfully');
@@ -518,38 +492,150 @@ const MatrixResultsScreen = ({ route, navigation }) => {
 
     } catch (error) {
       setIsRefreshLoading(false);
-      setRefreshAbortController(null);
+      refreshAbortControllerRef.current = null;
       setRefreshing(false);
       console.error('Matrix refresh error:', error);
 
       // Handle cancellation
-      if (error.name === 'AbortError' || error.message.includes('canceled') || error.message.includes('aborted')) {
+      if (isCanceledError(error) || controller.signal.aborted) {
         console.log('Refresh was cancelled by user');
         return;
       }
 
       // Show error dialog
-      let errorMsg = error.message || 'Failed to refresh matrix. Please try again.';
-      let shouldGoBack = false;
+      const { message: errorMsg, isCredentialError } = describeError(
+        error,
+        'Failed to refresh matrix. Please try again.'
+      );
       
-      // Check if this is an error that requires going back to search
-      if (errorMsg.includes('No seats available for the selected train and date') ||
-          errorMsg.includes('Authentication failed') || 
-          errorMsg.includes('Mobile Number or Password is incorrect') ||
-          errorMsg.includes('AUTH_CREDENTIALS_REQUIRED') ||
-          errorMsg.includes('Railway account credentials not found')) {
-        shouldGoBack = true;
+      // Errors that leave nothing to show here require going back to search
+      const shouldGoBack = isCredentialError || error.code === ERROR_CODES.NO_SEATS_AVAILABLE;
+
+      setErrorMessage(errorMsg);
+      setIsRefreshError(shouldGoBack); // Mark as refresh error that needs navigation back
+      setShowErrorDialog(true);
+    }
+  };
+
+  // Load seats in place - the matrix stays usable and fills in as pairs return.
+  // Used for the first load after HomeScreen and for incremental refreshes.
+  const runLiveUpdate = async () => {
+    setIsLiveRefreshing(true);
+    setRefreshProgress(0);
+    setRefreshMessage('Starting...');
+
+    const controller = new AbortController();
+    refreshAbortControllerRef.current = controller;
+
+    // Drop the selected seat type only if the refreshed data no longer has it
+    const showMatrix = (newMatrixData) => {
+      navigation.setParams({ matrixData: newMatrixData });
+      setSelectedSeatType(current =>
+        current && !newMatrixData.hasDataMap[current] ? null : current
+      );
+    };
+
+    try {
+      const onProgress = (message, progress) => {
+        setRefreshMessage(message);
+        setRefreshProgress(progress / 100);
+      };
+
+      const { refreshMatrix } = require('../utils/matrixCalculator');
+      const newMatrixData = await refreshMatrix(matrixData, {
+        priorityPairs: getVisiblePairs(),
+        onUpdate: showMatrix,
+        onProgress,
+        signal: controller.signal
+      });
+
+      setIsLiveRefreshing(false);
+      refreshAbortControllerRef.current = null;
+
+      console.log('Matrix seats loaded');
+      showMatrix(newMatrixData);
+
+      // Route results were computed from the old seats
+      setRouteResults(null);
+      setCellDetailModal(null);
+
+    } catch (error) {
+      setIsLiveRefreshing(false);
+      refreshAbortControllerRef.current = null;
+      console.error('Live matrix update error:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Refresh was cancelled by user');
+        return;
       }
-      
-      // Handle specific errors
-      if (errorMsg.includes('Authentication failed') || errorMsg.includes('Mobile Number or Password is incorrect')) {
-        errorMsg = 'Authentication failed. Please check your auth token and device key in Settings.';
-      } else if (errorMsg.includes('AUTH_CREDENTIALS_REQUIRED') || errorMsg.includes('Railway account credentials not found')) {
-        errorMsg = 'Railway credentials not found. Please add your credentials in Settings.';
+
+      const { message: errorMsg, isCredentialError } = describeError(
+        error,
+        'Failed to refresh matrix. Please try again.'
+      );
+
+      const shouldGoBack = isCredentialError || error.code === ERROR_CODES.NO_SEATS_AVAILABLE;
+
+      setErrorMessage(errorMsg);
+      setIsRefreshError(shouldGoBack);
+      setShowErrorDialog(true);
+    }
+  };
+
+  const handleIncrementalRefresh = () => {
+    setShowRefreshDialog(false);
+    setRefreshing(false);
+    clearTripSearchCache();
+    runLiveUpdate();
+  };
+
+  // Re-query only the cells that failed, keeping everything else on screen
+  const handleRetryFailedCells = async () => {
+    setIsRefreshLoading(true);
+    setRefreshProgress(0);
+    setRefreshMessage('Starting...');
+
+    const controller = new AbortController();
+    refreshAbortControllerRef.current = controller;
+
+    try {
+      const onProgress = (message, progress) => {
+        setRefreshMessage(message);
+        setRefreshProgress(progress / 100);
+      };
+
+      const { retryFailedCells } = require('../utils/matrixCalculator');
+      const newMatrixData = await retryFailedCells(matrixData, onProgress, controller.signal);
+
+      setIsRefreshLoading(false);
+      refreshAbortControllerRef.current = null;
+
+      navigation.setParams({ matrixData: newMatrixData });
+
+      // Keep the selected seat type unless it no longer has data
+      if (selectedSeatType && !newMatrixData.hasDataMap[selectedSeatType]) {
+        setSelectedSeatType(null);
       }
+      setRouteResults(null);
+      setCellDetailModal(null);
+
+    } catch (error) {
+      setIsRefreshLoading(false);
+      refreshAbortControllerRef.current = null;
+      console.error('Retry failed cells error:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Retry was cancelled by user');
+        return;
+      }
+
+      const { message: errorMsg, isCredentialError } = describeError(
+        error,
+        'Failed to retry the failed routes. Please try again.'
+      );
 
       setErrorMessage(errorMsg);
-      setIsRefreshError(shouldGoBack); // Mark as refresh error that needs navigation back
+      setIsRefreshError(isCredentialError);
       setShowErrorDialog(true);
     }
   };
@@ -574,11 +660,12 @@ const MatrixResultsScreen = ({ route, navigation }) => {
 
   // Cancel loading operation
   const cancelRefreshLoading = () => {
-    if (refreshAbortController) {
-      refreshAbortController.abort();
-      setRefreshAbortController(null);
+    if (refreshAbortControllerRef.current) {
+      refreshAbortControllerRef.current.abort();
+      refreshAbortControllerRef.current = null;
     }
     setIsRefreshLoading(false);
+    setIsLiveRefreshing(false);
     setRefreshing(false);
     setRefreshProgress(0);
     setRefreshMessage('');
@@ -699,15 +786,58 @@ const MatrixResultsScreen = ({ route, navigation }) => {
       );
     }
 
+    if (seatData.status === CELL_STATUS.FAILED) {
+      return (
+        <TouchableRipple
+          style={styles.failedCell}
+          onPress={() => {
+            setErrorMessage(`Seat info for ${fromStation} → ${toStation} could not be loaded. ${seatData.error?.message || ''}`.trim());
+            setShowErrorDialog(true);
+          }}
+          rippleColor="rgba(179, 38, 30, 0.12)"
+          borderless={false}
+        >
+          <View style={styles.failedCellContent}>
+            <Ionicons name="alert-circle-outline" size={18} color="#B3261E" />
+            <Text style={styles.failedCellText}>Failed</Text>
+          </View>
+        </TouchableRipple>
+      );
+    }
+
+    if (seatData.status === CELL_STATUS.NOT_FETCHED) {
+      return (
+        <View style={styles.emptyCell}>
+          <Text style={styles.emptyText}>…</Text>
+        </View>
+      );
+    }
+
     const totalSeats = seatData.online + seatData.offline;
     const hasSeats = totalSeats > 0;
     const fare = seatData.fare + seatData.vat_amount;
+    const fitsGroup = passengerCount > 1 && hasSeatsForGroup(seatData, passengerCount);
 
     if (!hasSeats) {
+      // Sold out - offer to watch the pair for cancellations
       return (
-        <View style={styles.emptyCell}>
+        <TouchableRipple
+          style={styles.emptyCell}
+          onPress={() => navigation.navigate('SeatWatches', {
+            newWatch: {
+              trainModel: matrixData.trainModel,
+              trainName: matrixData.trainName,
+              origin: fromStation,
+              destination: toStation,
+              date: matrixData.stationDatesFormatted?.[fromStation] || matrixData.date,
+              seatType: selectedSeatType
+            }
+          })}
+          rippleColor="rgba(0, 103, 71, 0.2)"
+          borderless={false}
+        >
           <Text style={styles.emptyText}>—</Text>
-        </View>
+        </TouchableRipple>
       );
     }
 
@@ -731,7 +861,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
         rippleColor="rgba(0, 103, 71, 0.2)"
         borderless={false}
       >
-        <Surface style={styles.cellContent} elevation={1}>
+        <Surface style={[styles.cellContent, fitsGroup && styles.groupCellContent]} elevation={1}>
           <Surface style={styles.ticketCountContainer} elevation={0}>
             <Text style={styles.ticketCountText}>{totalSeats}</Text>
           </Surface>
@@ -741,7 +871,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
         </Surface>
       </TouchableRipple>
     );
-  }, [filteredStations, matrixData, selectedSeatType]); // Add dependencies for useCallback
+  }, [filteredStations, matrixData, selectedSeatType, passengerCount, navigation]); // Add dependencies for useCallback
 
   const renderTrainInfo = () => (
     <Surface style={styles.infoCard} elevation={2}>
@@ -762,6 +892,13 @@ const MatrixResultsScreen = ({ route, navigation }) => {
             Journey Date: {matrixData.date}
           </Text>
         </View>
+        {matrixData.stationSelection && (
+          <Text variant="bodySmall" style={styles.selectionText}>
+            {matrixData.stationSelection.segment
+              ? `Showing routes covering ${matrixData.stationSelection.segment.from} → ${matrixData.stationSelection.segment.to}`
+              : 'Showing the selected boarding and alighting stations only'}
+          </Text>
+        )}
       </Surface>
 
       {matrixData.hasSegmentedDates && (
@@ -786,6 +923,66 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     </Surface>
   );
 
+  const renderLiveRefreshProgress = () => {
+    if (!isLiveRefreshing) return null;
+
+    return (
+      <Surface style={styles.liveRefreshCard} elevation={1}>
+        <View style={styles.liveRefreshHeader}>
+          <ActivityIndicator size={16} color="#006747" />
+          <Text style={styles.liveRefreshTitle}>Loading seat availability...</Text>
+          <Button
+            mode="text"
+            onPress={cancelRefreshLoading}
+            textColor="#49454F"
+            labelStyle={styles.liveRefreshCancelLabel}
+            compact
+          >
+            Stop
+          </Button>
+        </View>
+        <ProgressBar
+          progress={refreshProgress}
+          color="#006747"
+          style={styles.liveRefreshProgressBar}
+        />
+        <Text style={styles.liveRefreshMessage}>
+          {refreshMessage} Routes on screen and routes with seats are updated first.
+        </Text>
+      </Surface>
+    );
+  };
+
+  const renderFailedCellsNotice = () => {
+    if (!matrixData.failureCount) return null;
+
+    const totalPairs = (matrixData.successCount || 0) + matrixData.failureCount;
+
+    return (
+      <Surface style={styles.failedNoticeCard} elevation={1}>
+        <View style={styles.warningHeader}>
+          <Ionicons name="alert-circle-outline" size={20} color="#B3261E" />
+          <Text variant="titleSmall" style={styles.failedNoticeTitle}>Some Routes Could Not Be Loaded</Text>
+        </View>
+        <Text variant="bodySmall" style={styles.warningText}>
+          {matrixData.failureCount} of {totalPairs} routes failed to load and are marked as "Failed" in the matrix.
+          Their seats are not counted in the route checker until they are loaded.
+        </Text>
+        <Button
+          mode="contained-tonal"
+          onPress={handleRetryFailedCells}
+          disabled={isRefreshLoading || isLiveRefreshing}
+          style={styles.retryFailedButton}
+          labelStyle={styles.retryFailedButtonLabel}
+          icon="refresh"
+          compact
+        >
+          Retry Failed Routes
+        </Button>
+      </Surface>
+    );
+  };
+
   const renderTrainRouteSection = () => {
     // Helper function to format duration from "HH:MM" string
     const formatDuration = (duration) => {
@@ -1019,7 +1216,8 @@ const MatrixResultsScreen = ({ route, navigation }) => {
   const renderCellDetailModal = () => {
     if (!cellDetailModal) return null;
 
-    const { fromStation, toStation, seatType, seatData, totalSeats, fare, departureDate } = cellDetailModal;
+    const { fromStation, toStation, seatType, seatData, totalSeats, departureDate } = cellDetailModal;
+    const ticketFare = getTicketFare(seatData, seatType, matrixData.fareRules);
     
     const handleBuyTicket = () => {
       // Use the correct departure date for this specific route
@@ -1079,14 +1277,14 @@ const MatrixResultsScreen = ({ route, navigation }) => {
               
               <View style={styles.dialogInfoRow}>
                 <Text variant="bodyMedium" style={styles.dialogLabel}>Service Charge:</Text>
-                <Text variant="bodyMedium" style={styles.dialogValue}>৳20</Text>
+                <Text variant="bodyMedium" style={styles.dialogValue}>৳{ticketFare.charge}</Text>
               </View>
               
               <Divider style={styles.dialogDivider} />
               
               <View style={styles.dialogInfoRow}>
                 <Text variant="bodyLarge" style={styles.dialogLabelBold}>Total Fare:</Text>
-                <Text variant="bodyLarge" style={styles.dialogFare}>৳{Math.round(fare + 20)}</Text>
+                <Text variant="bodyLarge" style={styles.dialogFare}>৳{Math.round(ticketFare.total)}</Text>
               </View>
             </View>
           </Dialog.Content>
@@ -1115,6 +1313,71 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     );
   };
 
+  const renderPreferenceDialog = () => (
+    <Portal>
+      <Dialog
+        visible={showPreferenceDialog}
+        onDismiss={() => setShowPreferenceDialog(false)}
+        style={styles.dialogContainer}
+      >
+        <Dialog.Title style={styles.dialogTitle}>Seat Class Preference</Dialog.Title>
+        <Dialog.Content style={styles.dialogContent}>
+          <Text style={styles.preferenceHint}>
+            Classes higher in the list are chosen over cheaper ones further down when the
+            fares are close. Unticked classes are never used.
+          </Text>
+          {preferenceSeatTypes.map((seatType, index) => {
+            const isExcluded = classPreference.excluded.includes(seatType);
+            return (
+              <View key={seatType} style={styles.preferenceItem}>
+                <TouchableRipple onPress={() => toggleSeatClassExcluded(seatType)} borderless>
+                  <Icon
+                    source={isExcluded ? 'checkbox-blank-outline' : 'checkbox-marked'}
+                    size={22}
+                    color="#006747"
+                  />
+                </TouchableRipple>
+                <Text style={[styles.preferenceItemText, isExcluded && styles.preferenceItemExcluded]}>
+                  {SEAT_TYPE_LABELS[seatType]}
+                </Text>
+                <IconButton
+                  icon="chevron-up"
+                  size={18}
+                  disabled={index === 0}
+                  onPress={() => moveSeatClass(seatType, -1)}
+                />
+                <IconButton
+                  icon="chevron-down"
+                  size={18}
+                  disabled={index === preferenceSeatTypes.length - 1}
+                  onPress={() => moveSeatClass(seatType, 1)}
+                />
+              </View>
+            );
+          })}
+        </Dialog.Content>
+        <Dialog.Actions style={styles.dialogActions}>
+          <Button
+            mode="text"
+            onPress={() => updateClassPreference({ order: [], excluded: [] })}
+            style={styles.cancelButton}
+            labelStyle={styles.cancelButtonLabel}
+          >
+            Reset
+          </Button>
+          <Button
+            mode="contained"
+            onPress={() => setShowPreferenceDialog(false)}
+            style={styles.bookButton}
+            labelStyle={styles.bookButtonLabel}
+          >
+            Done
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
   const renderRouteResults = () => {
     if (!routeResults || routeResults.length === 0) {
       return (
@@ -1127,7 +1390,8 @@ const MatrixResultsScreen = ({ route, navigation }) => {
             <Text style={styles.noResultText}>
               Unfortunately, no direct, segmented, or mixed-seat-type tickets are available between{' '}
               <Text style={styles.stationHighlight}>{fromStation}</Text> and{' '}
-              <Text style={styles.stationHighlight}>{toStation}</Text> for the selected travel date.
+              <Text style={styles.stationHighlight}>{toStation}</Text> for the selected travel date
+              {passengerCount > 1 ? ` with ${passengerCount} seats on every ticket` : ''}.
             </Text>
             <Surface style={styles.suggestionContainer} elevation={0}>
               <View style={styles.suggestionHeader}>
@@ -1152,19 +1416,22 @@ const MatrixResultsScreen = ({ route, navigation }) => {
           styles.routeTypeHeader,
           result.type === 'DIRECT' && styles.directHeader,
           result.type === 'SEGMENTED' && styles.segmentedHeader,
-          result.type === 'MIXED_SEGMENTED' && styles.mixedHeader
+          result.type === 'MIXED_SEGMENTED' && styles.mixedHeader,
+          result.type === 'WIDER' && styles.widerHeader
         ]}>
           <View style={styles.routeTypeLeft}>
             <View style={[
               styles.routeTypeIcon,
               result.type === 'DIRECT' && styles.directIcon,
               result.type === 'SEGMENTED' && styles.segmentedIcon,
-              result.type === 'MIXED_SEGMENTED' && styles.mixedIcon
+              result.type === 'MIXED_SEGMENTED' && styles.mixedIcon,
+              result.type === 'WIDER' && styles.widerIcon
             ]}>
               <Ionicons 
                 name={
                   result.type === 'DIRECT' ? 'arrow-forward' :
-                  result.type === 'SEGMENTED' ? 'git-branch' : 'shuffle'
+                  result.type === 'SEGMENTED' ? 'git-branch' :
+                  result.type === 'WIDER' ? 'resize' : 'shuffle'
                 }
                 size={20} 
                 color="#FFFFFF" 
@@ -1174,6 +1441,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
               <Text style={styles.routeTypeTitle}>
                 {result.type === 'DIRECT' ? 'Direct Route' :
                  result.type === 'SEGMENTED' ? 'Segmented Route' :
+                 result.type === 'WIDER' ? 'Wider Ticket' :
                  'Mixed Segmented Route'}
               </Text>
               <Text style={styles.routeTypeSubtitle}>
@@ -1182,8 +1450,24 @@ const MatrixResultsScreen = ({ route, navigation }) => {
               </Text>
             </View>
           </View>
+          <Text style={styles.routeRankText}>#{index + 1}</Text>
         </View>
 
+        {result.type === 'WIDER' && (
+          <View style={styles.widerNote}>
+            <Ionicons name="information-circle-outline" size={16} color="#6D4C00" />
+            <Text style={styles.widerNoteText}>
+              {result.segments[0].from !== result.coveredFrom && result.segments[0].to !== result.coveredTo
+                ? `Buy from ${result.segments[0].from} to ${result.segments[0].to}`
+                : result.segments[0].from !== result.coveredFrom
+                  ? `Buy from ${result.segments[0].from}`
+                  : `Buy to ${result.segments[0].to}`}
+              {`, then travel ${result.coveredFrom} → ${result.coveredTo} on it.`}
+              {result.extraFare !== null ? ` ৳${result.extraFare} more than the sold-out direct ticket.` : ''}
+            </Text>
+          </View>
+        )}
+
         {/* Route Segments */}
         <View style={styles.segmentsContainer}>
           {result.segments.map((segment, segIndex) => {
@@ -1254,7 +1538,11 @@ const MatrixResultsScreen = ({ route, navigation }) => {
                 <Divider style={styles.fareGridDivider} />
                 
                 <View style={styles.segmentTotal}>
-                  <Text style={styles.segmentTotalLabel}>Total Amount</Text>
+                  <Text style={styles.segmentTotalLabel}>
+                    {segment.passengers > 1
+                      ? `Total for ${segment.passengers} (৳${segment.farePerPassenger} each)`
+                      : 'Total Amount'}
+                  </Text>
                   <Text style={styles.segmentTotalValue}>৳{segment.total}</Text>
                 </View>
               </View>
@@ -1299,10 +1587,36 @@ const MatrixResultsScreen = ({ route, navigation }) => {
           </View>
           <Text style={styles.grandTotalValue}>৳{result.totalFare}</Text>
         </View>
+        {result.segments.length > 1 && (
+          <Text style={styles.grandTotalBreakdown}>
+            Base ৳{result.fareBreakdown.base}
+            {result.fareBreakdown.vat > 0 ? ` · VAT ৳${result.fareBreakdown.vat}` : ''}
+            {` · Service ৳${result.fareBreakdown.charge}`}
+          </Text>
+        )}
       </Surface>
     ));
   };
 
+  const renderRankingSelector = () => (
+    <View style={styles.rankingSelector}>
+      <Text style={styles.rankingLabel}>Sort by</Text>
+      {Object.values(RANKING_OBJECTIVES).map(objective => (
+        <Chip
+          key={objective}
+          compact
+          selected={rankingObjective === objective}
+          mode={rankingObjective === objective ? 'flat' : 'outlined'}
+          onPress={() => handleRankingChange(objective)}
+          style={styles.rankingChip}
+          textStyle={styles.rankingChipText}
+        >
+          {RANKING_OBJECTIVE_LABELS[objective]}
+        </Chip>
+      ))}
+    </View>
+  );
+
   const renderRouteChecker = () => {
     return (
       <Surface style={styles.routeCheckerCard} elevation={2}>
@@ -1509,6 +1823,52 @@ const MatrixResultsScreen = ({ route, navigation }) => {
             </View>
           </View>
 
+          <View style={styles.passengerRow}>
+            <View style={styles.passengerLabelContainer}>
+              <Ionicons name="people" size={18} color="#006747" />
+              <Text style={styles.passengerLabel}>Passengers</Text>
+            </View>
+            <View style={styles.passengerStepper}>
+              <IconButton
+                icon="minus"
+                size={18}
+                mode="outlined"
+                disabled={passengerCount <= 1}
+                onPress={() => handlePassengerCountChange(passengerCount - 1)}
+              />
+              <Text style={styles.passengerCount}>{passengerCount}</Text>
+              <IconButton
+                icon="plus"
+                size={18}
+                mode="outlined"
+                disabled={passengerCount >= MAX_PASSENGERS}
+                onPress={() => handlePassengerCountChange(passengerCount + 1)}
+              />
+            </View>
+          </View>
+          {passengerCount > 1 && (
+            <Text style={styles.passengerHint}>
+              Every ticket needs {passengerCount} online seats. Highlighted matrix cells have enough for the group.
+            </Text>
+          )}
+
+          <TouchableRipple
+            onPress={() => setShowPreferenceDialog(true)}
+            style={styles.preferenceRow}
+            borderless
+          >
+            <View style={styles.preferenceRowContent}>
+              <Ionicons name="options" size={18} color="#006747" />
+              <View style={styles.preferenceTextContainer}>
+                <Text style={styles.preferenceLabel}>Seat Class Preference</Text>
+                <Text style={styles.preferenceSummary} numberOfLines={2}>
+                  {getClassPreferenceSummary()}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={18} color="#49454F" />
+            </View>
+          </TouchableRipple>
+
           <Button
             mode="contained"
             onPress={checkRouteAvailability}
@@ -1576,6 +1936,10 @@ const MatrixResultsScreen = ({ route, navigation }) => {
     >
       {renderTrainInfo()}
       
+      {renderLiveRefreshProgress()}
+      
+      {renderFailedCellsNotice()}
+      
       {/* Train Route Section - Added collapsible section */}
       {renderTrainRouteSection()}
       
@@ -1588,6 +1952,11 @@ const MatrixResultsScreen = ({ route, navigation }) => {
             </Text>
           </View>
         </View>
+        {availableSeatTypes.length === 0 && isLiveRefreshing && (
+          <Text style={styles.seatTypesPendingText}>
+            Seat types appear here as soon as a route with seats is loaded.
+          </Text>
+        )}
         <View style={styles.seatTypesScrollContainer}>
           <FlatList
             data={availableSeatTypes}
@@ -1741,6 +2110,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
                 ref={bodyScrollRef}
                 onScroll={(event) => {
                   const { contentOffset } = event.nativeEvent;
+                  matrixScrollOffset.current.x = contentOffset.x;
                   
                   // Sync horizontal scroll with header in real-time
                   if (headerScrollRef.current) {
@@ -1764,6 +2134,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
                   } : undefined}
                   onScroll={(event) => {
                     const { contentOffset } = event.nativeEvent;
+                    matrixScrollOffset.current.y = contentOffset.y;
                     
                     // Sync vertical scroll with left column in real-time
                     if (leftScrollRef.current) {
@@ -1829,6 +2200,7 @@ const MatrixResultsScreen = ({ route, navigation }) => {
       {routeResults && routeResults.length > 0 && (
         <View ref={routeResultsRef} style={styles.routeResultsContainer}>
           <Text style={styles.routeResultsTitle}>Available Ticket Options</Text>
+          {renderRankingSelector()}
           {renderRouteResults()}
         </View>
       )}
@@ -1842,6 +2214,8 @@ const MatrixResultsScreen = ({ route, navigation }) => {
       <View style={styles.bottomSpacing} />
       
       {renderCellDetailModal()}
+
+      {renderPreferenceDialog()}
       
       {/* Error Dialog */}
       <Portal>
@@ -1871,6 +2245,8 @@ const MatrixResultsScreen = ({ route, navigation }) => {
             </Surface>
             <Text style={styles.refreshDialogHint}>
               This will fetch fresh seat availability data from the server.
+              Update refreshes seats in place, starting with the routes on screen.
+              Full Reload also reloads the train route.
             </Text>
           </Dialog.Content>
           <Dialog.Actions style={styles.refreshDialogActions}>
@@ -1883,8 +2259,16 @@ const MatrixResultsScreen = ({ route, navigation }) => {
               Cancel
             </Button>
             <Button
-              mode="contained"
+              mode="text"
               onPress={handleRefreshConfirm}
+              textColor="#006747"
+              labelStyle={styles.refreshCancelButtonLabel}
+            >
+              Full Reload
+            </Button>
+            <Button
+              mode="contained"
+              onPress={handleIncrementalRefresh}
               buttonColor="#006747"
               textColor="#FFFFFF"
               style={styles.refreshUpdateButton}
@@ -2006,6 +2390,12 @@ const styles = StyleSheet.create({
     color: '#006747',
     marginLeft: 8,
   },
+  selectionText: {
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#49454F',
+    textAlign: 'center',
+    marginTop: 8,
+  },
   
   // Warning Card
   warningCard: {
@@ -2034,6 +2424,30 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginBottom: 2,
   },
+  failedNoticeCard: {
+    marginHorizontal: 16,
+    marginVertical: 8,
+    backgroundColor: '#FFF8F7',
+    borderRadius: 16,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#F5C2C0',
+  },
+  failedNoticeTitle: {
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#B3261E',
+    marginLeft: 8,
+    fontSize: 13,
+  },
+  retryFailedButton: {
+    alignSelf: 'flex-start',
+    marginTop: 12,
+    borderRadius: 20,
+  },
+  retryFailedButtonLabel: {
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    fontSize: 13,
+  },
   alertTip: {
     flexDirection: 'row',
     alignItems: 'flex-start',
@@ -2240,6 +2654,10 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#CFE9D9',
   },
+  groupCellContent: {
+    borderWidth: 2,
+    borderColor: '#006747',
+  },
   ticketCountContainer: {
     backgroundColor: '#C1E1C1',
     borderRadius: 6,
@@ -2284,6 +2702,26 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontFamily: 'PlusJakartaSans-Medium',
   },
+  failedCell: {
+    flex: 1,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  failedCellContent: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FDECEA',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#F5C2C0',
+  },
+  failedCellText: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#B3261E',
+    marginTop: 2,
+  },
   
   // Dialog Styles - Material Design 3
   dialogContainer: {
@@ -2525,6 +2963,84 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#CFE9D9',
   },
+  passengerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  passengerLabelContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  passengerLabel: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#1C1B1F',
+  },
+  passengerStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  passengerCount: {
+    minWidth: 24,
+    textAlign: 'center',
+    fontSize: 16,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  passengerHint: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#49454F',
+    marginBottom: 8,
+  },
+  preferenceRow: {
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  preferenceRowContent: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  preferenceTextContainer: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  preferenceLabel: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#1C1B1F',
+  },
+  preferenceSummary: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#49454F',
+    marginTop: 2,
+  },
+  preferenceHint: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#49454F',
+    marginBottom: 12,
+  },
+  preferenceItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  preferenceItemText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#1C1B1F',
+  },
+  preferenceItemExcluded: {
+    color: '#9CA3AF',
+    textDecorationLine: 'line-through',
+  },
   searchButton: {
     backgroundColor: '#006747',
     borderRadius: 12,
@@ -2640,6 +3156,26 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     textAlign: 'center',
   },
+  rankingSelector: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  rankingLabel: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#49454F',
+    marginRight: 8,
+  },
+  rankingChip: {
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  rankingChipText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+  },
   routeResultCard: {
     backgroundColor: '#FFFFFF',
     borderRadius: 16,
@@ -2724,6 +3260,9 @@ const styles = StyleSheet.create({
   mixedHeader: {
     backgroundColor: '#FCE4EC',
   },
+  widerHeader: {
+    backgroundColor: '#FFF3E0',
+  },
   routeTypeLeft: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -2746,6 +3285,24 @@ const styles = StyleSheet.create({
   mixedIcon: {
     backgroundColor: '#E91E63',
   },
+  widerIcon: {
+    backgroundColor: '#F59E0B',
+  },
+  widerNote: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: '#FFF8E1',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  widerNoteText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#6D4C00',
+    lineHeight: 18,
+  },
   routeTypeTextContainer: {
     flex: 1,
   },
@@ -2760,6 +3317,11 @@ const styles = StyleSheet.create({
     fontFamily: 'PlusJakartaSans-Medium',
     color: '#49454F',
   },
+  routeRankText: {
+    fontSize: 16,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#49454F',
+  },
   routeTypeBadge: {
     borderRadius: 12,
   },
@@ -2973,6 +3535,15 @@ const styles = StyleSheet.create({
     fontFamily: 'PlusJakartaSans-ExtraBold',
     color: '#FFFFFF',
   },
+  grandTotalBreakdown: {
+    backgroundColor: '#006747',
+    color: '#E0F2E9',
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    textAlign: 'right',
+  },
 
   // Error Dialog Styles
   errorDialog: {
@@ -3102,6 +3673,52 @@ const styles = StyleSheet.create({
     marginHorizontal: 12,
   },
   
+  seatTypesPendingText: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#79747E',
+  },
+  
+  // Incremental refresh progress
+  liveRefreshCard: {
+    marginHorizontal: 16,
+    marginVertical: 8,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  liveRefreshHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  liveRefreshTitle: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+  },
+  liveRefreshCancelLabel: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+  },
+  liveRefreshProgressBar: {
+    height: 6,
+    borderRadius: 3,
+    marginTop: 8,
+    backgroundColor: '#E8F5F0',
+  },
+  liveRefreshMessage: {
+    marginTop: 8,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#49454F',
+    lineHeight: 16,
+  },
+  
   // Loading Dialog Styles
   loadingDialog: {
     margin: 24,
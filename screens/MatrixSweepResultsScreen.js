@@ -0,0 +1,311 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+} from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+import { SWEEP_DATE_STATUS } from '../utils/matrixSweep';
+
+const DATE_COLUMN_WIDTH = 110;
+const SEAT_COLUMN_WIDTH = 88;
+
+// Row text for dates without seat data
+const STATUS_MESSAGES = {
+  [SWEEP_DATE_STATUS.OFF_DAY]: 'Off day - the train does not run',
+  [SWEEP_DATE_STATUS.NO_SEATS]: 'No seats on any route',
+};
+
+/**
+ * Describe the station selection a sweep was run for
+ * @param {Object|null} selection - Station selection
+ * @returns {string}
+ */
+const describeSelection = (selection) => {
+  if (!selection) return 'All stations';
+  if (selection.segment) return `Routes covering ${selection.segment.from} → ${selection.segment.to}`;
+  return 'Chosen boarding and alighting stations';
+};
+
+const MatrixSweepResultsScreen = ({ route, navigation }) => {
+  const { sweepData } = route.params;
+  const { trainName, stationSelection, seatTypes, dates } = sweepData;
+  const isSegment = Boolean(stationSelection?.segment);
+
+  const runningDays = dates.filter(entry => entry.status !== SWEEP_DATE_STATUS.OFF_DAY).length;
+  const daysWithSeats = dates.filter(entry =>
+    Object.values(entry.seatSummary).some(summary => summary.seats > 0)).length;
+
+  const openDateMatrix = (entry) => {
+    if (!entry.matrixData) return;
+    navigation.navigate('MatrixResults', { matrixData: entry.matrixData });
+  };
+
+  const renderSummary = () => (
+    <Surface style={styles.infoCard} elevation={2}>
+      <Text variant="titleLarge" style={styles.routeTitle}>{trainName}</Text>
+      <View style={styles.infoRow}>
+        <Ionicons name="git-commit" size={18} color="#006747" />
+        <Text style={styles.infoText}>{describeSelection(stationSelection)}</Text>
+      </View>
+      <View style={styles.infoRow}>
+        <Ionicons name="calendar" size={18} color="#006747" />
+        <Text style={styles.infoText}>
+          {dates[0].date} to {dates[dates.length - 1].date} · runs on {runningDays} of {dates.length} days
+        </Text>
+      </View>
+      <View style={styles.infoRow}>
+        <Ionicons name="checkmark-circle" size={18} color="#006747" />
+        <Text style={styles.infoText}>
+          Seats online on {daysWithSeats} day{daysWithSeats === 1 ? '' : 's'}
+        </Text>
+      </View>
+    </Surface>
+  );
+
+  const renderCell = (entry, seatType) => {
+    const summary = entry.seatSummary[seatType];
+
+    if (!summary || summary.seats === 0) {
+      return (
+        <View key={seatType} style={[styles.gridCell, styles.emptyCell]}>
+          <Text style={styles.emptyCellText}>—</Text>
+        </View>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        key={seatType}
+        style={[styles.gridCell, styles.availableCell]}
+        onPress={() => openDateMatrix(entry)}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.cellSeats}>{summary.seats}</Text>
+        <Text style={styles.cellDetail}>
+          {isSegment
+            ? (summary.routeCount === 1 ? 'Direct' : `${summary.routeCount} tickets`)
+            : `${summary.routeCount} route${summary.routeCount === 1 ? '' : 's'}`}
+        </Text>
+        {summary.fare !== null && (
+          <Text style={styles.cellFare}>{isSegment ? '' : 'from '}৳{summary.fare}</Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderRowMessage = (entry) => {
+    const isFailed = entry.status === SWEEP_DATE_STATUS.FAILED;
+    return (
+      <View style={[
+        styles.messageRow,
+        isFailed ? styles.failedRow : styles.offRow,
+        { width: SEAT_COLUMN_WIDTH * Math.max(seatTypes.length, 1) }
+      ]}>
+        <Ionicons
+          name={isFailed ? 'alert-circle-outline' : 'remove-circle-outline'}
+          size={16}
+          color={isFailed ? '#DC2626' : '#6B7280'}
+        />
+        <Text style={[styles.messageRowText, isFailed && styles.failedRowText]} numberOfLines={2}>
+          {isFailed ? entry.error?.message : STATUS_MESSAGES[entry.status]}
+        </Text>
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {renderSummary()}
+
+      <Surface style={styles.gridCard} elevation={2}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          <View>
+            <View style={styles.gridRow}>
+              <View style={[styles.dateCell, styles.headerCell]}>
+                <Text style={styles.headerCellText}>Date</Text>
+              </View>
+              {seatTypes.map(seatType => (
+                <View key={seatType} style={[styles.gridCell, styles.headerCell]}>
+                  <Text style={styles.headerCellText}>{seatType}</Text>
+                </View>
+              ))}
+            </View>
+
+            {dates.map(entry => (
+              <View key={entry.date} style={styles.gridRow}>
+                <TouchableOpacity
+                  style={styles.dateCell}
+                  onPress={() => openDateMatrix(entry)}
+                  disabled={!entry.matrixData}
+                >
+                  <Text style={styles.dateCellText}>{entry.date}</Text>
+                  {entry.matrixData && <Text style={styles.dateCellLink}>Open matrix</Text>}
+                </TouchableOpacity>
+                {entry.status === SWEEP_DATE_STATUS.OK
+                  ? seatTypes.map(seatType => renderCell(entry, seatType))
+                  : renderRowMessage(entry)}
+              </View>
+            ))}
+          </View>
+        </ScrollView>
+      </Surface>
+
+      <Text style={styles.legendText}>
+        {isSegment
+          ? 'Cells show the fewest seats on the cheapest tickets for the segment and their total fare.'
+          : 'Cells show the most seats on one route, how many routes have seats and the lowest fare.'}
+      </Text>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7F9FC',
+  },
+  content: {
+    paddingBottom: 24,
+  },
+
+  // Summary Card
+  infoCard: {
+    margin: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  routeTitle: {
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+    marginLeft: 8,
+  },
+
+  // Calendar Grid
+  gridCard: {
+    marginHorizontal: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+    overflow: 'hidden',
+  },
+  gridRow: {
+    flexDirection: 'row',
+  },
+  headerCell: {
+    backgroundColor: '#006747',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  headerCellText: {
+    color: '#FFFFFF',
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    fontSize: 11,
+    textAlign: 'center',
+  },
+  dateCell: {
+    width: DATE_COLUMN_WIDTH,
+    padding: 8,
+    borderRightWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+    justifyContent: 'center',
+  },
+  dateCellText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+  },
+  dateCellLink: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+    marginTop: 2,
+  },
+  gridCell: {
+    width: SEAT_COLUMN_WIDTH,
+    minHeight: 60,
+    padding: 6,
+    borderRightWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyCell: {
+    backgroundColor: '#F9FAFB',
+  },
+  emptyCellText: {
+    color: '#9CA3AF',
+  },
+  availableCell: {
+    backgroundColor: '#ECFDF5',
+  },
+  cellSeats: {
+    fontSize: 15,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  cellDetail: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#374151',
+  },
+  cellFare: {
+    fontSize: 9,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+  },
+  messageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    borderBottomWidth: 1,
+    borderColor: '#DDE5DB',
+  },
+  offRow: {
+    backgroundColor: '#F3F4F6',
+  },
+  failedRow: {
+    backgroundColor: '#FEF2F2',
+  },
+  messageRowText: {
+    flex: 1,
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#6B7280',
+    marginLeft: 6,
+  },
+  failedRowText: {
+    color: '#DC2626',
+  },
+  legendText: {
+    marginHorizontal: 20,
+    marginTop: 12,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    textAlign: 'center',
+  },
+});
+
+export default MatrixSweepResultsScreen;
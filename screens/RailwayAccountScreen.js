@@ -11,6 +11,7 @@ import {
 import { useState, useEffect } from 'react';
 import { RailwayAccountStorage } from '../utils/storage';
 import { verifyCredentials as verifyCredentialsAPI } from '../utils/railwayAPI';
+import { ERROR_CODES } from '../utils/railwayErrors';
 import { 
   Card, 
   Text, 
@@ -231,12 +232,15 @@ export default function RailwayAccountScreen() {
     } catch (error) {
       let errorMessage = 'Verification failed. ';
       
-      if (error.message === 'AUTH_TOKEN_EXPIRED') {
+      // Wording here omits "in Settings" because the user is already on the credentials screen
+      if (error.code === ERROR_CODES.AUTH_TOKEN_EXPIRED) {
         errorMessage = 'Auth Token has expired or is invalid (valid for 24 hours). Please update your credentials with a new token and device key.';
-      } else if (error.message === 'AUTH_DEVICE_KEY_EXPIRED') {
+      } else if (error.code === ERROR_CODES.DEVICE_KEY_EXPIRED) {
         errorMessage = 'Device Key has expired or is invalid. Please update your credentials with a new token and device key.';
-      } else if (error.message.includes('Network') || error.message.includes('connection')) {
+      } else if (error.code === ERROR_CODES.NETWORK) {
         errorMessage = 'Unable to connect to Bangladesh Railway servers. Please check your internet connection and try again.';
+      } else if (error.code) {
+        errorMessage = error.message;
       } else {
         errorMessage += error.message || 'Unable to verify your credentials. Please check your Auth Token and Device Key, then try again.';
       }
@@ -0,0 +1,305 @@
+import React from 'react';
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  Divider,
+  Button,
+} from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+
+/**
+ * Short description of a ticket plan: seat type and "Direct" or ticket count
+ * @param {Object} option - Route from the route planner
+ * @returns {string}
+ */
+const describeOption = (option) => {
+  const seatTypes = [...new Set(option.segments.map(segment => segment.seatType))].join(' + ');
+  return option.type === 'DIRECT'
+    ? `${seatTypes} · Direct`
+    : `${seatTypes} · ${option.segments.length} tickets`;
+};
+
+const RoundTripResultsScreen = ({ route, navigation }) => {
+  const { roundTripData } = route.params;
+  const {
+    origin,
+    destination,
+    outboundDate,
+    returnDate,
+    outbound,
+    inbound,
+    combinations,
+    classCombinations
+  } = roundTripData;
+
+  const openDirection = (direction) => {
+    if (!direction.data) return;
+    navigation.navigate('CorridorResults', { corridorData: direction.data });
+  };
+
+  const renderSummary = () => (
+    <Surface style={styles.infoCard} elevation={2}>
+      <Text variant="titleLarge" style={styles.routeTitle}>
+        {origin} ⇄ {destination}
+      </Text>
+      <View style={styles.infoRow}>
+        <Ionicons name="arrow-forward-circle" size={18} color="#006747" />
+        <Text style={styles.infoText}>Outbound: {outboundDate}</Text>
+      </View>
+      <View style={styles.infoRow}>
+        <Ionicons name="arrow-back-circle" size={18} color="#006747" />
+        <Text style={styles.infoText}>Return: {returnDate}</Text>
+      </View>
+    </Surface>
+  );
+
+  const renderJourney = (journey, label, icon) => (
+    <View style={styles.journeyRow}>
+      <Ionicons name={icon} size={18} color="#006747" />
+      <View style={styles.journeyInfo}>
+        <Text style={styles.journeyTrain} numberOfLines={1}>{label}: {journey.trainName}</Text>
+        <Text style={styles.journeyDetail}>
+          {journey.departureTime} · {describeOption(journey.option)}
+        </Text>
+      </View>
+      <Text style={styles.journeyFare}>৳{journey.option.totalFare}</Text>
+    </View>
+  );
+
+  const renderCombination = (combination, index, title) => (
+    <Surface key={index} style={styles.comboCard} elevation={1}>
+      <View style={styles.comboHeader}>
+        <Text style={styles.comboTitle}>{title}</Text>
+        <Text style={styles.comboFare}>৳{combination.totalFare}</Text>
+      </View>
+      <Divider style={styles.divider} />
+      {renderJourney(combination.outbound, 'Out', 'arrow-forward')}
+      {renderJourney(combination.inbound, 'Back', 'arrow-back')}
+    </Surface>
+  );
+
+  const renderDirection = (direction, label) => (
+    <Surface style={styles.directionCard} elevation={1}>
+      <View style={styles.directionHeader}>
+        <Text style={styles.directionTitle}>{label}</Text>
+        {direction.data && (
+          <Button mode="text" compact onPress={() => openDirection(direction)}>
+            Compare Trains
+          </Button>
+        )}
+      </View>
+      {direction.status === 'failed' ? (
+        <View style={styles.failedRow}>
+          <Ionicons name="alert-circle-outline" size={16} color="#DC2626" />
+          <Text style={styles.failedText}>{direction.error?.message}</Text>
+        </View>
+      ) : (
+        direction.data.trains.map(train => (
+          <Text key={train.trainModel} style={styles.directionTrain}>
+            {train.trainName} · {train.bestOption
+              ? `৳${train.bestOption.totalFare} (${describeOption(train.bestOption)})`
+              : (train.status === 'failed' ? train.error?.message : 'No tickets')}
+          </Text>
+        ))
+      )}
+    </Surface>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {renderSummary()}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Cheapest Round Trips</Text>
+        {combinations.length > 0 ? (
+          combinations.map((combination, index) => renderCombination(combination, index, `#${index + 1}`))
+        ) : (
+          <Surface style={styles.emptyCard} elevation={1}>
+            <Ionicons name="alert-circle" size={36} color="#FF9800" />
+            <Text style={styles.emptyText}>
+              Tickets are not available in both directions. See each direction below.
+            </Text>
+          </Surface>
+        )}
+      </View>
+
+      {classCombinations.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Same Class Both Ways</Text>
+          {classCombinations.map((combination, index) =>
+            renderCombination(combination, `class-${index}`, combination.seatType))}
+        </View>
+      )}
+
+      <View style={styles.section}>
+        {renderDirection(outbound, `${origin} → ${destination}`)}
+        {renderDirection(inbound, `${destination} → ${origin}`)}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7F9FC',
+  },
+  content: {
+    paddingBottom: 24,
+  },
+
+  // Summary Card
+  infoCard: {
+    margin: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  routeTitle: {
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  infoText: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+    marginLeft: 8,
+  },
+
+  // Sections
+  section: {
+    marginHorizontal: 16,
+    marginTop: 8,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+
+  // Combination Cards
+  comboCard: {
+    padding: 14,
+    borderRadius: 16,
+    marginBottom: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  comboHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  comboTitle: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#6B7280',
+  },
+  comboFare: {
+    fontSize: 18,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  divider: {
+    backgroundColor: '#DDE5DB',
+    height: 1,
+    marginVertical: 10,
+  },
+  journeyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  journeyInfo: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  journeyTrain: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#1F2937',
+  },
+  journeyDetail: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  journeyFare: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#374151',
+  },
+
+  // Direction Cards
+  directionCard: {
+    padding: 14,
+    borderRadius: 16,
+    marginBottom: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  directionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  directionTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+  },
+  directionTrain: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#374151',
+    marginTop: 4,
+  },
+  failedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#FEF2F2',
+  },
+  failedText: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#DC2626',
+    marginLeft: 6,
+  },
+
+  // Empty State
+  emptyCard: {
+    padding: 20,
+    borderRadius: 16,
+    marginBottom: 12,
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+  emptyText: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+});
+
+export default RoundTripResultsScreen;
@@ -26,15 +26,50 @@ import {
   ProgressBar,
 } from 'react-native-paper';
 import { LinearGradient } from 'expo-linear-gradient';
+import { ERROR_CODES, describeError, isCanceledError } from '../utils/railwayErrors';
+import { clearTripSearchCache } from '../utils/tripSearchCache';
+import { findAdjacentSeats } from '../utils/seatFinder';
+import { extractTrainModel } from '../utils/railwayAPI';
 
 const { width, height } = Dimensions.get('window');
 
+// Party sizes the adjacent-seat finder offers (the website sells up to 4 tickets at once)
+const MIN_PARTY_SIZE = 2;
+const MAX_PARTY_SIZE = 4;
+// Coaches and clusters listed per seat type
+const MAX_COACHES_SHOWN = 3;
+const MAX_CLUSTERS_SHOWN = 3;
+
+// Coach map colours, one per seat status
+const SEAT_STATUS_STYLES = {
+  available: { label: 'Available', backgroundColor: '#E6F4EA', borderColor: '#006747', color: '#006747' },
+  booking: { label: 'In Booking', backgroundColor: '#FFF8E1', borderColor: '#E09B00', color: '#92400E' },
+  upcoming: { label: 'Soon to be Issued', backgroundColor: '#E0F2FE', borderColor: '#0284C7', color: '#075985' },
+  reserved: { label: 'Reserved', backgroundColor: '#F3E8FF', borderColor: '#7C3AED', color: '#5B21B6' },
+  sold: { label: 'Sold', backgroundColor: '#F3F4F6', borderColor: '#D1D5DB', color: '#9CA3AF' },
+};
+
+/**
+ * Status of a seat on the coach map, using the same rules as the seat lists
+ * @param {Object} seat - Seat cell from coach_layouts
+ * @returns {string} - Key of SEAT_STATUS_STYLES
+ */
+const getSeatStatus = (seat) => {
+  if (seat.seat_availability === 1) return 'available';
+  if (seat.seat_availability === 2 && [1, 2, 3].includes(seat.ticket_type)) return 'booking';
+  if (seat.ticket_type === 2) return 'upcoming';
+  if (seat.ticket_type === 4) return 'reserved';
+  return 'sold';
+};
+
 export default function SeatAvailabilityResultsScreen({ route, navigation }) {
   const theme = useTheme();
   const { availabilityData, origin, destination, date, seatClass } = route.params;
   
   const [expandedTrains, setExpandedTrains] = useState({});
   const [expandedSeatTypes, setExpandedSeatTypes] = useState({});
+  const [coachMapKeys, setCoachMapKeys] = useState({});
+  const [partySize, setPartySize] = useState(MIN_PARTY_SIZE);
   const [showErrorDialog, setShowErrorDialog] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [shouldNavigateBackOnError, setShouldNavigateBackOnError] = useState(false);
@@ -127,6 +162,14 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
     }));
   };
 
+  const setCoachMapShown = (tripNumber, seatType, shown) => {
+    const key = `${tripNumber}-${seatType}`;
+    setCoachMapKeys(prev => ({
+      ...prev,
+      [key]: shown
+    }));
+  };
+
   const handleBuyTickets = () => {
     const url = `https://eticket.railway.gov.bd/booking/train/search?fromcity=${encodeURIComponent(origin)}&tocity=${encodeURIComponent(destination)}&doj=${encodeURIComponent(date)}&class=${seatClass}`;
     Linking.openURL(url).catch(err => {
@@ -135,6 +178,20 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
     });
   };
 
+  // Open the seat watch screen with a new watch for this train and seat type
+  const handleWatchSeats = (tripNumber, seatType) => {
+    navigation.navigate('SeatWatches', {
+      newWatch: {
+        trainModel: extractTrainModel(tripNumber),
+        trainName: tripNumber,
+        origin,
+        destination,
+        date,
+        seatType
+      }
+    });
+  };
+
   // Handle pull to refresh - show confirmation dialog
   const onRefresh = () => {
     setRefreshing(true);
@@ -170,6 +227,9 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
 
       // Import checkSeatAvailability
       const { checkSeatAvailability } = require('../utils/railwayAPI');
+
+      // The user asked for fresh data - don't answer from recent searches
+      clearTripSearchCache();
       
       // Recheck seat availability with same parameters
       const newAvailabilityData = await checkSeatAvailability(
@@ -196,6 +256,7 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
       // Reset UI states
       setExpandedTrains({});
       setExpandedSeatTypes({});
+      setCoachMapKeys({});
 
       // Auto-expand first train if there's only one
       if (newAvailabilityData && Object.keys(newAvailabilityData).length === 1) {
@@ -210,34 +271,25 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
       console.error('Seat availability refresh error:', error);
 
       // Handle cancellation
-      if (error.name === 'AbortError' || error.message.includes('canceled') || error.message.includes('aborted')) {
+      if (isCanceledError(error) || controller.signal.aborted) {
         console.log('Refresh was cancelled by user');
         return;
       }
 
       // Show error dialog
-      let errorMsg = error.message || 'Failed to refresh seat availability. Please try again.';
-      let shouldGoBack = false;
-      
-      // Check if this is an error that requires going back to search
-      if (errorMsg.includes('At this moment, no trains are found') ||
-          errorMsg.includes('Ticket purchasing for the selected criteria is not yet available') ||
-          errorMsg.includes('Your purchase process for some tickets is ongoing') ||
-          errorMsg.includes('You already have an active reservation process') ||
-          errorMsg.includes('maximum order limit for all trains') ||
-          errorMsg.includes('An error occurred while fetching seat details') ||
-          errorMsg.includes('Authentication failed') || 
-          errorMsg.includes('Mobile Number or Password is incorrect') ||
-          errorMsg.includes('Railway account credentials not found')) {
-        shouldGoBack = true;
-      }
+      const { message: errorMsg, isCredentialError } = describeError(
+        error,
+        'Failed to refresh seat availability. Please try again.'
+      );
       
-      // Handle specific errors
-      if (errorMsg.includes('Authentication failed') || errorMsg.includes('Mobile Number or Password is incorrect')) {
-        errorMsg = 'Authentication failed. Please check your auth token and device key in Settings.';
-      } else if (errorMsg.includes('Railway account credentials not found')) {
-        errorMsg = 'Railway account credentials not found. Please add your credentials in Settings.';
-      }
+      // Errors that leave nothing to show here require going back to search
+      const shouldGoBack = isCredentialError || [
+        ERROR_CODES.NO_TRAINS_FOUND,
+        ERROR_CODES.TICKET_SALE_NOT_OPEN,
+        ERROR_CODES.PURCHASE_IN_PROGRESS,
+        ERROR_CODES.ORDER_LIMIT_EXCEEDED,
+        ERROR_CODES.SEAT_INFO_UNAVAILABLE,
+      ].includes(error.code);
 
       setErrorMessage(errorMsg);
       setShouldNavigateBackOnError(shouldGoBack);
@@ -272,10 +324,176 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
     }
   };
 
+  const renderSeatViewToggle = (tripNumber, type, showCoachMap) => (
+    <View style={styles.viewToggle}>
+      {[
+        { label: 'Seat List', icon: 'format-list-bulleted', shown: false },
+        { label: 'Coach Map', icon: 'seat-passenger', shown: true },
+      ].map(option => {
+        const isActive = option.shown === showCoachMap;
+        return (
+          <TouchableOpacity
+            key={option.label}
+            style={[styles.viewToggleOption, isActive && styles.viewToggleOptionActive]}
+            onPress={() => setCoachMapShown(tripNumber, type, option.shown)}
+            activeOpacity={0.7}
+          >
+            <Icon source={option.icon} size={16} color={isActive ? '#FFFFFF' : '#006747'} />
+            <Text style={[styles.viewToggleText, isActive && styles.viewToggleTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderCoachMap = (coachLayouts) => {
+    const statusesShown = Object.keys(SEAT_STATUS_STYLES).filter(status =>
+      coachLayouts.some(({ floors }) => floors.some(({ rows }) =>
+        rows.some(row => row.some(seat => seat && getSeatStatus(seat) === status)))));
+
+    return (
+      <View>
+        <View style={styles.mapLegend}>
+          {statusesShown.map(status => (
+            <View key={status} style={styles.mapLegendItem}>
+              <View style={[
+                styles.mapLegendSwatch,
+                {
+                  backgroundColor: SEAT_STATUS_STYLES[status].backgroundColor,
+                  borderColor: SEAT_STATUS_STYLES[status].borderColor
+                }
+              ]} />
+              <Text style={styles.mapLegendText}>{SEAT_STATUS_STYLES[status].label}</Text>
+            </View>
+          ))}
+        </View>
+
+        {coachLayouts.map(({ coach, floors }) => {
+          const availableInCoach = floors.reduce((count, { rows }) =>
+            count + rows.flat().filter(seat => seat && getSeatStatus(seat) === 'available').length, 0);
+
+          return (
+            <View key={coach} style={styles.coachMap}>
+              <View style={styles.coachMapHeader}>
+                <Text style={styles.coachMapTitle}>Coach {coach}</Text>
+                <Text style={styles.coachMapCount}>
+                  {availableInCoach} available
+                </Text>
+              </View>
+              {floors.map((floor, floorIndex) => (
+                <View key={floorIndex} style={styles.coachFloor}>
+                  {floors.length > 1 && (
+                    <Text style={styles.coachFloorName}>{floor.name}</Text>
+                  )}
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    <View>
+                      {floor.rows.map((row, rowIndex) => (
+                        <View key={rowIndex} style={styles.coachRow}>
+                          {row.map((seat, columnIndex) => {
+                            if (!seat) {
+                              return <View key={columnIndex} style={styles.coachGap} />;
+                            }
+                            const statusStyle = SEAT_STATUS_STYLES[getSeatStatus(seat)];
+                            return (
+                              <View
+                                key={columnIndex}
+                                style={[
+                                  styles.coachSeat,
+                                  {
+                                    backgroundColor: statusStyle.backgroundColor,
+                                    borderColor: statusStyle.borderColor
+                                  }
+                                ]}
+                              >
+                                <Text style={[styles.coachSeatText, { color: statusStyle.color }]} numberOfLines={1}>
+                                  {seat.seat_number.split('-').slice(1).join('-') || seat.seat_number}
+                                </Text>
+                              </View>
+                            );
+                          })}
+                        </View>
+                      ))}
+                    </View>
+                  </ScrollView>
+                </View>
+              ))}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
+  const renderSeatsTogether = (type, coachLayouts) => {
+    const { groupCount, coaches } = findAdjacentSeats(coachLayouts, partySize, type);
+
+    return (
+      <View style={styles.togetherSection}>
+        <View style={styles.togetherHeader}>
+          <Icon source="account-group" size={18} color="#006747" />
+          <Text style={styles.togetherTitle}>Seats together for</Text>
+          <IconButton
+            icon="minus"
+            size={14}
+            mode="outlined"
+            style={styles.partySizeButton}
+            iconColor="#006747"
+            disabled={partySize <= MIN_PARTY_SIZE}
+            onPress={() => setPartySize(size => Math.max(MIN_PARTY_SIZE, size - 1))}
+          />
+          <Text style={styles.partySizeText}>{partySize}</Text>
+          <IconButton
+            icon="plus"
+            size={14}
+            mode="outlined"
+            style={styles.partySizeButton}
+            iconColor="#006747"
+            disabled={partySize >= MAX_PARTY_SIZE}
+            onPress={() => setPartySize(size => Math.min(MAX_PARTY_SIZE, size + 1))}
+          />
+        </View>
+
+        {coaches.length === 0 ? (
+          <Text style={styles.togetherEmptyText}>
+            No {partySize} available seats sit next to each other in any coach.
+          </Text>
+        ) : (
+          <View>
+            <Text style={styles.togetherSummary}>
+              {groupCount} group{groupCount === 1 ? '' : 's'} of {partySize} can sit together
+              {coaches.length > 1 ? ` across ${coaches.length} coaches` : ` in coach ${coaches[0].coach}`}
+            </Text>
+            {coaches.slice(0, MAX_COACHES_SHOWN).map(({ coach, groupCount: coachGroups, availableCount, clusters }) => (
+              <View key={coach} style={styles.togetherCoach}>
+                <Text style={styles.togetherCoachTitle}>
+                  Coach {coach} · {coachGroups} group{coachGroups === 1 ? '' : 's'} · {availableCount} available
+                </Text>
+                {clusters.slice(0, MAX_CLUSTERS_SHOWN).map((cluster, index) => (
+                  <Text key={index} style={styles.togetherCluster}>
+                    {cluster.seats.join(', ')}{cluster.facing ? ' (facing)' : ''}
+                  </Text>
+                ))}
+                {clusters.length > MAX_CLUSTERS_SHOWN && (
+                  <Text style={styles.togetherMore}>
+                    +{clusters.length - MAX_CLUSTERS_SHOWN} more in this coach
+                  </Text>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
   const renderSeatTypeSection = (tripNumber, seatTypeData) => {
-    const { type, available_count, booking_process_count, grouped_seats, grouped_booking_process, ticket_types, is_422, error_message } = seatTypeData;
+    const { type, available_count, booking_process_count, grouped_seats, grouped_booking_process, ticket_types, is_422, error_message, ticket_fare, coach_layouts } = seatTypeData;
     const key = `${tripNumber}-${type}`;
     const isExpanded = expandedSeatTypes[key];
+    const hasCoachMap = coach_layouts?.length > 0;
+    const showCoachMap = hasCoachMap && Boolean(coachMapKeys[key]);
     
     // Check if all seats are booked
     const allSeatsBooked = available_count === 0 && booking_process_count === 0;
@@ -296,6 +514,17 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
             </View>
             <Text style={styles.seatTypeTitle}>Seat Type: {type}</Text>
           </View>
+          {ticket_fare > 0 && (
+            <Text style={styles.seatTypeFare}>৳{Math.round(ticket_fare)} per ticket</Text>
+          )}
+          <IconButton
+            icon="bell-plus-outline"
+            size={18}
+            iconColor="#006747"
+            style={styles.watchButton}
+            onPress={() => handleWatchSeats(tripNumber, type)}
+            accessibilityLabel={`Watch ${type} seats`}
+          />
         </View>
 
         {/* Issued Tickets Section */}
@@ -410,7 +639,12 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
               </Chip>
             </View>
 
+            {hasCoachMap && available_count > 0 && renderSeatsTogether(type, coach_layouts)}
+
+            {hasCoachMap && renderSeatViewToggle(tripNumber, type, showCoachMap)}
+
             {/* Available and Booking Seats Table */}
+            {showCoachMap ? renderCoachMap(coach_layouts) : (
             <DataTable style={styles.dataTable}>
               <DataTable.Header style={styles.tableHeader}>
                 <DataTable.Title style={styles.tableHeaderCellStatus} numberOfLines={3}>
@@ -464,6 +698,7 @@ export default function SeatAvailabilityResultsScreen({ route, navigation }) {
                   </DataTable.Row>
                 ))}
               </DataTable>
+            )}
           </View>
         )}
       </View>
@@ -977,10 +1212,20 @@ const styles = StyleSheet.create({
     color: '#006747',
     flexWrap: 'wrap',
   },
+  seatTypeFare: {
+    marginLeft: 10,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#49454F',
+  },
   seatIcon: {
     marginRight: 12,
     alignSelf: 'center',
   },
+  watchButton: {
+    margin: 0,
+    marginLeft: 4,
+  },
 
   // Status Row
   statusRow: {
@@ -1071,6 +1316,185 @@ const styles = StyleSheet.create({
     marginRight: 0,
   },
 
+  // Seats Together
+  togetherSection: {
+    backgroundColor: '#F0F8F5',
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 12,
+  },
+  togetherHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  togetherTitle: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+    marginLeft: 6,
+  },
+  partySizeButton: {
+    margin: 0,
+    width: 28,
+    height: 28,
+    borderColor: '#006747',
+  },
+  partySizeText: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1C1B1F',
+    minWidth: 24,
+    textAlign: 'center',
+  },
+  togetherSummary: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#1C1B1F',
+    marginTop: 6,
+    marginBottom: 4,
+  },
+  togetherEmptyText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#92400E',
+    marginTop: 6,
+  },
+  togetherCoach: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 8,
+    padding: 8,
+    marginTop: 6,
+  },
+  togetherCoachTitle: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+    marginBottom: 2,
+  },
+  togetherCluster: {
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#1C1B1F',
+    lineHeight: 16,
+  },
+  togetherMore: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#79747E',
+    marginTop: 2,
+  },
+
+  // Seat List / Coach Map Toggle
+  viewToggle: {
+    flexDirection: 'row',
+    alignSelf: 'center',
+    borderWidth: 1,
+    borderColor: '#006747',
+    borderRadius: 20,
+    overflow: 'hidden',
+    marginBottom: 12,
+  },
+  viewToggleOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    backgroundColor: '#FFFFFF',
+  },
+  viewToggleOptionActive: {
+    backgroundColor: '#006747',
+  },
+  viewToggleText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+    marginLeft: 6,
+  },
+  viewToggleTextActive: {
+    color: '#FFFFFF',
+  },
+
+  // Coach Map
+  mapLegend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 10,
+    marginBottom: 10,
+  },
+  mapLegendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  mapLegendSwatch: {
+    width: 12,
+    height: 12,
+    borderRadius: 3,
+    borderWidth: 1,
+    marginRight: 4,
+  },
+  mapLegendText: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#49454F',
+  },
+  coachMap: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    padding: 10,
+    marginBottom: 10,
+  },
+  coachMapHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  coachMapTitle: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  coachMapCount: {
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#49454F',
+  },
+  coachFloor: {
+    marginBottom: 6,
+  },
+  coachFloorName: {
+    fontSize: 10,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#79747E',
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
+  coachRow: {
+    flexDirection: 'row',
+  },
+  coachSeat: {
+    width: 34,
+    height: 28,
+    margin: 2,
+    borderRadius: 6,
+    borderWidth: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  coachGap: {
+    width: 34,
+    height: 28,
+    margin: 2,
+  },
+  coachSeatText: {
+    fontSize: 9,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+  },
+
   // Issued Tickets Section
   issuedTicketsSection: {
     marginBottom: 16,
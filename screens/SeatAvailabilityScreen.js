@@ -24,16 +24,40 @@ import {
   Divider,
   Icon,
   ProgressBar,
+  Chip,
 } from 'react-native-paper';
 import { Calendar } from 'react-native-calendars';
 import { useNavigation } from '@react-navigation/native';
 import { getStations, refreshData } from '../utils/firebaseData';
-import { checkSeatAvailability } from '../utils/railwayAPI';
+import { checkSeatAvailability, formatDateForAPI } from '../utils/railwayAPI';
+import { computeCorridor, computeConnections } from '../utils/corridorPlanner';
+import { DEFAULT_MIN_CONNECTION_MINUTES } from '../utils/connectionPlanner';
+import { SeatClassPreferenceStorage } from '../utils/storage';
+import { computeRoundTrip } from '../utils/roundTrip';
+import { computeAvailabilityScan } from '../utils/availabilityScan';
+import { ERROR_CODES, describeError, isCanceledError } from '../utils/railwayErrors';
+import {
+  getReleaseSchedule,
+  formatCountdown,
+  formatBangladeshTime,
+  ZONE_LABELS,
+  AUTO_CHECK_DELAY_MS,
+} from '../utils/releaseSchedule';
 import { checkForUpdate, openUpdateUrl } from '../utils/updateChecker';
 import { checkForNotice, dismissNotice } from '../utils/noticeChecker';
 
 const { width } = Dimensions.get('window');
 
+// Shortest change between trains the connection planner may suggest
+const CONNECTION_TIME_OPTIONS = [15, 30, 60, 90];
+
+// How many days a date scan may cover, starting at the journey date
+const SCAN_DAY_OPTIONS = [3, 5, 7, 11];
+
+// Trains on a station pair aren't known before searching, so the countdown
+// covers both zones' sale openings
+const CORRIDOR_ZONES = ['EAST', 'WEST'];
+
 // Optimized Station List Item Component
 const StationListItem = React.memo(({ item, index, onPress, showDivider, totalItems }) => (
   <View>
@@ -60,6 +84,10 @@ export default function SeatAvailabilityScreen() {
   const [destinationStation, setDestinationStation] = useState('');
   const [journeyDate, setJourneyDate] = useState('');
   const [selectedDateString, setSelectedDateString] = useState('');
+  const [isRoundTrip, setIsRoundTrip] = useState(false);
+  const [returnDate, setReturnDate] = useState('');
+  const [returnDateString, setReturnDateString] = useState('');
+  const [datePickerTarget, setDatePickerTarget] = useState('journey'); // 'journey' | 'return'
   const [showOriginDialog, setShowOriginDialog] = useState(false);
   const [showDestinationDialog, setShowDestinationDialog] = useState(false);
   const [showDatePicker, setShowDatePicker] = useState(false);
@@ -71,9 +99,18 @@ export default function SeatAvailabilityScreen() {
   const [errorMessage, setErrorMessage] = useState('');
   const [isCredentialError, setIsCredentialError] = useState(false);
   const [isChecking, setIsChecking] = useState(false);
+  const [checkingMode, setCheckingMode] = useState('seats');
+  const [showJunctionDialog, setShowJunctionDialog] = useState(false);
+  const [junctionSearchQuery, setJunctionSearchQuery] = useState('');
+  const [showScanDialog, setShowScanDialog] = useState(false);
+  const [scanDayCount, setScanDayCount] = useState(SCAN_DAY_OPTIONS[0]);
+  const [minConnectionMinutes, setMinConnectionMinutes] = useState(DEFAULT_MIN_CONNECTION_MINUTES);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [abortController, setAbortController] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [autoCheckAt, setAutoCheckAt] = useState(null);
+  const [announcedOpening, setAnnouncedOpening] = useState(null); // { dateString, opensAt } from Shohoz
 
   // Update check states
   const [showUpdateDialog, setShowUpdateDialog] = useState(false);
@@ -200,6 +237,15 @@ export default function SeatAvailabilityScreen() {
       );
   }, [destinationSearchQuery, originStation, stations]);
 
+  const filteredJunctionStations = useMemo(() => {
+    const query = junctionSearchQuery.trim().toLowerCase();
+    return stations.filter(station =>
+      station !== originStation &&
+      station !== destinationStation &&
+      (!query || station.toLowerCase().includes(query))
+    );
+  }, [junctionSearchQuery, originStation, destinationStation, stations]);
+
   const handleOriginStationSelect = (station) => {
     setOriginStation(station);
     setOriginSearchQuery('');
@@ -258,8 +304,13 @@ export default function SeatAvailabilityScreen() {
       const year = selectedDate.getFullYear();
       
       const formattedDate = `${day}-${month}-${year}`;
-      setJourneyDate(formattedDate);
-      setSelectedDateString(selectedDateString); // Store the raw date string
+      if (datePickerTarget === 'return') {
+        setReturnDate(formattedDate);
+        setReturnDateString(selectedDateString);
+      } else {
+        setJourneyDate(formattedDate);
+        setSelectedDateString(selectedDateString); // Store the raw date string
+      }
       setShowDatePicker(false);
     }
   };
@@ -287,7 +338,7 @@ export default function SeatAvailabilityScreen() {
     const maxDate = new Date(getMaxDate());
     
     // Use the stored selected date string
-    const currentSelectedDateString = selectedDateString;
+    const currentSelectedDateString = datePickerTarget === 'return' ? returnDateString : selectedDateString;
     
     // Mark today with special styling (current date)
     marked[today] = {
@@ -353,46 +404,44 @@ export default function SeatAvailabilityScreen() {
     setLoadingMessage('');
   };
 
-  const handleCheckAvailability = async () => {
-    // Dismiss keyboard when button is pressed
-    Keyboard.dismiss();
-    
+  // Show the matching error dialog and return false when the search cannot start
+  const validateSearchInputs = async () => {
     // Validate inputs - check all fields first
     if (!originStation.trim() && !destinationStation.trim() && !journeyDate.trim()) {
       setErrorMessage('Please fill in origin station, destination station and journey date');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!originStation.trim() && !destinationStation.trim()) {
       setErrorMessage('Please fill in origin station and destination station');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!originStation.trim() && !journeyDate.trim()) {
       setErrorMessage('Please fill in origin station and journey date');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!destinationStation.trim() && !journeyDate.trim()) {
       setErrorMessage('Please fill in destination station and journey date');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!originStation.trim()) {
       setErrorMessage('Please select an origin station');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!destinationStation.trim()) {
       setErrorMessage('Please select a destination station');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     } else if (!journeyDate.trim()) {
       setErrorMessage('Please select a journey date');
       setIsCredentialError(false);
       setShowErrorDialog(true);
-      return;
+      return false;
     }
 
     // Check if credentials are set up
@@ -403,16 +452,28 @@ export default function SeatAvailabilityScreen() {
         setErrorMessage('Please set up your Bangladesh Railway account credentials in Settings first.');
         setIsCredentialError(true);
         setShowErrorDialog(true);
-        return;
+        return false;
       }
     } catch (credError) {
       console.error('Credential check error:', credError);
       setErrorMessage('Please set up your Bangladesh Railway account credentials in Settings first.');
       setIsCredentialError(true);
       setShowErrorDialog(true);
+      return false;
+    }
+
+    return true;
+  };
+
+  const handleCheckAvailability = async () => {
+    // Dismiss keyboard when button is pressed
+    Keyboard.dismiss();
+
+    if (!(await validateSearchInputs())) {
       return;
     }
 
+    setCheckingMode('seats');
     setIsChecking(true);
     setLoadingProgress(0);
     setLoadingMessage('Starting...');
@@ -465,49 +526,18 @@ export default function SeatAvailabilityScreen() {
       console.error('Error checking availability:', error);
       
       // Handle cancellation
-      if (error.name === 'AbortError' || error.message.includes('canceled') || error.message.includes('aborted')) {
+      if (isCanceledError(error) || controller.signal.aborted) {
         console.log('Request was cancelled by user');
         return; // Don't show error dialog for user-cancelled requests
       }
       
-      // Handle specific error types - matching Python app.py logic
-      let displayMessage = error.message;
-      let isCredError = false;
-      
-      if (error.message === 'AUTH_TOKEN_EXPIRED') {
-        displayMessage = 'Your Auth Token has expired or is invalid (valid for 24 hours). Please update your credentials in Settings with a new token and device key.';
-        isCredError = true;
-      } else if (error.message === 'AUTH_DEVICE_KEY_EXPIRED') {
-        displayMessage = 'Your Device Key has expired or is invalid. Please update your credentials in Settings with a new token and device key.';
-        isCredError = true;
-      } else if (error.message.includes('INVALID_CREDENTIALS:')) {
-        displayMessage = error.message.replace('INVALID_CREDENTIALS: ', '');
-        isCredError = true;
-      } else if (error.message.includes('CREDENTIALS_ERROR:')) {
-        displayMessage = error.message.replace('CREDENTIALS_ERROR: ', '');
-        isCredError = true;
-      } else if (error.message.includes('AUTH_CREDENTIALS_REQUIRED') || 
-                 error.message.includes('Railway account credentials not found')) {
-        displayMessage = 'Railway credentials not found. Please add your credentials in Settings.';
-        isCredError = true;
-      } else if (error.message === 'No trains found for the given criteria.') {
-        // Match Python app.py line 293-295
-        displayMessage = 'At this moment, no trains are found between your selected origin and destination stations on the selected day. Please retry with a different criteria.';
-      } else if (error.message.includes("Ticket purchasing for the selected criteria is not yet available") ||
-                 error.message.includes("Your purchase process for some tickets is ongoing") ||
-                 error.message.includes("You already have an active reservation process") ||
-                 error.message.includes("maximum order limit for all trains") ||
-                 error.message.includes("An error occurred while fetching seat details")) {
-        // These are custom 422 error messages already formatted by railwayAPI.js (matching Python app.py lines 518-552)
-        // Just display them as-is
-        displayMessage = error.message;
-      } else if (!error.message || error.message === 'undefined') {
-        // Match Python app.py line 380 - Catch-all for unexpected errors
-        displayMessage = 'An unexpected error occurred. Please try again.';
-      } else {
-        // Match Python app.py line 380 - For any other unhandled error, show it
-        displayMessage = error.message;
+      // Shohoz names the opening time when sales haven't opened yet - trust it over the zone schedule
+      if (error.code === ERROR_CODES.TICKET_SALE_NOT_OPEN && error.opensAt) {
+        setAnnouncedOpening({ dateString: selectedDateString, opensAt: error.opensAt });
       }
+
+      // Typed API errors carry their own user-facing message (matching Python app.py wording)
+      const { message: displayMessage, isCredentialError: isCredError } = describeError(error);
       
       setErrorMessage(displayMessage);
       setIsCredentialError(isCredError);
@@ -515,6 +545,353 @@ export default function SeatAvailabilityScreen() {
     }
   };
 
+  // Ticket sale countdown for the selected date
+  const releaseSchedule = selectedDateString
+    ? getReleaseSchedule(
+        selectedDateString,
+        CORRIDOR_ZONES,
+        now,
+        announcedOpening?.dateString === selectedDateString ? announcedOpening.opensAt : null
+      )
+    : null;
+  const hasUpcomingRelease = Boolean(releaseSchedule?.next);
+
+  // A different date means a different opening, so drop any armed check
+  useEffect(() => {
+    setNow(Date.now());
+    setAutoCheckAt(null);
+  }, [selectedDateString]);
+
+  // Tick once a second while there is a countdown to show or a check to fire
+  useEffect(() => {
+    if (!hasUpcomingRelease && !autoCheckAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hasUpcomingRelease, autoCheckAt]);
+
+  // Fire the armed check shortly after sales open
+  useEffect(() => {
+    if (autoCheckAt && now >= autoCheckAt + AUTO_CHECK_DELAY_MS && !isChecking) {
+      console.log('Ticket sales open, checking seat availability automatically');
+      setAutoCheckAt(null);
+      handleCheckAvailability();
+    }
+  }, [now, autoCheckAt, isChecking]);
+
+  const toggleAutoCheck = () => {
+    setAutoCheckAt(autoCheckAt ? null : releaseSchedule.next.opensAt);
+  };
+
+  const renderReleaseCountdown = () => {
+    if (!hasUpcomingRelease) return null;
+
+    return (
+      <View style={styles.releaseCard}>
+        <View style={styles.releaseHeader}>
+          <Icon source="timer-sand" size={18} color="#B45309" />
+          <Text style={styles.releaseTitle}>
+            Ticket sales open in {formatCountdown(releaseSchedule.next.opensAt - now)}
+          </Text>
+        </View>
+        {releaseSchedule.openings.map(opening => (
+          <Text key={opening.zone || 'announced'} style={styles.releaseDetail}>
+            {opening.zone ? `${ZONE_LABELS[opening.zone]} trains` : 'Announced by Shohoz'}: {formatBangladeshTime(opening.opensAt)}
+            {opening.opensAt <= now ? ' (open now)' : ''}
+          </Text>
+        ))}
+        <TouchableOpacity style={styles.releaseToggle} onPress={toggleAutoCheck} activeOpacity={0.7}>
+          <Icon
+            source={autoCheckAt ? 'checkbox-marked' : 'checkbox-blank-outline'}
+            size={20}
+            color="#006747"
+          />
+          <Text style={styles.releaseToggleText}>Check seat info when sales open</Text>
+        </TouchableOpacity>
+        {autoCheckAt && (
+          <Text style={styles.releaseHint}>
+            Keep this screen open - the check starts at {formatBangladeshTime(autoCheckAt)}.
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const handleCompareTrains = async () => {
+    Keyboard.dismiss();
+
+    if (!(await validateSearchInputs())) {
+      return;
+    }
+
+    setCheckingMode('corridor');
+    setIsChecking(true);
+    setLoadingProgress(0);
+    setLoadingMessage('Starting...');
+
+    const controller = new AbortController();
+    setAbortController(controller);
+
+    try {
+      const onProgress = (message, progress) => {
+        console.log('Progress:', message, progress + '%');
+        setLoadingMessage(message);
+        setLoadingProgress(progress / 100);
+      };
+
+      const corridorData = await computeCorridor(
+        originStation,
+        destinationStation,
+        journeyDate,
+        onProgress,
+        controller.signal
+      );
+
+      if (controller.signal.aborted) {
+        console.log('Request was cancelled, not navigating');
+        return;
+      }
+
+      setIsChecking(false);
+      setAbortController(null);
+
+      navigation.navigate('CorridorResults', { corridorData });
+    } catch (error) {
+      setIsChecking(false);
+      setAbortController(null);
+      console.error('Error comparing trains:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Request was cancelled by user');
+        return;
+      }
+
+      const { message: displayMessage, isCredentialError: isCredError } = describeError(error);
+
+      setErrorMessage(displayMessage);
+      setIsCredentialError(isCredError);
+      setShowErrorDialog(true);
+    }
+  };
+
+  const handlePlanRoundTrip = async () => {
+    Keyboard.dismiss();
+
+    if (!(await validateSearchInputs())) {
+      return;
+    }
+    if (!returnDate) {
+      setErrorMessage('Please select a return date');
+      setIsCredentialError(false);
+      setShowErrorDialog(true);
+      return;
+    }
+    if (returnDateString < selectedDateString) {
+      setErrorMessage('Return date cannot be before the journey date');
+      setIsCredentialError(false);
+      setShowErrorDialog(true);
+      return;
+    }
+
+    setCheckingMode('roundTrip');
+    setIsChecking(true);
+    setLoadingProgress(0);
+    setLoadingMessage('Starting...');
+
+    const controller = new AbortController();
+    setAbortController(controller);
+
+    try {
+      const onProgress = (message, progress) => {
+        console.log('Progress:', message, progress + '%');
+        setLoadingMessage(message);
+        setLoadingProgress(progress / 100);
+      };
+
+      // Every train on the corridor, both ways
+      const roundTripData = await computeRoundTrip({
+        origin: originStation,
+        destination: destinationStation,
+        outboundDate: journeyDate,
+        returnDate
+      }, onProgress, controller.signal);
+
+      if (controller.signal.aborted) {
+        console.log('Request was cancelled, not navigating');
+        return;
+      }
+
+      setIsChecking(false);
+      setAbortController(null);
+
+      navigation.navigate('RoundTripResults', { roundTripData });
+    } catch (error) {
+      setIsChecking(false);
+      setAbortController(null);
+      console.error('Error checking round trip:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Request was cancelled by user');
+        return;
+      }
+
+      const { message: displayMessage, isCredentialError: isCredError } = describeError(error);
+
+      setErrorMessage(displayMessage);
+      setIsCredentialError(isCredError);
+      setShowErrorDialog(true);
+    }
+  };
+
+  const handleOpenJunctionDialog = async () => {
+    Keyboard.dismiss();
+
+    if (!(await validateSearchInputs())) {
+      return;
+    }
+
+    setJunctionSearchQuery('');
+    setShowJunctionDialog(true);
+  };
+
+  // Journey date onwards, at most dayCount days and no further than the booking window, in DD-MMM-YYYY format
+  const getScanDates = (dayCount) => {
+    const dates = [];
+    const lastDate = getMaxDate();
+    const cursor = new Date(`${selectedDateString}T00:00:00Z`);
+    for (let dateString = selectedDateString; dateString <= lastDate && dates.length < dayCount;) {
+      dates.push(formatDateForAPI(dateString));
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+      dateString = cursor.toISOString().split('T')[0];
+    }
+    return dates;
+  };
+
+  const handleOpenScanDialog = async () => {
+    Keyboard.dismiss();
+
+    if (!(await validateSearchInputs())) {
+      return;
+    }
+
+    setShowScanDialog(true);
+  };
+
+  const scanPreviewDates = showScanDialog ? getScanDates(scanDayCount) : [];
+
+  const handleScanDates = async () => {
+    const dates = getScanDates(scanDayCount);
+    setShowScanDialog(false);
+
+    setCheckingMode('scan');
+    setIsChecking(true);
+    setLoadingProgress(0);
+    setLoadingMessage('Starting...');
+
+    const controller = new AbortController();
+    setAbortController(controller);
+
+    try {
+      const onProgress = (message, progress) => {
+        console.log('Progress:', message, progress + '%');
+        setLoadingMessage(message);
+        setLoadingProgress(progress / 100);
+      };
+
+      const scanData = await computeAvailabilityScan(
+        originStation,
+        destinationStation,
+        dates,
+        onProgress,
+        controller.signal
+      );
+
+      if (controller.signal.aborted) {
+        console.log('Request was cancelled, not navigating');
+        return;
+      }
+
+      setIsChecking(false);
+      setAbortController(null);
+
+      navigation.navigate('AvailabilityScanResults', { scanData });
+    } catch (error) {
+      setIsChecking(false);
+      setAbortController(null);
+      console.error('Error scanning dates:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Request was cancelled by user');
+        return;
+      }
+
+      const { message: displayMessage, isCredentialError: isCredError } = describeError(
+        error,
+        'Failed to check the dates. Please try again.'
+      );
+
+      setErrorMessage(displayMessage);
+      setIsCredentialError(isCredError);
+      setShowErrorDialog(true);
+    }
+  };
+
+  const handlePlanConnection = async (junction) => {
+    setShowJunctionDialog(false);
+    setJunctionSearchQuery('');
+
+    setCheckingMode('connection');
+    setIsChecking(true);
+    setLoadingProgress(0);
+    setLoadingMessage('Starting...');
+
+    const controller = new AbortController();
+    setAbortController(controller);
+
+    try {
+      const onProgress = (message, progress) => {
+        console.log('Progress:', message, progress + '%');
+        setLoadingMessage(message);
+        setLoadingProgress(progress / 100);
+      };
+
+      const classPreference = await SeatClassPreferenceStorage.getPreference();
+      const connectionData = await computeConnections(
+        originStation,
+        destinationStation,
+        junction,
+        journeyDate,
+        onProgress,
+        controller.signal,
+        { minConnectionMinutes, classPreference }
+      );
+
+      if (controller.signal.aborted) {
+        console.log('Request was cancelled, not navigating');
+        return;
+      }
+
+      setIsChecking(false);
+      setAbortController(null);
+
+      navigation.navigate('ConnectionResults', { connectionData });
+    } catch (error) {
+      setIsChecking(false);
+      setAbortController(null);
+      console.error('Error planning connection:', error);
+
+      if (isCanceledError(error) || controller.signal.aborted) {
+        console.log('Request was cancelled by user');
+        return;
+      }
+
+      const { message: displayMessage, isCredentialError: isCredError } = describeError(error);
+
+      setErrorMessage(displayMessage);
+      setIsCredentialError(isCredError);
+      setShowErrorDialog(true);
+    }
+  };
+
   const onRefresh = async () => {
     setRefreshing(true);
     
@@ -546,6 +923,8 @@ export default function SeatAvailabilityScreen() {
     setDestinationStation('');
     setJourneyDate('');
     setSelectedDateString('');
+    setReturnDate('');
+    setReturnDateString('');
     setOriginSearchQuery('');
     setDestinationSearchQuery('');
     
@@ -646,6 +1025,7 @@ export default function SeatAvailabilityScreen() {
                   <TouchableOpacity onPress={() => {
                     const dateToShow = selectedDateString || getBangladeshToday();
                     setCurrentMonth(dateToShow.slice(0, 7));
+                    setDatePickerTarget('journey');
                     setShowDatePicker(true);
                   }}>
                     <TextInput
@@ -663,6 +1043,49 @@ export default function SeatAvailabilityScreen() {
                   </TouchableOpacity>
                 </View>
 
+                {renderReleaseCountdown()}
+
+                {/* Round Trip */}
+                <TouchableOpacity
+                  style={styles.roundTripToggle}
+                  onPress={() => setIsRoundTrip(!isRoundTrip)}
+                  activeOpacity={0.7}
+                >
+                  <Icon
+                    source={isRoundTrip ? 'checkbox-marked' : 'checkbox-blank-outline'}
+                    color="#006747"
+                    size={22}
+                  />
+                  <Text style={styles.roundTripToggleText}>Round trip</Text>
+                </TouchableOpacity>
+
+                {isRoundTrip && (
+                  <View style={styles.inputContainer}>
+                    <Text variant="titleSmall" style={styles.inputLabel}>
+                      Date of Return
+                    </Text>
+                    <TouchableOpacity onPress={() => {
+                      const dateToShow = returnDateString || selectedDateString || getBangladeshToday();
+                      setCurrentMonth(dateToShow.slice(0, 7));
+                      setDatePickerTarget('return');
+                      setShowDatePicker(true);
+                    }}>
+                      <TextInput
+                        mode="outlined"
+                        value={returnDate}
+                        editable={false}
+                        left={<TextInput.Icon icon="calendar-refresh" iconColor="#006747" />}
+                        style={styles.input}
+                        contentStyle={[styles.inputContent, styles.dateInputContent]}
+                        placeholder="Select return date"
+                        outlineColor="#006747"
+                        activeOutlineColor="#006747"
+                        outlineStyle={styles.inputOutline}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                )}
+
                 {/* Check Availability Button */}
                 <Button 
                   mode="contained"
@@ -671,12 +1094,78 @@ export default function SeatAvailabilityScreen() {
                   )}
                   onPress={handleCheckAvailability}
                   disabled={isChecking}
-                  loading={isChecking}
+                  loading={isChecking && checkingMode === 'seats'}
                   style={styles.matrixButton}
                   contentStyle={styles.matrixButtonContent}
                   labelStyle={styles.matrixButtonLabel}
                 >
-                  {isChecking ? 'Collecting Seat Info...' : 'View Seat Info'}
+                  {isChecking && checkingMode === 'seats' ? 'Collecting Seat Info...' : 'View Seat Info'}
+                </Button>
+
+                {/* Compare every train on the route */}
+                <Button 
+                  mode="outlined"
+                  icon={({ size, color }) => (
+                    <Icon source="compare-horizontal" size={20} color={color} />
+                  )}
+                  onPress={handleCompareTrains}
+                  disabled={isChecking}
+                  loading={isChecking && checkingMode === 'corridor'}
+                  style={styles.compareButton}
+                  contentStyle={styles.matrixButtonContent}
+                  labelStyle={styles.matrixButtonLabel}
+                >
+                  {isChecking && checkingMode === 'corridor' ? 'Comparing Trains...' : 'Compare All Trains'}
+                </Button>
+
+                {/* Every train and seat class over several dates */}
+                <Button 
+                  mode="outlined"
+                  icon={({ size, color }) => (
+                    <Icon source="calendar-search" size={20} color={color} />
+                  )}
+                  onPress={handleOpenScanDialog}
+                  disabled={isChecking}
+                  loading={isChecking && checkingMode === 'scan'}
+                  style={styles.compareButton}
+                  contentStyle={styles.matrixButtonContent}
+                  labelStyle={styles.matrixButtonLabel}
+                >
+                  {isChecking && checkingMode === 'scan' ? 'Scanning Dates...' : 'Find Best Day'}
+                </Button>
+
+                {/* Both directions with combined fares */}
+                {isRoundTrip && (
+                  <Button 
+                    mode="outlined"
+                    icon={({ size, color }) => (
+                      <Icon source="swap-horizontal-bold" size={20} color={color} />
+                    )}
+                    onPress={handlePlanRoundTrip}
+                    disabled={isChecking}
+                    loading={isChecking && checkingMode === 'roundTrip'}
+                    style={styles.compareButton}
+                    contentStyle={styles.matrixButtonContent}
+                    labelStyle={styles.matrixButtonLabel}
+                  >
+                    {isChecking && checkingMode === 'roundTrip' ? 'Checking Both Ways...' : 'Compare Round Trip'}
+                  </Button>
+                )}
+
+                {/* Change trains at a junction */}
+                <Button 
+                  mode="outlined"
+                  icon={({ size, color }) => (
+                    <Icon source="transit-transfer" size={20} color={color} />
+                  )}
+                  onPress={handleOpenJunctionDialog}
+                  disabled={isChecking}
+                  loading={isChecking && checkingMode === 'connection'}
+                  style={styles.compareButton}
+                  contentStyle={styles.matrixButtonContent}
+                  labelStyle={styles.matrixButtonLabel}
+                >
+                  {isChecking && checkingMode === 'connection' ? 'Planning Connection...' : 'Change Trains'}
                 </Button>
                 
               </Card.Content>
@@ -696,7 +1185,7 @@ export default function SeatAvailabilityScreen() {
           >
             <Dialog.Content style={styles.calendarContent}>
               <Calendar
-                current={selectedDateString || getBangladeshToday()}
+                current={(datePickerTarget === 'return' ? returnDateString : selectedDateString) || getBangladeshToday()}
                 onDayPress={onDayPress}
                 onMonthChange={onMonthChange}
                 minDate={getMinDate()}
@@ -951,6 +1440,157 @@ export default function SeatAvailabilityScreen() {
           </Dialog>
         </Portal>
 
+        {/* Date Scan Dialog */}
+        <Portal>
+          <Dialog
+            visible={showScanDialog}
+            onDismiss={() => setShowScanDialog(false)}
+            style={styles.scanDialog}
+          >
+            <Dialog.Title style={styles.scanDialogTitle}>Find Best Day</Dialog.Title>
+            <Dialog.Content>
+              <Text style={styles.junctionLabel}>Days to check</Text>
+              <View style={styles.connectionTimeRow}>
+                {SCAN_DAY_OPTIONS.map(dayCount => (
+                  <Chip
+                    key={dayCount}
+                    selected={scanDayCount === dayCount}
+                    onPress={() => setScanDayCount(dayCount)}
+                    style={[
+                      styles.connectionTimeChip,
+                      scanDayCount === dayCount && styles.connectionTimeChipSelected
+                    ]}
+                    textStyle={styles.connectionTimeChipText}
+                    compact
+                  >
+                    {dayCount} days
+                  </Chip>
+                ))}
+              </View>
+              {scanPreviewDates.length > 0 && (
+                <Text style={styles.scanDialogText}>
+                  Every train and seat class from {originStation} to {destinationStation} will be checked on{' '}
+                  {scanPreviewDates.length === 1
+                    ? scanPreviewDates[0]
+                    : `${scanPreviewDates.length} days, ${scanPreviewDates[0]} to ${scanPreviewDates[scanPreviewDates.length - 1]}`}.
+                  {scanPreviewDates.length < scanDayCount ? ' The booking window ends there.' : ''}
+                </Text>
+              )}
+            </Dialog.Content>
+            <Dialog.Actions>
+              <Button onPress={() => setShowScanDialog(false)} textColor="#006747">
+                Cancel
+              </Button>
+              <Button
+                mode="contained"
+                onPress={handleScanDates}
+                buttonColor="#006747"
+                style={styles.scanDialogButton}
+              >
+                Scan
+              </Button>
+            </Dialog.Actions>
+          </Dialog>
+        </Portal>
+
+        {/* Junction Station Dialog */}
+        <Portal>
+          <Dialog 
+            visible={showJunctionDialog} 
+            onDismiss={() => {
+              setShowJunctionDialog(false);
+              setJunctionSearchQuery('');
+            }}
+            style={styles.trainDialog}
+          >
+            <Dialog.Content style={styles.trainDialogContent}>
+              <Text style={styles.junctionLabel}>Minimum time to change trains</Text>
+              <View style={styles.connectionTimeRow}>
+                {CONNECTION_TIME_OPTIONS.map(minutes => (
+                  <Chip
+                    key={minutes}
+                    selected={minConnectionMinutes === minutes}
+                    onPress={() => setMinConnectionMinutes(minutes)}
+                    style={[
+                      styles.connectionTimeChip,
+                      minConnectionMinutes === minutes && styles.connectionTimeChipSelected
+                    ]}
+                    textStyle={styles.connectionTimeChipText}
+                    compact
+                  >
+                    {minutes} min
+                  </Chip>
+                ))}
+              </View>
+
+              <View style={styles.customSearchContainer}>
+                <Icon source="magnify" color="#006747" size={20} style={styles.searchIcon} />
+                <RNTextInput
+                  placeholder="Change trains at..."
+                  value={junctionSearchQuery}
+                  onChangeText={setJunctionSearchQuery}
+                  style={styles.customSearchInput}
+                  placeholderTextColor="#8F9E8D"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  returnKeyType="search"
+                />
+                {junctionSearchQuery ? (
+                  <TouchableOpacity
+                    style={styles.clearButton}
+                    onPress={() => {
+                      setJunctionSearchQuery('');
+                    }}
+                  >
+                    <Icon source="close-circle" color="#8F9E8D" size={20} />
+                  </TouchableOpacity>
+                ) : null}
+              </View>
+              
+              <View style={styles.trainListWrapper}>
+                <FlatList
+                  data={filteredJunctionStations}
+                  keyExtractor={(item, index) => index.toString()}
+                  showsVerticalScrollIndicator={false}
+                  style={styles.trainList}
+                  contentContainerStyle={styles.trainListContainer}
+                  fadingEdgeLength={30}
+                  keyboardShouldPersistTaps="always"
+                  renderItem={({ item, index }) => (
+                    <StationListItem
+                      item={item}
+                      index={index}
+                      onPress={handlePlanConnection}
+                      showDivider={true}
+                      totalItems={filteredJunctionStations.length}
+                    />
+                  )}
+                  ListEmptyComponent={() => (
+                    <View style={styles.noResultsContainer}>
+                      <Text style={styles.noResultsText}>No stations found</Text>
+                    </View>
+                  )}
+                />
+                {/* Top gradient overlay */}
+                <View style={styles.gradientTop} pointerEvents="none" />
+                {/* Bottom gradient overlay */}
+                <View style={styles.gradientBottom} pointerEvents="none" />
+              </View>
+            </Dialog.Content>
+            <Dialog.Actions>
+              <Button 
+                onPress={() => {
+                  setShowJunctionDialog(false);
+                  setJunctionSearchQuery('');
+                }}
+                textColor="#006747"
+              >
+                Cancel
+              </Button>
+            </Dialog.Actions>
+          </Dialog>
+        </Portal>
+
         {/* Loading Dialog */}
         <Portal>
           <Dialog visible={isChecking} dismissable={false} style={styles.loadingDialog}>
@@ -1223,6 +1863,107 @@ const styles = StyleSheet.create({
   matrixButtonContent: {
     paddingVertical: 8,
   },
+  compareButton: {
+    borderRadius: 16,
+    marginTop: 10,
+    borderColor: '#006747',
+  },
+  releaseCard: {
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 16,
+    backgroundColor: '#FFFBEB',
+    borderWidth: 1,
+    borderColor: '#FDE68A',
+  },
+  releaseHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  releaseTitle: {
+    flex: 1,
+    marginLeft: 6,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#B45309',
+  },
+  releaseDetail: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#92400E',
+    marginTop: 2,
+  },
+  releaseToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginTop: 8,
+  },
+  releaseToggleText: {
+    marginLeft: 8,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+  },
+  releaseHint: {
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  roundTripToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginBottom: 16,
+  },
+  roundTripToggleText: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+  },
+  scanDialog: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 16,
+  },
+  scanDialogTitle: {
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#006747',
+  },
+  scanDialogText: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#374151',
+  },
+  scanDialogButton: {
+    borderRadius: 8,
+  },
+  junctionLabel: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+    marginBottom: 8,
+  },
+  connectionTimeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  connectionTimeChip: {
+    marginRight: 6,
+    marginBottom: 6,
+    backgroundColor: '#F0F8F5',
+  },
+  connectionTimeChipSelected: {
+    backgroundColor: '#CFE9D9',
+  },
+  connectionTimeChipText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+  },
   matrixButtonLabel: {
     fontSize: 16,
     letterSpacing: 0.5,
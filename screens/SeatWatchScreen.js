@@ -0,0 +1,629 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet,
+  View,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import {
+  Text,
+  Surface,
+  Button,
+  IconButton,
+  Chip,
+  Portal,
+  Dialog,
+  Divider,
+  Icon,
+} from 'react-native-paper';
+import { Ionicons } from '@expo/vector-icons';
+import { SeatWatchStorage } from '../utils/storage';
+import { describeError } from '../utils/railwayErrors';
+import {
+  WATCH_INTERVAL_OPTIONS,
+  DEFAULT_WATCH_INTERVAL_MINUTES,
+  addSeatWatch,
+  removeSeatWatch,
+  setSeatWatchActive,
+  runSeatWatches,
+  ensureNotificationPermission,
+} from '../utils/seatWatch';
+
+// Seat counts offered for the alert threshold (the website sells up to 4 tickets at once)
+const MIN_SEAT_OPTIONS = [1, 2, 3, 4];
+// Checks shown when a watch's history is opened
+const HISTORY_SHOWN = 10;
+
+/**
+ * Format a timestamp as "18 Oct, 02:15 PM"
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string}
+ */
+const formatCheckTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const day = date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  const time = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true });
+  return `${day}, ${time}`;
+};
+
+const SeatWatchScreen = ({ route, navigation }) => {
+  const newWatch = route.params?.newWatch || null;
+
+  const [watches, setWatches] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [minSeats, setMinSeats] = useState(1);
+  const [intervalMinutes, setIntervalMinutes] = useState(DEFAULT_WATCH_INTERVAL_MINUTES);
+  const [anyTrain, setAnyTrain] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+  const [notificationsBlocked, setNotificationsBlocked] = useState(false);
+  const [expandedHistory, setExpandedHistory] = useState({});
+  const [showErrorDialog, setShowErrorDialog] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isCredentialError, setIsCredentialError] = useState(false);
+
+  const showError = (error, fallbackMessage) => {
+    const { message, isCredentialError: isCredError } = describeError(error, fallbackMessage);
+    setErrorMessage(message);
+    setIsCredentialError(isCredError);
+    setShowErrorDialog(true);
+  };
+
+  const loadWatches = useCallback(async () => {
+    setWatches(await SeatWatchStorage.getWatches());
+  }, []);
+
+  // Reload on focus - background checks may have updated the list
+  useEffect(() => {
+    loadWatches();
+    return navigation.addListener('focus', loadWatches);
+  }, [navigation, loadWatches]);
+
+  // Open the new watch dialog when a results screen sent us a watch to create
+  useEffect(() => {
+    if (newWatch) {
+      setDraft(newWatch);
+      setMinSeats(1);
+      setIntervalMinutes(DEFAULT_WATCH_INTERVAL_MINUTES);
+      setAnyTrain(false);
+      navigation.setParams({ newWatch: undefined });
+    }
+  }, [newWatch, navigation]);
+
+  const handleSaveWatch = async () => {
+    setIsSaving(true);
+    try {
+      const canNotify = await ensureNotificationPermission();
+      setNotificationsBlocked(!canNotify);
+      const target = anyTrain ? { ...draft, trainModel: null, trainName: null } : draft;
+      setWatches(await addSeatWatch({ ...target, minSeats, intervalMinutes }));
+      setDraft(null);
+    } catch (error) {
+      showError(error, 'Failed to save the seat watch. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCheckNow = async () => {
+    setIsChecking(true);
+    try {
+      setWatches(await runSeatWatches({ force: true }));
+    } catch (error) {
+      showError(error, 'Failed to check the seat watches. Please try again.');
+      await loadWatches();
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const handleToggleActive = async (watch) => {
+    setWatches(await setSeatWatchActive(watch.id, !watch.active));
+  };
+
+  const handleRemove = async (watch) => {
+    setWatches(await removeSeatWatch(watch.id));
+  };
+
+  const toggleHistory = (watchId) => {
+    setExpandedHistory(prev => ({ ...prev, [watchId]: !prev[watchId] }));
+  };
+
+  const renderStatus = (watch) => {
+    if (!watch.lastCheckedAt) {
+      return <Text style={styles.statusText}>Not checked yet</Text>;
+    }
+    if (watch.lastError) {
+      return (
+        <View style={styles.statusRow}>
+          <Ionicons name="alert-circle-outline" size={14} color="#DC2626" />
+          <Text style={[styles.statusText, styles.statusError]} numberOfLines={2}>
+            {watch.lastError.message}
+          </Text>
+        </View>
+      );
+    }
+    const reached = watch.lastSeats >= watch.minSeats;
+    return (
+      <View style={styles.statusRow}>
+        <Ionicons
+          name={reached ? 'checkmark-circle' : 'time-outline'}
+          size={14}
+          color={reached ? '#006747' : '#6B7280'}
+        />
+        <Text style={[styles.statusText, reached && styles.statusReached]}>
+          {watch.lastSeats} seat{watch.lastSeats === 1 ? '' : 's'}
+          {!watch.trainModel && watch.lastTrainName ? ` on ${watch.lastTrainName}` : ''} · {formatCheckTime(watch.lastCheckedAt)}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderHistory = (watch) => (
+    <View style={styles.historyContainer}>
+      {watch.history.length === 0 ? (
+        <Text style={styles.historyText}>No checks yet</Text>
+      ) : (
+        watch.history.slice(0, HISTORY_SHOWN).map((entry, index) => (
+          <View key={index} style={styles.historyRow}>
+            <Text style={styles.historyTime}>{formatCheckTime(entry.checkedAt)}</Text>
+            <Text
+              style={[styles.historyText, entry.error && styles.statusError, entry.alerted && styles.statusReached]}
+              numberOfLines={1}
+            >
+              {entry.error
+                ? entry.error.message
+                : `${entry.seats} seat${entry.seats === 1 ? '' : 's'}${entry.alerted ? ' · alerted' : ''}`}
+            </Text>
+          </View>
+        ))
+      )}
+    </View>
+  );
+
+  const renderWatch = (watch) => (
+    <Surface key={watch.id} style={[styles.watchCard, !watch.active && styles.watchCardPaused]} elevation={1}>
+      <View style={styles.watchHeader}>
+        <View style={styles.watchTitleContainer}>
+          <Text style={styles.watchTitle} numberOfLines={1}>
+            {watch.trainName || 'Any train'}
+          </Text>
+          <Text style={styles.watchRoute}>{watch.origin} → {watch.destination}</Text>
+        </View>
+        <IconButton
+          icon={watch.active ? 'pause' : 'play'}
+          size={20}
+          iconColor="#006747"
+          onPress={() => handleToggleActive(watch)}
+        />
+        <IconButton
+          icon="delete-outline"
+          size={20}
+          iconColor="#DC2626"
+          onPress={() => handleRemove(watch)}
+        />
+      </View>
+      <Text style={styles.watchDetail}>
+        {watch.date} · {watch.seatType} · at least {watch.minSeats} seat{watch.minSeats === 1 ? '' : 's'} · every {watch.intervalMinutes} min
+        {watch.active ? '' : ' · paused'}
+      </Text>
+      <Divider style={styles.divider} />
+      {renderStatus(watch)}
+      <TouchableOpacity style={styles.historyToggle} onPress={() => toggleHistory(watch.id)} activeOpacity={0.7}>
+        <Text style={styles.historyToggleText}>
+          {expandedHistory[watch.id] ? 'Hide history' : `History (${watch.history.length})`}
+        </Text>
+      </TouchableOpacity>
+      {expandedHistory[watch.id] && renderHistory(watch)}
+    </Surface>
+  );
+
+  const renderNewWatchDialog = () => (
+    <Portal>
+      <Dialog visible={Boolean(draft)} onDismiss={() => setDraft(null)} style={styles.dialog}>
+        <Dialog.Title style={styles.dialogTitle}>Watch for Seats</Dialog.Title>
+        {draft && (
+          <Dialog.Content>
+            <Text style={styles.dialogText}>{draft.origin} → {draft.destination}</Text>
+            <Text style={styles.dialogText}>{draft.date} · {draft.seatType}</Text>
+
+            {draft.trainModel && (
+              <>
+                <Text style={styles.dialogLabel}>Watch</Text>
+                <View style={styles.chipRow}>
+                  {[
+                    { label: draft.trainName, value: false },
+                    { label: 'Any train on this route', value: true },
+                  ].map(option => (
+                    <Chip
+                      key={String(option.value)}
+                      selected={anyTrain === option.value}
+                      onPress={() => setAnyTrain(option.value)}
+                      style={[styles.chip, anyTrain === option.value && styles.chipSelected]}
+                      textStyle={styles.chipText}
+                    >
+                      {option.label}
+                    </Chip>
+                  ))}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.dialogLabel}>Alert me when at least</Text>
+            <View style={styles.chipRow}>
+              {MIN_SEAT_OPTIONS.map(count => (
+                <Chip
+                  key={count}
+                  selected={minSeats === count}
+                  onPress={() => setMinSeats(count)}
+                  style={[styles.chip, minSeats === count && styles.chipSelected]}
+                  textStyle={styles.chipText}
+                >
+                  {count} seat{count === 1 ? '' : 's'}
+                </Chip>
+              ))}
+            </View>
+
+            <Text style={styles.dialogLabel}>Check every</Text>
+            <View style={styles.chipRow}>
+              {WATCH_INTERVAL_OPTIONS.map(minutes => (
+                <Chip
+                  key={minutes}
+                  selected={intervalMinutes === minutes}
+                  onPress={() => setIntervalMinutes(minutes)}
+                  style={[styles.chip, intervalMinutes === minutes && styles.chipSelected]}
+                  textStyle={styles.chipText}
+                >
+                  {minutes} min
+                </Chip>
+              ))}
+            </View>
+          </Dialog.Content>
+        )}
+        <Dialog.Actions>
+          <Button onPress={() => setDraft(null)} textColor="#49454F">Cancel</Button>
+          <Button
+            mode="contained"
+            onPress={handleSaveWatch}
+            loading={isSaving}
+            disabled={isSaving}
+            buttonColor="#006747"
+          >
+            Save Watch
+          </Button>
+        </Dialog.Actions>
+      </Dialog>
+    </Portal>
+  );
+
+  const activeCount = watches.filter(watch => watch.active).length;
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <Surface style={styles.infoCard} elevation={2}>
+          <View style={styles.infoRow}>
+            <Ionicons name="notifications" size={18} color="#006747" />
+            <Text style={styles.infoText}>
+              {activeCount} active watch{activeCount === 1 ? '' : 'es'}. Watches are checked in the
+              background and you get a notification when seats appear.
+            </Text>
+          </View>
+          {notificationsBlocked && (
+            <View style={styles.infoRow}>
+              <Ionicons name="alert-circle" size={18} color="#B45309" />
+              <Text style={[styles.infoText, styles.warningText]}>
+                Notifications are turned off for this app. Watches still run, but you will only
+                see results here.
+              </Text>
+            </View>
+          )}
+          <Button
+            mode="contained"
+            icon="refresh"
+            onPress={handleCheckNow}
+            loading={isChecking}
+            disabled={isChecking || activeCount === 0}
+            buttonColor="#006747"
+            style={styles.checkButton}
+            labelStyle={styles.checkButtonLabel}
+          >
+            Check Now
+          </Button>
+        </Surface>
+
+        {watches.length > 0 ? (
+          <View style={styles.listContainer}>
+            {watches.map(renderWatch)}
+          </View>
+        ) : (
+          <Surface style={styles.emptyCard} elevation={1}>
+            <Ionicons name="notifications-off-outline" size={40} color="#9CA3AF" />
+            <Text style={styles.emptyTitle}>No Seat Watches</Text>
+            <Text style={styles.emptyText}>
+              Use "Watch" on a seat type in the seat availability results, or tap a sold-out cell in
+              the seat matrix, to get an alert when seats appear.
+            </Text>
+          </Surface>
+        )}
+      </ScrollView>
+
+      {renderNewWatchDialog()}
+
+      {/* Error Dialog */}
+      <Portal>
+        <Dialog
+          visible={showErrorDialog}
+          onDismiss={() => setShowErrorDialog(false)}
+          style={styles.errorDialog}
+        >
+          <Dialog.Content style={styles.errorDialogContent}>
+            <View style={styles.errorDialogHeader}>
+              <Icon source="alert-circle" size={24} color="#B3261E" />
+              <Dialog.Title style={styles.errorDialogTitle}>Error</Dialog.Title>
+            </View>
+            <Text style={styles.errorDialogText}>{errorMessage}</Text>
+          </Dialog.Content>
+          <Dialog.Actions style={styles.errorDialogActions}>
+            <Button
+              onPress={() => {
+                setShowErrorDialog(false);
+                if (isCredentialError) {
+                  navigation.navigate('Settings', { highlightAccount: true });
+                }
+              }}
+              style={styles.errorDialogButton}
+              labelStyle={styles.errorDialogButtonLabel}
+            >
+              {isCredentialError ? 'Go to Settings' : 'OK'}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F7F9FC',
+  },
+  content: {
+    paddingBottom: 24,
+  },
+
+  // Summary Card
+  infoCard: {
+    margin: 16,
+    marginBottom: 12,
+    padding: 16,
+    borderRadius: 16,
+    backgroundColor: '#FFFFFF',
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 8,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#006747',
+    marginLeft: 8,
+    lineHeight: 18,
+  },
+  warningText: {
+    color: '#B45309',
+  },
+  checkButton: {
+    marginTop: 4,
+    borderRadius: 20,
+  },
+  checkButtonLabel: {
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    fontSize: 14,
+  },
+
+  // Watch Cards
+  listContainer: {
+    marginHorizontal: 16,
+  },
+  watchCard: {
+    padding: 14,
+    borderRadius: 16,
+    marginBottom: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  watchCardPaused: {
+    opacity: 0.7,
+  },
+  watchHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  watchTitleContainer: {
+    flex: 1,
+  },
+  watchTitle: {
+    fontSize: 15,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+  },
+  watchRoute: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+    marginTop: 2,
+  },
+  watchDetail: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  divider: {
+    backgroundColor: '#DDE5DB',
+    height: 1,
+    marginVertical: 10,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusText: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#6B7280',
+    marginLeft: 6,
+  },
+  statusReached: {
+    color: '#006747',
+  },
+  statusError: {
+    color: '#DC2626',
+  },
+  historyToggle: {
+    marginTop: 8,
+    alignSelf: 'flex-start',
+  },
+  historyToggleText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+  },
+  historyContainer: {
+    marginTop: 6,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#F9FAFB',
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  historyTime: {
+    width: 120,
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#374151',
+  },
+  historyText: {
+    flex: 1,
+    fontSize: 11,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+  },
+
+  // Empty State
+  emptyCard: {
+    margin: 16,
+    padding: 24,
+    borderRadius: 16,
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1F2937',
+    marginTop: 12,
+  },
+  emptyText: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Regular',
+    color: '#6B7280',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+
+  // New Watch Dialog
+  dialog: {
+    borderRadius: 28,
+    backgroundColor: '#FFFFFF',
+  },
+  dialogTitle: {
+    fontFamily: 'PlusJakartaSans-Bold',
+    color: '#1C1B1F',
+  },
+  dialogText: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#006747',
+    marginBottom: 2,
+  },
+  dialogLabel: {
+    fontSize: 13,
+    fontFamily: 'PlusJakartaSans-Medium',
+    color: '#49454F',
+    marginTop: 14,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    backgroundColor: '#F3F4F6',
+  },
+  chipSelected: {
+    backgroundColor: '#E6F4EA',
+  },
+  chipText: {
+    fontSize: 12,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+  },
+
+  // Error Dialog
+  errorDialog: {
+    margin: 24,
+    borderRadius: 28,
+    backgroundColor: '#FFFFFF',
+    elevation: 6,
+  },
+  errorDialogContent: {
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 16,
+  },
+  errorDialogHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  errorDialogTitle: {
+    color: '#B3261E',
+    fontSize: 24,
+    fontWeight: '500',
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    marginLeft: 12,
+    marginTop: 0,
+    marginBottom: 0,
+  },
+  errorDialogText: {
+    fontSize: 14,
+    color: '#49454F',
+    fontFamily: 'PlusJakartaSans-Regular',
+    lineHeight: 20,
+  },
+  errorDialogActions: {
+    paddingHorizontal: 24,
+    paddingBottom: 24,
+    paddingTop: 8,
+  },
+  errorDialogButton: {
+    borderRadius: 20,
+  },
+  errorDialogButtonLabel: {
+    fontSize: 14,
+    fontFamily: 'PlusJakartaSans-SemiBold',
+    color: '#B3261E',
+    marginHorizontal: 8,
+  },
+});
+
+export default SeatWatchScreen;
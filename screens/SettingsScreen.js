@@ -127,6 +127,10 @@ export default function SettingsScreen() {
     navigation.navigate('RailwayAccount');
   };
 
+  const handleSeatWatches = () => {
+    navigation.navigate('SeatWatches');
+  };
+
   const handleAbout = () => {
     navigation.navigate('About');
   };
@@ -186,6 +190,31 @@ export default function SettingsScreen() {
           </Animated.View>
         </Animated.View>
 
+        {/* Alerts Section */}
+        <Surface style={styles.section} elevation={1}>
+          <Text variant="titleMedium" style={styles.sectionTitle}>
+            Alerts
+          </Text>
+          <List.Item
+            title="Seat Watches"
+            description="Get notified when seats become available"
+            left={(props) => (
+              <View style={styles.iconContainer}>
+                <List.Icon {...props} icon="bell-ring" color="#006747" />
+              </View>
+            )}
+            right={(props) => (
+              <View style={styles.iconContainer}>
+                <List.Icon {...props} icon="chevron-right" color="#49454F" />
+              </View>
+            )}
+            onPress={handleSeatWatches}
+            style={styles.listItem}
+            titleStyle={styles.listItemTitle}
+            descriptionStyle={styles.listItemDescription}
+          />
+        </Surface>
+
         {/* Legal Section */}
         <Surface style={styles.section} elevation={1}>
           <Text variant="titleMedium" style={styles.sectionTitle}>
@@ -0,0 +1,49 @@
+// Small fare matrices for the route planner tests, shaped like computeMatrix output.
+//
+// Stations A → B → C → D. Fares (base + VAT) per ticket, before the 20 taka
+// service charge:
+//
+//   S_CHAIR   A→B 100  B→C 100  C→D 100  B→D 250 (2 online)  A→C, A→D sold out
+//   SNIGDHA   A→C 315 (1 online)  C→D 158  A→D 525 (3 online)
+
+/**
+ * Build a matrix cell
+ * @param {number} fare - Base fare
+ * @param {number} vat - VAT amount
+ * @param {number} online - Seats sold online
+ * @param {number} offline - Seats sold at the counter
+ * @returns {Object}
+ */
+const cell = (fare, vat, online, offline = 0) => ({ fare, vat_amount: vat, online, offline });
+
+export const lineMatrix = {
+  trainName: 'TEST EXPRESS (701)',
+  date: '20-Oct-2026',
+  stations: ['A', 'B', 'C', 'D'],
+  fareMatrices: {
+    S_CHAIR: {
+      A: { B: cell(100, 0, 5, 2), C: cell(180, 0, 0, 4), D: cell(350, 0, 0) },
+      B: { C: cell(100, 0, 5), D: cell(250, 0, 2) },
+      C: { D: cell(100, 0, 5) }
+    },
+    SNIGDHA: {
+      A: { B: cell(200, 10, 0), C: cell(300, 15, 1), D: cell(500, 25, 3) },
+      B: { C: cell(200, 10, 0), D: cell(350, 18, 0) },
+      C: { D: cell(150, 8, 4) }
+    }
+  }
+};
+
+// Stations W → A → B → X, where only tickets running past A and B are left
+export const widerMatrix = {
+  trainName: 'TEST EXPRESS (703)',
+  date: '20-Oct-2026',
+  stations: ['W', 'A', 'B', 'X'],
+  fareMatrices: {
+    S_CHAIR: {
+      W: { A: cell(50, 0, 0), B: cell(150, 0, 3), X: cell(250, 0, 1) },
+      A: { B: cell(100, 0, 0), X: cell(200, 0, 0) },
+      B: { X: cell(100, 0, 0) }
+    }
+  }
+};
@@ -0,0 +1,47 @@
+import { getConnectionDates } from '../connectionPlanner';
+
+/**
+ * Minimal matrix for a train reaching the junction at a given time
+ * @param {string} date - Date at the junction in YYYY-MM-DD format
+ * @param {string} arrivalTime - Arrival time at the junction, e.g. "11:40 pm BST"
+ * @param {string} departureTime - Departure time from the junction
+ * @returns {Object}
+ */
+const arrivingTrain = (date, arrivalTime, departureTime) => ({
+  routes: [
+    { city: 'Dhaka', arrival_time: null, departure_time: '06:00 am BST' },
+    { city: 'Junction', arrival_time: arrivalTime, departure_time: departureTime }
+  ],
+  stationDates: { Dhaka: '2026-10-20', Junction: date }
+});
+
+describe('getConnectionDates', () => {
+  it('searches the arrival date for a change during the day', () => {
+    const matrices = [arrivingTrain('2026-10-20', '10:00 am BST', '10:05 am BST')];
+    expect(getConnectionDates(matrices, 'Junction', 30)).toEqual(['2026-10-20']);
+  });
+
+  it('adds the next day for a change late in the evening', () => {
+    const matrices = [arrivingTrain('2026-10-20', '09:30 pm BST', '09:35 pm BST')];
+    expect(getConnectionDates(matrices, 'Junction', 30)).toEqual(['2026-10-20', '2026-10-21']);
+  });
+
+  it('moves to the next day when the change time runs past midnight', () => {
+    const matrices = [arrivingTrain('2026-10-20', '11:50 pm BST', '11:55 pm BST')];
+    expect(getConnectionDates(matrices, 'Junction', 30)).toEqual(['2026-10-21']);
+  });
+
+  it('uses the arrival date for a train that arrives before midnight and leaves after it', () => {
+    const matrices = [arrivingTrain('2026-10-21', '11:55 pm BST', '12:10 am BST')];
+    expect(getConnectionDates(matrices, 'Junction', 0)).toEqual(['2026-10-20', '2026-10-21']);
+  });
+
+  it('merges the dates of every train and skips trains without a time there', () => {
+    const matrices = [
+      arrivingTrain('2026-10-20', '08:00 am BST', '08:05 am BST'),
+      arrivingTrain('2026-10-20', '02:00 pm BST', '02:05 pm BST'),
+      arrivingTrain('2026-10-20', null, null)
+    ];
+    expect(getConnectionDates(matrices, 'Junction', 30)).toEqual(['2026-10-20']);
+  });
+});
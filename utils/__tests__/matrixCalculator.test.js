@@ -0,0 +1,95 @@
+import { retryFailedCells, getSelectedPairs, CELL_STATUS } from '../matrixCalculator';
+import { getSeatAvailability } from '../railwayAPI';
+import { ServerError, TrainNotListedError } from '../railwayErrors';
+
+jest.mock('../railwayAPI', () => ({
+  SEAT_TYPES: ['S_CHAIR', 'SNIGDHA'],
+  fetchTrainData: jest.fn(),
+  getSeatAvailability: jest.fn(),
+  validateCredentials: jest.fn()
+}));
+
+jest.mock('../firebaseData', () => ({
+  getAppConfig: jest.fn()
+}));
+
+/**
+ * Matrix where every pair of A → B → C failed on the first run
+ * @returns {Object}
+ */
+const failedMatrix = () => {
+  const failedCell = { online: 0, offline: 0, fare: 0, vat_amount: 0, status: CELL_STATUS.FAILED };
+  const cells = () => ({ A: { B: { ...failedCell }, C: { ...failedCell } }, B: { C: { ...failedCell } } });
+  return {
+    trainModel: '701',
+    stations: ['A', 'B', 'C'],
+    fareMatrices: { S_CHAIR: cells(), SNIGDHA: cells() },
+    hasDataMap: { S_CHAIR: false, SNIGDHA: false },
+    successCount: 0,
+    failureCount: 3,
+    failedPairs: [
+      { fromCity: 'A', toCity: 'B', date: '20-Oct-2026' },
+      { fromCity: 'A', toCity: 'C', date: '20-Oct-2026' },
+      { fromCity: 'B', toCity: 'C', date: '20-Oct-2026' }
+    ]
+  };
+};
+
+const seatInfo = (online) => ({
+  S_CHAIR: { online, offline: 0, fare: 100, vat_amount: 0 },
+  SNIGDHA: { online: 0, offline: 0, fare: 0, vat_amount: 0 }
+});
+
+describe('retryFailedCells', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    getSeatAvailability.mockReset();
+  });
+
+  it('keeps only pairs that failed again for the next retry', async () => {
+    getSeatAvailability.mockImplementation(async (trainModel, date, fromCity, toCity) => {
+      if (fromCity === 'A' && toCity === 'C') throw new ServerError();
+      return seatInfo(3);
+    });
+
+    const result = await retryFailedCells(failedMatrix());
+    expect(result.failureCount).toBe(1);
+    expect(result.failedPairs.map(pair => `${pair.fromCity}>${pair.toCity}`)).toEqual(['A>C']);
+    expect(result.fareMatrices.S_CHAIR.A.B).toMatchObject({ online: 3, status: CELL_STATUS.OK });
+    expect(result.hasDataMap.S_CHAIR).toBe(true);
+  });
+
+  it('settles pairs the train is not listed for as empty instead of failed', async () => {
+    getSeatAvailability.mockImplementation(async (trainModel, date, fromCity, toCity) => {
+      if (fromCity === 'A' && toCity === 'C') {
+        throw new TrainNotListedError({ trainModel, fromCity, toCity });
+      }
+      return seatInfo(2);
+    });
+
+    const result = await retryFailedCells(failedMatrix());
+    expect(result.failureCount).toBe(0);
+    expect(result.failedPairs).toEqual([]);
+    expect(result.successCount).toBe(3);
+    expect(result.fareMatrices.S_CHAIR.A.C).toEqual({ online: 0, offline: 0, fare: 0, vat_amount: 0, status: CELL_STATUS.OK });
+  });
+});
+
+describe('getSelectedPairs', () => {
+  const stations = ['A', 'B', 'C', 'D'];
+  const pairsOf = (selection) => getSelectedPairs(stations, selection).map(pair => `${pair.fromCity}>${pair.toCity}`);
+
+  it('selects every pair covering a segment', () => {
+    expect(pairsOf({ segment: { from: 'B', to: 'C' } })).toEqual(['A>C', 'A>D', 'B>C', 'B>D']);
+  });
+
+  it('selects nothing for a segment that runs backwards or has no length', () => {
+    expect(pairsOf({ segment: { from: 'C', to: 'B' } })).toEqual([]);
+    expect(pairsOf({ segment: { from: 'B', to: 'B' } })).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+import { railwayRequest } from '../railwayClient';
+import { NetworkError } from '../railwayErrors';
+
+jest.mock('../storage', () => ({
+  RailwayAccountStorage: { getCredentials: jest.fn() }
+}));
+
+describe('railwayRequest', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('reports a failed connection as a network error', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Network request failed'));
+    await expect(railwayRequest('/trips', { auth: false })).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  it('passes other errors through unchanged', async () => {
+    const bug = new RangeError('Invalid header value');
+    global.fetch = jest.fn().mockRejectedValue(bug);
+    await expect(railwayRequest('/trips', { auth: false })).rejects.toBe(bug);
+  });
+});
@@ -0,0 +1,176 @@
+import {
+  getTicketFare,
+  findDirectRoute,
+  findSegmentedRoutes,
+  findMixedSegmentedRoutes,
+  findShortestPath,
+  findRankedItineraries,
+  ROUTE_OBJECTIVES,
+  RANKING_OBJECTIVES,
+} from '../routePlanner';
+import { lineMatrix, widerMatrix } from '../__fixtures__/routeMatrices';
+
+const SEAT_TYPES = ['S_CHAIR', 'SNIGDHA'];
+
+/**
+ * Describe a route by its tickets, e.g. "A>B:S_CHAIR|B>D:S_CHAIR"
+ * @param {Object} route - Route from the route finders
+ * @returns {string}
+ */
+const ticketsOf = (route) =>
+  route.segments.map(segment => `${segment.from}>${segment.to}:${segment.seatType}`).join('|');
+
+describe('getTicketFare', () => {
+  it('adds VAT and the 20 taka service charge to the base fare', () => {
+    expect(getTicketFare({ fare: '500', vat_amount: '25' }, 'SNIGDHA')).toEqual({
+      base: 500,
+      vat: 25,
+      charge: 20,
+      total: 545
+    });
+  });
+
+  it('treats missing VAT as zero', () => {
+    expect(getTicketFare({ fare: 100 }, 'S_CHAIR').total).toBe(120);
+  });
+
+  it('uses the service charge of the fare rules, per seat type when set', () => {
+    const fareRules = { serviceCharge: 30, seatTypes: { SNIGDHA: { serviceCharge: 25 } } };
+    expect(getTicketFare({ fare: 100, vat_amount: 0 }, 'S_CHAIR', fareRules).charge).toBe(30);
+    expect(getTicketFare({ fare: 100, vat_amount: 0 }, 'SNIGDHA', fareRules).total).toBe(125);
+  });
+});
+
+describe('findDirectRoute', () => {
+  it('prices a direct ticket with seats online', () => {
+    const route = findDirectRoute(lineMatrix, 'A', 'D', 'SNIGDHA');
+    expect(route.type).toBe('DIRECT');
+    expect(route.totalFare).toBe(545);
+    expect(route.fareBreakdown).toEqual({ base: 500, vat: 25, charge: 20 });
+    expect(route.segments[0].date).toBe('20-Oct-2026');
+  });
+
+  it('multiplies the fare by the group size', () => {
+    const route = findDirectRoute(lineMatrix, 'A', 'D', 'SNIGDHA', 2);
+    expect(route.totalFare).toBe(1090);
+    expect(route.segments[0].farePerPassenger).toBe(545);
+  });
+
+  it('returns null when the ticket is sold out online or too few seats are left', () => {
+    expect(findDirectRoute(lineMatrix, 'A', 'D', 'S_CHAIR')).toBeNull();
+    expect(findDirectRoute(lineMatrix, 'A', 'D', 'SNIGDHA', 4)).toBeNull();
+    expect(findDirectRoute(lineMatrix, 'A', 'D', 'AC_B')).toBeNull();
+  });
+});
+
+describe('findShortestPath', () => {
+  it('finds the cheapest chain of tickets', () => {
+    const segments = findShortestPath(lineMatrix, 'A', 'D', ['S_CHAIR'], ROUTE_OBJECTIVES.CHEAPEST, 1, null);
+    expect(segments.map(segment => `${segment.from}>${segment.to}`)).toEqual(['A>B', 'B>C', 'C>D']);
+  });
+
+  it('finds the chain with the fewest tickets', () => {
+    const segments = findShortestPath(lineMatrix, 'A', 'D', ['S_CHAIR'], ROUTE_OBJECTIVES.FEWEST_SEGMENTS, 1, null);
+    expect(segments.map(segment => `${segment.from}>${segment.to}`)).toEqual(['A>B', 'B>D']);
+  });
+
+  it('skips tickets without enough seats for the group', () => {
+    const segments = findShortestPath(lineMatrix, 'A', 'D', ['S_CHAIR'], ROUTE_OBJECTIVES.FEWEST_SEGMENTS, 3, null);
+    expect(segments).toHaveLength(3);
+  });
+
+  it('returns null for backward or unknown journeys and uncovered routes', () => {
+    expect(findShortestPath(lineMatrix, 'D', 'A', ['S_CHAIR'], ROUTE_OBJECTIVES.CHEAPEST, 1, null)).toBeNull();
+    expect(findShortestPath(lineMatrix, 'Z', 'D', ['S_CHAIR'], ROUTE_OBJECTIVES.CHEAPEST, 1, null)).toBeNull();
+    expect(findShortestPath(lineMatrix, 'A', 'D', ['S_CHAIR'], ROUTE_OBJECTIVES.CHEAPEST, 6, null)).toBeNull();
+  });
+});
+
+describe('findSegmentedRoutes', () => {
+  it('returns separate cheapest and fewest-segments routes when they differ', () => {
+    const { cheapest, fewestSegments } = findSegmentedRoutes(lineMatrix, 'A', 'D', 'S_CHAIR');
+    expect(cheapest.type).toBe('SEGMENTED');
+    expect(cheapest.seatType).toBe('S_CHAIR');
+    expect(cheapest.totalFare).toBe(360);
+    expect(cheapest.objectives).toEqual([ROUTE_OBJECTIVES.CHEAPEST]);
+    expect(fewestSegments.totalFare).toBe(390);
+    expect(ticketsOf(fewestSegments)).toBe('A>B:S_CHAIR|B>D:S_CHAIR');
+    expect(fewestSegments.objectives).toEqual([ROUTE_OBJECTIVES.FEWEST_SEGMENTS]);
+  });
+
+  it('returns one route for both objectives when it wins on both', () => {
+    const { cheapest, fewestSegments } = findSegmentedRoutes(lineMatrix, 'C', 'D', 'S_CHAIR');
+    expect(cheapest).toBe(fewestSegments);
+    expect(cheapest.objectives).toEqual([ROUTE_OBJECTIVES.CHEAPEST, ROUTE_OBJECTIVES.FEWEST_SEGMENTS]);
+  });
+
+  it('returns null when the journey cannot be covered', () => {
+    expect(findSegmentedRoutes(lineMatrix, 'A', 'B', 'SNIGDHA')).toBeNull();
+  });
+});
+
+describe('findMixedSegmentedRoutes', () => {
+  it('mixes seat types to find the cheapest and the fewest tickets', () => {
+    const { cheapest, fewestSegments } = findMixedSegmentedRoutes(lineMatrix, 'A', 'D', SEAT_TYPES);
+    expect(cheapest.type).toBe('MIXED_SEGMENTED');
+    expect(cheapest.seatType).toBeUndefined();
+    expect(cheapest.totalFare).toBe(360);
+    expect(ticketsOf(fewestSegments)).toBe('A>D:SNIGDHA');
+  });
+
+  it('picks a class per ticket on fare weighted by preference', () => {
+    // One SNIGDHA ticket (335) only beats two S_CHAIR tickets (240) once
+    // S_CHAIR is ranked five places down, weighting it by 50%
+    const preference = { order: ['SNIGDHA', 'AC_S', 'AC_CHAIR', 'F_CHAIR', 'F_SEAT', 'S_CHAIR'], excluded: [] };
+    const unweighted = findMixedSegmentedRoutes(lineMatrix, 'A', 'C', SEAT_TYPES);
+    expect(unweighted.cheapest.totalFare).toBe(240);
+
+    const { cheapest } = findMixedSegmentedRoutes(lineMatrix, 'A', 'C', SEAT_TYPES, 1, preference);
+    expect(ticketsOf(cheapest)).toBe('A>C:SNIGDHA');
+    expect(cheapest.totalFare).toBe(335);
+  });
+
+  it('never uses excluded classes', () => {
+    const preference = { order: [], excluded: ['S_CHAIR'] };
+    const { cheapest, fewestSegments } = findMixedSegmentedRoutes(lineMatrix, 'A', 'D', SEAT_TYPES, 1, preference);
+    expect(cheapest.segments.every(segment => segment.seatType === 'SNIGDHA')).toBe(true);
+    expect(cheapest.totalFare).toBe(513);
+    expect(fewestSegments.totalFare).toBe(545);
+  });
+});
+
+describe('findRankedItineraries', () => {
+  it('ranks every strategy by total fare without duplicates', () => {
+    const routes = findRankedItineraries(lineMatrix, 'A', 'D', SEAT_TYPES);
+    expect(routes.map(route => route.totalFare)).toEqual([360, 390, 513, 545]);
+    expect(routes[0].type).toBe('SEGMENTED');
+    expect(routes[3].type).toBe('DIRECT');
+  });
+
+  it('ranks by ticket count and by comfort', () => {
+    const bySegments = findRankedItineraries(lineMatrix, 'A', 'D', SEAT_TYPES, { objective: RANKING_OBJECTIVES.SEGMENTS });
+    expect(bySegments.map(route => route.segments.length)).toEqual([1, 2, 2, 3]);
+    expect(bySegments[1].totalFare).toBe(390);
+
+    const byComfort = findRankedItineraries(lineMatrix, 'A', 'D', SEAT_TYPES, { objective: RANKING_OBJECTIVES.COMFORT });
+    expect(byComfort.map(route => route.totalFare)).toEqual([513, 545, 360, 390]);
+  });
+
+  it('keeps the best few for the group and the class preference', () => {
+    const routes = findRankedItineraries(lineMatrix, 'A', 'D', SEAT_TYPES, {
+      limit: 2,
+      passengers: 3,
+      classPreference: { order: [], excluded: ['SNIGDHA'] }
+    });
+    expect(routes).toHaveLength(1);
+    expect(ticketsOf(routes[0])).toBe('A>B:S_CHAIR|B>C:S_CHAIR|C>D:S_CHAIR');
+    expect(routes[0].totalFare).toBe(1080);
+  });
+
+  it('offers wider tickets when the journey itself is sold out', () => {
+    const routes = findRankedItineraries(widerMatrix, 'A', 'B', ['S_CHAIR']);
+    expect(routes.map(route => route.type)).toEqual(['WIDER', 'WIDER']);
+    expect(routes.map(route => route.extraFare)).toEqual([50, 150]);
+    expect(routes[0].coveredFrom).toBe('A');
+  });
+});
@@ -0,0 +1,104 @@
+import * as Notifications from 'expo-notifications';
+import { runSeatWatches } from '../seatWatch';
+import { searchTrips } from '../tripSearchCache';
+import { SeatWatchStorage } from '../storage';
+import { CanceledError } from '../railwayErrors';
+
+jest.mock('expo-notifications', () => ({
+  scheduleNotificationAsync: jest.fn()
+}));
+
+jest.mock('expo-task-manager', () => ({
+  isTaskRegisteredAsync: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('expo-background-task', () => ({}));
+
+jest.mock('../tripSearchCache', () => ({
+  searchTrips: jest.fn()
+}));
+
+jest.mock('../storage', () => {
+  let saved = [];
+  return {
+    SeatWatchStorage: {
+      getWatches: jest.fn(async () => saved),
+      saveWatches: jest.fn(async (watches) => {
+        saved = watches;
+        return true;
+      })
+    }
+  };
+});
+
+/**
+ * Active watch for one S_CHAIR seat
+ * @param {string} id - Watch id
+ * @param {Object} fields - Fields to override
+ * @returns {Object}
+ */
+const makeWatch = (id, fields = {}) => ({
+  id,
+  active: true,
+  origin: 'Dhaka',
+  destination: 'Chattogram',
+  date: '20-Oct-2099',
+  seatType: 'S_CHAIR',
+  minSeats: 1,
+  intervalMinutes: 30,
+  lastCheckedAt: null,
+  lastSeats: 0,
+  history: [],
+  ...fields
+});
+
+const tripsWithSeats = (online) => ({
+  data: { trains: [{ trip_number: 'TEST EXPRESS (701)', seat_types: [{ type: 'S_CHAIR', seat_counts: { online } }] }] }
+});
+
+describe('runSeatWatches', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    searchTrips.mockReset();
+    Notifications.scheduleNotificationAsync.mockClear();
+  });
+
+  it('saves the checks made before a cancellation so alerts are not repeated', async () => {
+    await SeatWatchStorage.saveWatches([
+      makeWatch('checked'),
+      makeWatch('skipped'),
+      makeWatch('past', { date: '20-Oct-2020' })
+    ]);
+    const controller = new AbortController();
+    searchTrips.mockImplementation(async () => {
+      controller.abort();
+      return tripsWithSeats(4);
+    });
+
+    await expect(runSeatWatches({ signal: controller.signal })).rejects.toBeInstanceOf(CanceledError);
+
+    const [checked, skipped, past] = await SeatWatchStorage.getWatches();
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledTimes(1);
+    expect(checked.lastSeats).toBe(4);
+    expect(checked.history).toHaveLength(1);
+    expect(skipped.lastCheckedAt).toBeNull();
+    expect(past.active).toBe(false);
+  });
+
+  it('runs a forced check after a run that skipped watches not due yet', async () => {
+    await SeatWatchStorage.saveWatches([makeWatch('recent', { lastCheckedAt: Date.now() })]);
+    searchTrips.mockResolvedValue(tripsWithSeats(0));
+
+    const dueRun = runSeatWatches();
+    const forcedRun = runSeatWatches({ force: true });
+    await dueRun;
+    const [recent] = await forcedRun;
+
+    expect(searchTrips).toHaveBeenCalledTimes(1);
+    expect(recent.history).toHaveLength(1);
+  });
+});
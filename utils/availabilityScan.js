@@ -0,0 +1,208 @@
+import { SEAT_TYPES, checkSeatAvailability } from './railwayAPI';
+import {
+  RailwayError,
+  CanceledError,
+  NoTrainsFoundError,
+  TicketSaleNotOpenError,
+  isAuthError,
+  isCanceledError
+} from './railwayErrors';
+
+// Outcome of one date in a scan
+export const SCAN_DATE_STATUS = {
+  OK: 'ok',
+  NO_TRAINS: 'no_trains',
+  NOT_OPEN: 'not_open',
+  FAILED: 'failed',
+};
+
+/**
+ * Seat counts of one train on one date, per seat class
+ * @param {Object} trainDetails - Train entry from checkSeatAvailability
+ * @returns {Object} - {departureTime, classes}, where classes maps a seat type
+ *   to {available, issued, booking, fare, unavailable}
+ */
+const summarizeTrain = (trainDetails) => {
+  const classes = {};
+  trainDetails.seat_data.forEach(seat => {
+    classes[seat.type] = {
+      available: seat.is_422 ? 0 : (seat.available_count || 0),
+      issued: seat.ticket_types?.issued_total?.count || 0,
+      booking: seat.booking_process_count || 0,
+      fare: seat.ticket_fare ?? null,
+      unavailable: Boolean(seat.is_422)
+    };
+  });
+  return { departureTime: trainDetails.departure_time, classes };
+};
+
+/**
+ * Check every train and seat class between two stations on one date
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @param {string} journeyDate - Journey date in DD-MMM-YYYY format
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Object>} - Date entry (without the date itself)
+ */
+const scanDate = async (origin, destination, journeyDate, signal) => {
+  try {
+    // The seat class only picks the search request - every class of every train comes back
+    const availabilityData = await checkSeatAvailability(origin, destination, journeyDate, 'S_CHAIR', null, signal);
+    const trains = {};
+    Object.entries(availabilityData).forEach(([tripNumber, trainDetails]) => {
+      trains[tripNumber] = summarizeTrain(trainDetails);
+    });
+    return { status: SCAN_DATE_STATUS.OK, error: null, trains, availabilityData };
+  } catch (error) {
+    if (error instanceof NoTrainsFoundError) {
+      return { status: SCAN_DATE_STATUS.NO_TRAINS, error: null, trains: {}, availabilityData: null };
+    }
+    if (error instanceof TicketSaleNotOpenError) {
+      return {
+        status: SCAN_DATE_STATUS.NOT_OPEN,
+        error: { code: error.code, message: error.message },
+        trains: {},
+        availabilityData: null
+      };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Total seats of one scanned date, for one seat class or all of them
+ * @param {Object} entry - Date entry of a scan
+ * @param {string|null} seatType - Seat type, or null for every class
+ * @returns {{available: number, issued: number, trainCount: number}} - Seats
+ *   online, seats already issued and trains with seats online
+ */
+export const summarizeScanDate = (entry, seatType = null) => {
+  let available = 0;
+  let issued = 0;
+  let trainCount = 0;
+  Object.values(entry.trains).forEach(train => {
+    const classes = seatType
+      ? [train.classes[seatType]].filter(Boolean)
+      : Object.values(train.classes);
+    const trainAvailable = classes.reduce((sum, summary) => sum + summary.available, 0);
+    available += trainAvailable;
+    issued += classes.reduce((sum, summary) => sum + summary.issued, 0);
+    if (trainAvailable > 0) trainCount++;
+  });
+  return { available, issued, trainCount };
+};
+
+/**
+ * Best date of a scan to travel on: most seats online, then most trains with
+ * seats, then the earliest
+ * @param {Object} scanData - Result of computeAvailabilityScan
+ * @param {string|null} seatType - Seat type, or null for every class
+ * @returns {Object|null} - Date entry, or null when no date has seats
+ */
+export const findBestScanDate = (scanData, seatType = null) => {
+  let best = null;
+  let bestSummary = null;
+  scanData.dates.forEach(entry => {
+    if (entry.status !== SCAN_DATE_STATUS.OK) return;
+    const summary = summarizeScanDate(entry, seatType);
+    if (summary.available === 0) return;
+    if (!best ||
+        summary.available > bestSummary.available ||
+        (summary.available === bestSummary.available && summary.trainCount > bestSummary.trainCount)) {
+      best = entry;
+      bestSummary = summary;
+    }
+  });
+  return best;
+};
+
+/**
+ * Check every train and seat class between two stations on several dates.
+ * Each date is a full seat availability check, so its results can be opened
+ * on the seat availability results screen.
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @param {Array<string>} journeyDates - Journey dates in DD-MMM-YYYY format, in order
+ * @param {Function} onProgress - Progress callback function
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Object>} - Scan data with one entry per date
+ */
+export const computeAvailabilityScan = async (origin, destination, journeyDates, onProgress, signal = null) => {
+  try {
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+
+    if (onProgress) onProgress(`Checking ${journeyDates.length} dates...`, 5);
+
+    let completed = 0;
+    const settled = await Promise.allSettled(journeyDates.map(async (journeyDate) => {
+      try {
+        return await scanDate(origin, destination, journeyDate, signal);
+      } finally {
+        completed++;
+        if (onProgress) {
+          onProgress(`Checked ${completed} of ${journeyDates.length} dates`, 5 + Math.round((completed / journeyDates.length) * 90));
+        }
+      }
+    }));
+
+    // Credentials and cancellation affect every date - report them instead of a partial result
+    const fatal = settled.find(({ status, reason }) =>
+      status === 'rejected' && (isAuthError(reason) || isCanceledError(reason)));
+    if (fatal) {
+      throw fatal.reason;
+    }
+
+    const dates = journeyDates.map((date, index) => {
+      const { status, value, reason } = settled[index];
+      if (status === 'rejected') {
+        return {
+          date,
+          status: SCAN_DATE_STATUS.FAILED,
+          error: { code: reason?.code || null, message: reason?.message || 'Unknown error' },
+          trains: {},
+          availabilityData: null
+        };
+      }
+      return { date, ...value };
+    });
+
+    if (dates.every(entry => entry.status === SCAN_DATE_STATUS.FAILED)) {
+      throw settled[0].reason;
+    }
+
+    // Trains in order of first appearance (the API lists them by departure),
+    // and only the seat classes sold on at least one of them
+    const trainNames = [];
+    const soldTypes = new Set();
+    dates.forEach(entry => {
+      Object.entries(entry.trains).forEach(([tripNumber, train]) => {
+        if (!trainNames.includes(tripNumber)) trainNames.push(tripNumber);
+        Object.keys(train.classes).forEach(seatType => soldTypes.add(seatType));
+      });
+    });
+    const seatTypes = [
+      ...SEAT_TYPES.filter(seatType => soldTypes.has(seatType)),
+      ...[...soldTypes].filter(seatType => !SEAT_TYPES.includes(seatType))
+    ];
+
+    if (onProgress) onProgress("Complete!", 100);
+
+    return {
+      origin,
+      destination,
+      seatTypes,
+      trainNames,
+      dates
+    };
+  } catch (error) {
+    console.error('Availability scan error:', error);
+
+    if (error instanceof RailwayError) {
+      throw error;
+    }
+
+    throw new Error(`Date scan failed: ${error.message}`);
+  }
+};
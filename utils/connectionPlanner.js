@@ -0,0 +1,228 @@
+import { findRankedItineraries } from './routePlanner';
+
+// Connection planning across several trains. Like the route planner this only
+// takes plain data (loaded matrices from computeMatrix) and returns plain data.
+
+export const DEFAULT_MIN_CONNECTION_MINUTES = 30;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// A change this close to midnight may be onto a train that leaves the next day
+const OVERNIGHT_CHANGE_HOURS = 6;
+
+/**
+ * Minutes from midnight for a route time such as "07:40 pm BST"
+ * @param {string} timeStr - Time from the train route
+ * @returns {number|null} - Minutes, or null when the time is missing or unreadable
+ */
+const parseStopTime = (timeStr) => {
+  const match = timeStr?.replace(' BST', '').trim().match(/^(\d{1,2}):(\d{2})\s*(am|pm)$/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10) % 12;
+  if (match[3].toLowerCase() === 'pm') {
+    hour += 12;
+  }
+  return hour * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Arrival and departure of a train at each of its stations on one timeline
+ * @param {Object} matrixData - Matrix returned by prepareMatrix/computeMatrix
+ * @returns {Object} - Station -> { arrival, departure } in milliseconds (null when unknown)
+ */
+const getStationTimes = (matrixData) => {
+  const times = {};
+
+  (matrixData.routes || []).forEach(stop => {
+    // stationDates follow the departure time (or the arrival time at the last stop)
+    const [year, month, day] = (matrixData.stationDates?.[stop.city] || '').split('-').map(Number);
+    const departureMinutes = parseStopTime(stop.departure_time);
+    const arrivalMinutes = parseStopTime(stop.arrival_time);
+    if (!year || (departureMinutes === null && arrivalMinutes === null)) return;
+
+    const dayStart = Date.UTC(year, month - 1, day);
+    const departure = departureMinutes !== null ? dayStart + departureMinutes * MINUTE_MS : null;
+    let arrival = arrivalMinutes !== null ? dayStart + arrivalMinutes * MINUTE_MS : null;
+
+    // Arrived before midnight, left after it
+    if (arrival !== null && departure !== null && arrival > departure) {
+      arrival -= DAY_MS;
+    }
+
+    times[stop.city] = {
+      arrival: arrival ?? departure,
+      departure: departure ?? arrival
+    };
+  });
+
+  return times;
+};
+
+/**
+ * Dates to search onward trains from a station on: the date each arriving train
+ * is ready to change there (arrival plus the minimum change time), and the day
+ * after as well when that is late in the evening
+ * @param {Array<Object>} matrices - Loaded matrices of the arriving trains
+ * @param {string} station - Station to change trains at
+ * @param {number} minConnectionMinutes - Shortest allowed change between trains
+ * @returns {Array<string>} - Dates in YYYY-MM-DD format, earliest first
+ */
+export const getConnectionDates = (matrices, station, minConnectionMinutes = DEFAULT_MIN_CONNECTION_MINUTES) => {
+  const dayStarts = new Set();
+
+  matrices.forEach(matrixData => {
+    const arrival = getStationTimes(matrixData)[station]?.arrival;
+    if (arrival == null) return;
+
+    const readyAt = arrival + minConnectionMinutes * MINUTE_MS;
+    const dayStart = Math.floor(readyAt / DAY_MS) * DAY_MS;
+    dayStarts.add(dayStart);
+    if (readyAt - dayStart >= DAY_MS - OVERNIGHT_CHANGE_HOURS * 60 * MINUTE_MS) {
+      dayStarts.add(dayStart + DAY_MS);
+    }
+  });
+
+  return Array.from(dayStarts)
+    .sort((a, b) => a - b)
+    .map(dayStart => new Date(dayStart).toISOString().split('T')[0]);
+};
+
+/**
+ * Route time without the timezone suffix, for display
+ * @param {string} timeStr - Time from the train route
+ * @returns {string}
+ */
+const cleanTime = (timeStr) => (timeStr ? timeStr.replace(' BST', '').trim() : 'N/A');
+
+/**
+ * Combine train legs into one itinerary
+ * @param {Array<Object>} legs - Legs in travel order
+ * @param {number} passengers - Group size
+ * @returns {Object} - Itinerary
+ */
+const buildItinerary = (legs, passengers) => {
+  const connections = legs.slice(1).map((leg, index) => ({
+    station: leg.from,
+    waitMinutes: Math.round((leg.departsAt - legs[index].arrivesAt) / MINUTE_MS)
+  }));
+
+  return {
+    passengers,
+    legs: legs.map(({ departsAt, arrivesAt, ...leg }) => leg),
+    connections,
+    totalFare: legs.reduce((sum, leg) => sum + leg.route.totalFare, 0),
+    waitingMinutes: connections.reduce((sum, connection) => sum + connection.waitMinutes, 0),
+    journeyMinutes: Math.round((legs[legs.length - 1].arrivesAt - legs[0].departsAt) / MINUTE_MS)
+  };
+};
+
+/**
+ * Find itineraries that change trains at stations the trains have in common.
+ * Each train's part of the journey is priced with the route planner, so a leg
+ * may itself be a segmented or mixed-class ticket plan. A connection is only
+ * kept when the next train leaves at least minConnectionMinutes after the
+ * previous one arrives, going by the route timetable.
+ * @param {Array<Object>} matrices - Loaded matrices, one per train
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {Object} options - Planner options
+ * @param {number} options.minConnectionMinutes - Shortest allowed change between trains
+ * @param {number} options.maxTrains - Most trains in one itinerary
+ * @param {number} options.passengers - Group size every ticket must seat
+ * @param {Object|null} options.classPreference - Ranked and excluded classes (see findMixedSegmentedRoutes)
+ * @param {number} options.limit - Number of itineraries to return
+ * @returns {Array<Object>} - Itineraries using two or more trains, cheapest first. Only the
+ *   cheapest itinerary is kept for each sequence of trains.
+ */
+export const findConnections = (matrices, origin, destination, {
+  minConnectionMinutes = DEFAULT_MIN_CONNECTION_MINUTES,
+  maxTrains = 2,
+  passengers = 1,
+  classPreference = null,
+  limit = 10
+} = {}) => {
+  const trains = matrices.map(matrixData => ({
+    matrixData,
+    times: getStationTimes(matrixData),
+    seatTypes: (matrixData.seatTypes || []).filter(seatType => matrixData.hasDataMap?.[seatType])
+  }));
+
+  const planCache = new Map();
+  const getLegPlan = (trainIndex, from, to) => {
+    const key = `${trainIndex}|${from}|${to}`;
+    if (!planCache.has(key)) {
+      const { matrixData, seatTypes } = trains[trainIndex];
+      const [best] = findRankedItineraries(matrixData, from, to, seatTypes, {
+        limit: 1,
+        passengers,
+        classPreference
+      });
+      planCache.set(key, best || null);
+    }
+    return planCache.get(key);
+  };
+
+  // Train sequence -> cheapest itinerary riding it
+  const bestBySequence = new Map();
+
+  const extend = (station, readyAt, legs) => {
+    trains.forEach((train, trainIndex) => {
+      const { matrixData, times } = train;
+      if (legs.some(leg => leg.trainModel === matrixData.trainModel)) return;
+
+      const stations = matrixData.stations;
+      const fromIndex = stations.indexOf(station);
+      const departsAt = times[station]?.departure;
+      if (fromIndex === -1 || departsAt == null) return;
+      if (readyAt !== null && departsAt < readyAt) return;
+
+      for (let toIndex = fromIndex + 1; toIndex < stations.length; toIndex++) {
+        const to = stations[toIndex];
+        const arrivesAt = times[to]?.arrival;
+        const isLastTrain = legs.length + 1 >= maxTrains;
+        if (arrivesAt == null || (to !== destination && isLastTrain)) continue;
+        if (to === origin || legs.some(leg => leg.from === to)) continue;
+
+        const route = getLegPlan(trainIndex, station, to);
+        if (!route) continue;
+
+        const stop = matrixData.routes.find(r => r.city === station);
+        const arrivalStop = matrixData.routes.find(r => r.city === to);
+        const leg = {
+          trainModel: matrixData.trainModel,
+          trainName: matrixData.trainName,
+          from: station,
+          to,
+          date: matrixData.stationDatesFormatted?.[station] || matrixData.date,
+          departureTime: cleanTime(stop?.departure_time || stop?.arrival_time),
+          arrivalTime: cleanTime(arrivalStop?.arrival_time || arrivalStop?.departure_time),
+          route,
+          departsAt,
+          arrivesAt
+        };
+
+        if (to === destination) {
+          if (legs.length === 0) continue; // Single-train plans are the route planner's job
+          const itinerary = buildItinerary([...legs, leg], passengers);
+          const sequence = itinerary.legs.map(l => l.trainModel).join('>');
+          const current = bestBySequence.get(sequence);
+          if (!current ||
+              itinerary.totalFare < current.totalFare ||
+              (itinerary.totalFare === current.totalFare && itinerary.journeyMinutes < current.journeyMinutes)) {
+            bestBySequence.set(sequence, itinerary);
+          }
+        } else {
+          extend(to, arrivesAt + minConnectionMinutes * MINUTE_MS, [...legs, leg]);
+        }
+      }
+    });
+  };
+
+  extend(origin, null, []);
+
+  return Array.from(bestBySequence.values())
+    .sort((a, b) => (a.totalFare - b.totalFare) || (a.journeyMinutes - b.journeyMinutes))
+    .slice(0, limit);
+};
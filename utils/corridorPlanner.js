@@ -0,0 +1,392 @@
+import { SEAT_TYPES, formatDateForAPI, parseDateString, validateCredentials } from './railwayAPI';
+import { searchTrips } from './tripSearchCache';
+import { prepareMatrix, refreshMatrix, restrictMatrixToStations } from './matrixCalculator';
+import { findDirectRoute, findSegmentedRoutes } from './routePlanner';
+import { DEFAULT_MIN_CONNECTION_MINUTES, findConnections, getConnectionDates } from './connectionPlanner';
+import {
+  RailwayError,
+  CanceledError,
+  NoTrainsFoundError,
+  ERROR_CODES,
+  isAuthError,
+  isCanceledError
+} from './railwayErrors';
+
+/**
+ * List the trains serving a station pair on a date
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @param {string} journeyDate - Journey date in DD-MMM-YYYY format
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} - One entry per train model, in search order
+ */
+const findCorridorTrains = async (origin, destination, journeyDate, signal) => {
+  let data;
+  try {
+    // Same search as the matrix cell for this pair, so the cell is answered from the cache
+    data = await searchTrips({
+      fromCity: origin,
+      toCity: destination,
+      date: journeyDate,
+      seatClass: 'SHULOV'
+    }, { maxAttempts: 2, signal });
+  } catch (error) {
+    if (error.status === 422) {
+      throw new NoTrainsFoundError();
+    }
+    throw error;
+  }
+
+  const trains = new Map();
+  (data?.data?.trains || []).forEach(train => {
+    if (train.train_model && !trains.has(train.train_model)) {
+      trains.set(train.train_model, {
+        trainModel: train.train_model,
+        trainName: train.trip_number || train.train_model,
+        departureTime: train.departure_date_time || 'N/A',
+        arrivalTime: train.arrival_date_time || 'N/A'
+      });
+    }
+  });
+
+  if (trains.size === 0) {
+    throw new NoTrainsFoundError();
+  }
+
+  return Array.from(trains.values());
+};
+
+/**
+ * Prepare a train's matrix for the stations between origin and destination.
+ * The journey date is the date at the origin station, so a train that left its
+ * first station the evening before is prepared from the previous day.
+ * @param {string} trainModel - Train model/number
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @param {string} journeyDate - Journey date at the origin in DD-MMM-YYYY format
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Object>} - Matrix data with cells only inside the corridor
+ */
+const prepareCorridorMatrix = async (trainModel, origin, destination, journeyDate, signal) => {
+  let matrixData = await prepareMatrix(trainModel, journeyDate, parseDateString(journeyDate), null, signal);
+
+  if (matrixData.stationDatesFormatted[origin] !== journeyDate && matrixData.prevDayStr) {
+    const startDate = matrixData.prevDayStr;
+    matrixData = await prepareMatrix(trainModel, startDate, parseDateString(startDate), null, signal);
+  }
+
+  const { stations } = matrixData;
+  const originIndex = stations.indexOf(origin);
+  const destinationIndex = stations.indexOf(destination);
+  if (originIndex === -1 || destinationIndex <= originIndex) {
+    throw new Error(`${matrixData.trainName} does not run from ${origin} to ${destination}.`);
+  }
+
+  return restrictMatrixToStations(matrixData, {
+    origins: stations.slice(originIndex, destinationIndex),
+    destinations: stations.slice(originIndex + 1, destinationIndex + 1)
+  });
+};
+
+/**
+ * Load corridor matrices for several trains side by side. A train that fails
+ * does not stop the others, but credential and cancellation errors affect every
+ * train and are thrown instead of a partial result.
+ * @param {Array<Object>} requests - { trainModel, origin, destination, journeyDate } per matrix,
+ *   where journeyDate is the date at the request's origin in DD-MMM-YYYY format
+ * @param {Function} onLoaded - Called with (completed, total) after each matrix settles
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array>} - Promise.allSettled results in request order
+ */
+const loadCorridorMatrices = async (requests, onLoaded, signal) => {
+  let completed = 0;
+  const settled = await Promise.allSettled(requests.map(async ({ trainModel, origin, destination, journeyDate }) => {
+    try {
+      const corridorMatrix = await prepareCorridorMatrix(trainModel, origin, destination, journeyDate, signal);
+      return await refreshMatrix(corridorMatrix, { signal });
+    } finally {
+      completed++;
+      if (onLoaded) onLoaded(completed, requests.length);
+    }
+  }));
+
+  const fatal = settled.find(({ status, reason }) =>
+    status === 'rejected' && (isAuthError(reason) || isCanceledError(reason)));
+  if (fatal) {
+    throw fatal.reason;
+  }
+
+  return settled;
+};
+
+/**
+ * Pick the best ticket plan for one train: direct beats segmented, then the lower fare wins
+ * @param {Object} seatOptions - Seat type -> route or null
+ * @returns {Object|null} - Best route or null when the train has none
+ */
+const pickBestOption = (seatOptions) => {
+  let best = null;
+  Object.values(seatOptions).forEach(option => {
+    if (!option) return;
+    if (!best ||
+        (option.type === 'DIRECT' && best.type !== 'DIRECT') ||
+        (option.type === best.type && option.totalFare < best.totalFare)) {
+      best = option;
+    }
+  });
+  return best;
+};
+
+/**
+ * Find the best direct or segmented ticket plan per seat type
+ * @param {Object} matrixData - Loaded corridor matrix
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @returns {Object} - Seat type -> route or null
+ */
+const getSeatOptions = (matrixData, origin, destination) => {
+  const seatOptions = {};
+  SEAT_TYPES.forEach(seatType => {
+    seatOptions[seatType] =
+      findDirectRoute(matrixData, origin, destination, seatType) ||
+      findSegmentedRoutes(matrixData, origin, destination, seatType)?.cheapest ||
+      null;
+  });
+  return seatOptions;
+};
+
+/**
+ * Compare every train between two stations on one date.
+ * Each train's matrix is computed only for the stations between origin and
+ * destination, then reduced to the best direct/segmented plan per seat type.
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @param {string} journeyDate - Journey date in DD-MMM-YYYY format
+ * @param {Function} onProgress - Progress callback function
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {Object} options - Corridor options
+ * @param {Array<string>|null} options.trainModels - Only compare these trains (null for every train)
+ * @returns {Promise<Object>} - Corridor data with one entry per train, whose status
+ *   is 'ok', 'sold_out' (no seats on any ticket of the corridor) or 'failed'
+ */
+export const computeCorridor = async (origin, destination, journeyDate, onProgress, signal = null, { trainModels = null } = {}) => {
+  try {
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+
+    if (onProgress) onProgress("Validating credentials...", 2);
+    await validateCredentials();
+
+    if (onProgress) onProgress("Finding trains...", 5);
+    const trains = (await findCorridorTrains(origin, destination, journeyDate, signal))
+      .filter(train => !trainModels || trainModels.includes(train.trainModel));
+    if (trains.length === 0) {
+      throw new NoTrainsFoundError();
+    }
+
+    if (onProgress) onProgress(`Found ${trains.length} train${trains.length > 1 ? 's' : ''}`, 10);
+
+    const settled = await loadCorridorMatrices(
+      trains.map(train => ({ trainModel: train.trainModel, origin, destination, journeyDate })),
+      (completed, total) => {
+        if (onProgress) {
+          onProgress(`Checked ${completed} of ${total} trains`, 10 + Math.round((completed / total) * 85));
+        }
+      },
+      signal
+    );
+
+    const results = trains.map((train, index) => {
+      const { status, value, reason } = settled[index];
+
+      // Every ticket of the train is sold out - a result, not a failure
+      if (status === 'rejected' && reason?.code === ERROR_CODES.NO_SEATS_AVAILABLE) {
+        return {
+          ...train,
+          status: 'sold_out',
+          error: null,
+          seatOptions: {},
+          bestOption: null,
+          matrixData: null
+        };
+      }
+
+      if (status === 'rejected') {
+        return {
+          ...train,
+          status: 'failed',
+          error: { code: reason?.code || null, message: reason?.message || 'Unknown error' },
+          seatOptions: {},
+          bestOption: null,
+          matrixData: null
+        };
+      }
+
+      const seatOptions = getSeatOptions(value, origin, destination);
+      return {
+        ...train,
+        trainName: value.trainName || train.trainName,
+        status: 'ok',
+        error: null,
+        seatOptions,
+        bestOption: pickBestOption(seatOptions),
+        matrixData: value
+      };
+    });
+
+    const successCount = results.filter(train => train.status !== 'failed').length;
+    if (successCount === 0) {
+      throw settled[0].reason;
+    }
+
+    // Only show seat types that at least one train sells on this corridor
+    const seatTypes = SEAT_TYPES.filter(seatType =>
+      results.some(train => train.matrixData?.hasDataMap?.[seatType]));
+
+    if (onProgress) onProgress("Complete!", 100);
+
+    return {
+      origin,
+      destination,
+      date: journeyDate,
+      seatTypes,
+      trains: results,
+      successCount,
+      failureCount: results.length - successCount
+    };
+  } catch (error) {
+    console.error('Corridor computation error:', error);
+
+    if (error instanceof RailwayError) {
+      throw error;
+    }
+
+    throw new Error(`Corridor comparison failed: ${error.message}`);
+  }
+};
+
+/**
+ * Plan journeys that change trains at a junction (e.g. Bhairab Bazar or Ishwardi).
+ * Trains from origin to the junction are searched on the journey date. Onward
+ * trains are searched on the dates the first trains reach the junction, so a
+ * change after midnight is found too. Each matrix is loaded for its leg only,
+ * and the connection planner joins them by their timetables.
+ * @param {string} origin - Origin station
+ * @param {string} destination - Destination station
+ * @param {string} junction - Station to change trains at
+ * @param {string} journeyDate - Journey date in DD-MMM-YYYY format
+ * @param {Function} onProgress - Progress callback function
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {Object} options - Connection options
+ * @param {number} options.minConnectionMinutes - Shortest allowed change between trains
+ * @param {number} options.passengers - Group size every ticket must seat
+ * @param {Object|null} options.classPreference - Ranked and excluded classes
+ * @returns {Promise<Object>} - Connection data with itineraries cheapest first
+ */
+export const computeConnections = async (origin, destination, junction, journeyDate, onProgress, signal = null, {
+  minConnectionMinutes = DEFAULT_MIN_CONNECTION_MINUTES,
+  passengers = 1,
+  classPreference = null
+} = {}) => {
+  try {
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+
+    if (onProgress) onProgress("Validating credentials...", 2);
+    await validateCredentials();
+
+    if (onProgress) onProgress(`Finding trains to ${junction}...`, 5);
+    const firstTrains = await findCorridorTrains(origin, junction, journeyDate, signal);
+
+    const firstSettled = await loadCorridorMatrices(
+      firstTrains.map(train => ({ trainModel: train.trainModel, origin, destination: junction, journeyDate })),
+      (completed, total) => {
+        if (onProgress) {
+          onProgress(`Checked ${completed} of ${total} trains to ${junction}`, 5 + Math.round((completed / total) * 45));
+        }
+      },
+      signal
+    );
+    const firstMatrices = firstSettled
+      .filter(({ status }) => status === 'fulfilled')
+      .map(({ value }) => value);
+    if (firstMatrices.length === 0) {
+      throw firstSettled[0].reason;
+    }
+
+    // Onward trains on every date a first train can be changed from
+    const secondDates = getConnectionDates(firstMatrices, junction, minConnectionMinutes).map(formatDateForAPI);
+    if (onProgress) onProgress(`Finding trains from ${junction}...`, 50);
+    const secondSearches = await Promise.allSettled(secondDates.map(date =>
+      findCorridorTrains(junction, destination, date, signal)));
+    const fatalSearch = secondSearches.find(({ status, reason }) =>
+      status === 'rejected' && (isAuthError(reason) || isCanceledError(reason)));
+    if (fatalSearch) {
+      throw fatalSearch.reason;
+    }
+
+    const secondRequests = [];
+    secondSearches.forEach(({ status, value }, index) => {
+      if (status !== 'fulfilled') return;
+      value.forEach(train => secondRequests.push({
+        trainModel: train.trainModel,
+        origin: junction,
+        destination,
+        journeyDate: secondDates[index]
+      }));
+    });
+    if (secondRequests.length === 0) {
+      throw secondSearches[0]?.reason || new NoTrainsFoundError();
+    }
+
+    const secondSettled = await loadCorridorMatrices(
+      secondRequests,
+      (completed, total) => {
+        if (onProgress) {
+          onProgress(`Checked ${completed} of ${total} trains from ${junction}`, 55 + Math.round((completed / total) * 40));
+        }
+      },
+      signal
+    );
+    const secondMatrices = secondSettled
+      .filter(({ status }) => status === 'fulfilled')
+      .map(({ value }) => value);
+    if (secondMatrices.length === 0) {
+      throw secondSettled[0].reason;
+    }
+
+    const matrices = [...firstMatrices, ...secondMatrices];
+
+    if (onProgress) onProgress("Joining trains...", 97);
+    const itineraries = findConnections(matrices, origin, destination, {
+      minConnectionMinutes,
+      passengers,
+      classPreference
+    });
+
+    if (onProgress) onProgress("Complete!", 100);
+
+    return {
+      origin,
+      destination,
+      junction,
+      date: journeyDate,
+      minConnectionMinutes,
+      passengers,
+      itineraries,
+      firstLegTrainCount: firstTrains.length,
+      secondLegTrainCount: secondRequests.length,
+      failureCount: firstSettled.length + secondSettled.length - matrices.length
+    };
+  } catch (error) {
+    console.error('Connection planning error:', error);
+
+    if (error instanceof RailwayError) {
+      throw error;
+    }
+
+    throw new Error(`Connection planning failed: ${error.message}`);
+  }
+};
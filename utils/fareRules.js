@@ -0,0 +1,109 @@
+// Ticket pricing rules. The Firebase `appUpdate/fareRules` node can override
+// any of these values; anything it leaves out falls back to the defaults here.
+//
+// fareRules: {
+//   serviceCharge: 20,                      // Added to every ticket
+//   seatTypes: {
+//     AC_B: { surcharge: 50 },              // Added to the fare Shohoz reports
+//     SHOVAN: { vatRate: 0.15 },            // Work VAT out from the fare instead of using vat_amount
+//     SNIGDHA: { serviceCharge: 25 }        // Seat-type specific service charge
+//   }
+// }
+export const DEFAULT_FARE_RULES = {
+  serviceCharge: 20,
+  seatTypes: {
+    AC_B: { surcharge: 50 },
+    F_BERTH: { surcharge: 50 }
+  }
+};
+
+/**
+ * Keep a config value only when it is a usable number
+ * @param {*} value - Value from the config
+ * @returns {number|undefined}
+ */
+const toAmount = (value) => {
+  const amount = Number(value);
+  return value !== null && value !== '' && Number.isFinite(amount) && amount >= 0 ? amount : undefined;
+};
+
+/**
+ * Merge fare rules from the app config over the defaults
+ * @param {Object|null} config - `fareRules` from the Firebase app config
+ * @returns {Object} - Complete fare rules
+ */
+export const resolveFareRules = (config) => {
+  const rules = {
+    serviceCharge: toAmount(config?.serviceCharge) ?? DEFAULT_FARE_RULES.serviceCharge,
+    seatTypes: {}
+  };
+
+  const seatTypes = new Set([
+    ...Object.keys(DEFAULT_FARE_RULES.seatTypes),
+    ...Object.keys(config?.seatTypes || {})
+  ]);
+
+  seatTypes.forEach(seatType => {
+    const defaults = DEFAULT_FARE_RULES.seatTypes[seatType] || {};
+    const overrides = config?.seatTypes?.[seatType] || {};
+    const rule = {};
+
+    ['surcharge', 'vatRate', 'serviceCharge'].forEach(field => {
+      const value = toAmount(overrides[field]) ?? defaults[field];
+      if (value !== undefined) {
+        rule[field] = value;
+      }
+    });
+    rules.seatTypes[seatType] = rule;
+  });
+
+  return rules;
+};
+
+/**
+ * Get the rule for one seat type
+ * @param {string} seatType - Seat type
+ * @param {Object} rules - Fare rules
+ * @returns {Object} - Seat type rule (may be empty)
+ */
+const getSeatTypeRule = (seatType, rules) => rules?.seatTypes?.[seatType] || {};
+
+/**
+ * Turn the fare Shohoz reports into the fare the matrix stores for a seat type
+ * @param {string} seatType - Seat type
+ * @param {number|string} fare - Fare from search-trips
+ * @param {number|string} vatAmount - VAT from search-trips
+ * @param {Object} rules - Fare rules
+ * @returns {{fare: number, vat_amount: number}}
+ */
+export const applySeatTypeFare = (seatType, fare, vatAmount, rules = DEFAULT_FARE_RULES) => {
+  const rule = getSeatTypeRule(seatType, rules);
+  const baseFare = (parseFloat(fare) || 0) + (rule.surcharge || 0);
+  const vat = rule.vatRate !== undefined
+    ? Math.round(baseFare * rule.vatRate)
+    : (parseFloat(vatAmount) || 0);
+
+  return { fare: baseFare, vat_amount: vat };
+};
+
+/**
+ * Service charge for one ticket of a seat type
+ * @param {string} seatType - Seat type
+ * @param {Object} rules - Fare rules
+ * @returns {number}
+ */
+export const getServiceCharge = (seatType, rules = DEFAULT_FARE_RULES) =>
+  getSeatTypeRule(seatType, rules).serviceCharge ?? rules?.serviceCharge ?? DEFAULT_FARE_RULES.serviceCharge;
+
+/**
+ * Price of one ticket from the fare Shohoz reports - surcharge, VAT and service charge included
+ * @param {string} seatType - Seat type
+ * @param {number|string} fare - Fare from search-trips
+ * @param {number|string} vatAmount - VAT from search-trips
+ * @param {Object} rules - Fare rules
+ * @returns {number}
+ */
+export const getTicketPrice = (seatType, fare, vatAmount, rules = DEFAULT_FARE_RULES) => {
+  const seatFare = applySeatTypeFare(seatType, fare, vatAmount, rules);
+  return seatFare.fare + seatFare.vat_amount + getServiceCharge(seatType, rules);
+};
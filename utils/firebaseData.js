@@ -210,6 +210,8 @@ export const getAppConfig = async () => {
       // Return configuration with default values
       return {
         enableWeekdayValidation: data.enableWeekdayValidation !== undefined ? data.enableWeekdayValidation : true,
+        // Raw overrides - resolved against the local defaults in fareRules.js
+        fareRules: data.fareRules || null,
         // Add other config values as needed
       };
     } else {
@@ -217,6 +219,7 @@ export const getAppConfig = async () => {
       // Return default configuration
       return {
         enableWeekdayValidation: true,
+        fareRules: null,
       };
     }
   } catch (error) {
@@ -224,6 +227,7 @@ export const getAppConfig = async () => {
     // Return default configuration on error
     return {
       enableWeekdayValidation: true,
+      fareRules: null,
     };
   }
 };
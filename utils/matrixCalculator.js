@@ -8,6 +8,16 @@ import {
   validateCredentials
 } from './railwayAPI';
 import { getAppConfig } from './firebaseData';
+import { DEFAULT_FARE_RULES, resolveFareRules } from './fareRules';
+import {
+  RailwayError,
+  CanceledError,
+  TrainNotRunningError,
+  NoSeatsAvailableError,
+  TrainNotListedError,
+  isAuthError,
+  isCanceledError
+} from './railwayErrors';
 
 /**
  * Validate train schedule for the selected date
@@ -37,10 +47,10 @@ const validateTrainSchedule = (journeyDateStr, days, trainName, enableWeekdayVal
     // Comment out these two lines below as trains run every day temporarily on EID journey
     // This can be controlled via Firebase appUpdate.enableWeekdayValidation
     if (enableWeekdayValidation && !days.includes(weekdayShort)) {
-      throw new Error(`${trainName} does not run on ${weekdayFull}.`);
+      throw new TrainNotRunningError({ trainName, weekday: weekdayFull });
     }
   } catch (error) {
-    if (error.message.includes('does not run')) {
+    if (error instanceof TrainNotRunningError) {
       throw error;
     }
     throw new Error(`Date validation failed: ${error.message}`);
@@ -209,20 +219,313 @@ const calculateStationDates = (routes, baseDate) => {
   }
 };
 
+// Minimum time between progressive updates, so the screen does not re-render per cell
+const UPDATE_INTERVAL_MS = 500;
+
+// Fetch state of a single matrix cell
+export const CELL_STATUS = {
+  OK: 'ok',
+  FAILED: 'failed',
+  NOT_FETCHED: 'not_fetched',
+};
+
 /**
- * Compute seat availability matrix for a train
+ * Create a cell without seat data
+ * @param {string} status - One of CELL_STATUS
+ * @param {Object|null} error - Serializable {code, message} for failed cells
+ * @returns {Object} - Matrix cell
+ */
+const createEmptyCell = (status, error = null) => {
+  const cell = { online: 0, offline: 0, fare: 0, vat_amount: 0, status };
+  if (error) {
+    cell.error = error;
+  }
+  return cell;
+};
+
+/**
+ * Query seat availability for a list of station pairs.
+ * Cancellation and authentication errors stop the whole run; any other
+ * failure is reported per pair so the rest of the matrix can still be shown.
+ * A pair the train is not listed for has no seats, so it succeeds empty.
+ * @param {string} trainModel - Train model/number
+ * @param {Array<{fromCity: string, toCity: string, date: string}>} pairs - Pairs to query, in request order
+ * @param {Object} options - Fetch options
+ * @param {Function} options.onProgress - Progress callback function
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @param {number} options.progressStart - Progress percentage when the first pair starts
+ * @param {number} options.progressSpan - Progress percentage covered by all pairs
+ * @param {Function} options.onPairResult - Called with each pair result as soon as it arrives
+ * @param {Object} options.fareRules - Fare rules the matrix is priced with
+ * @returns {Promise<Array<Object>>} - One {success, fromCity, toCity, date, seatInfo, error} per pair
+ */
+const fetchRoutePairs = async (trainModel, pairs, {
+  onProgress = null,
+  signal = null,
+  progressStart = 15,
+  progressSpan = 70,
+  onPairResult = null,
+  fareRules = DEFAULT_FARE_RULES
+} = {}) => {
+  let completedCount = 0;
+  const totalCount = pairs.length;
+
+  const reportProgress = () => {
+    completedCount++;
+    if (onProgress) {
+      const progressPercent = progressStart + Math.round((completedCount / totalCount) * progressSpan);
+      onProgress(`Processing routes... (${completedCount}/${totalCount})`, progressPercent);
+    }
+  };
+
+  // Fire every pair at once - the shared request scheduler limits concurrency
+  // and slows down on rate limits instead of failing the run
+  const results = await Promise.allSettled(pairs.map(async (item) => {
+    const { fromCity, toCity, date } = item;
+    try {
+      // Check for cancellation before making request
+      if (signal?.aborted) {
+        throw new CanceledError();
+      }
+
+      const result = await getSeatAvailability(trainModel, date, fromCity, toCity, signal, fareRules);
+
+      reportProgress();
+      const pairResult = { success: true, fromCity, toCity, date, seatInfo: result, error: null };
+      if (onPairResult) onPairResult(pairResult);
+      return pairResult;
+    } catch (error) {
+      reportProgress();
+
+      // Check if error is due to cancellation
+      if (signal?.aborted || isCanceledError(error)) {
+        throw new CanceledError(); // Re-throw cancellation errors
+      }
+
+      // Check if this is a critical authentication error that should stop matrix computation
+      if (isAuthError(error)) {
+        throw error; // Re-throw authentication errors to stop matrix computation
+      }
+
+      // No ticket is sold for this pair - a final answer, not worth a retry
+      if (error instanceof TrainNotListedError) {
+        const pairResult = { success: true, fromCity, toCity, date, seatInfo: {}, error: null };
+        if (onPairResult) onPairResult(pairResult);
+        return pairResult;
+      }
+
+      const pairResult = { success: false, fromCity, toCity, date, seatInfo: null, error };
+      if (onPairResult) onPairResult(pairResult);
+      return pairResult;
+    }
+  }));
+
+  // Rejected pairs carry errors that must stop the whole matrix
+  const fatalError = results.find(r => r.status === 'rejected' && (isCanceledError(r.reason) || isAuthError(r.reason)));
+  if (fatalError) {
+    throw fatalError.reason;
+  }
+
+  return results.map((promiseResult, index) => {
+    if (promiseResult.status === 'fulfilled') {
+      return promiseResult.value;
+    }
+    console.error(`Promise rejected for route ${index}:`, promiseResult.reason);
+    return { ...pairs[index], success: false, seatInfo: null, error: promiseResult.reason };
+  });
+};
+
+/**
+ * Write pair results into the fare matrices
+ * @param {Object} fareMatrices - Matrices to update, keyed by seat type, origin and destination
+ * @param {Object} seatTypeHasData - Seat type flags to update
+ * @param {Array<Object>} results - Results from fetchRoutePairs
+ * @returns {{successCount: number, failureCount: number, failedPairs: Array<Object>, firstError: Error|null}}
+ */
+const applyPairResults = (fareMatrices, seatTypeHasData, results) => {
+  let successCount = 0;
+  const failedPairs = [];
+  let firstError = null;
+
+  results.forEach(({ success, fromCity, toCity, date, seatInfo, error }) => {
+    if (!success) {
+      // Only code and message go into the matrix - it travels through navigation params
+      const cellError = {
+        code: error?.code || null,
+        message: error?.message || 'Failed to fetch seat availability'
+      };
+      failedPairs.push({ fromCity, toCity, date, error: cellError });
+      if (!firstError) firstError = error;
+
+      SEAT_TYPES.forEach(seatType => {
+        fareMatrices[seatType][fromCity][toCity] = createEmptyCell(CELL_STATUS.FAILED, cellError);
+      });
+      return;
+    }
+
+    successCount++;
+
+    const seatsWithData = SEAT_TYPES.filter(st =>
+      seatInfo[st] && (seatInfo[st].online + seatInfo[st].offline) > 0
+    );
+    if (seatsWithData.length > 0) {
+      console.log(`  ✓ ${fromCity} → ${toCity}: ${seatsWithData.join(', ')}`);
+    } else {
+      console.log(`  ⚠ ${fromCity} → ${toCity}: No seats available in any type`);
+    }
+
+    SEAT_TYPES.forEach(seatType => {
+      fareMatrices[seatType][fromCity][toCity] = seatInfo[seatType]
+        ? { ...seatInfo[seatType], status: CELL_STATUS.OK }
+        : createEmptyCell(CELL_STATUS.OK);
+    });
+
+    seatsWithData.forEach(seatType => {
+      seatTypeHasData[seatType] = true;
+    });
+  });
+
+  return { successCount, failureCount: failedPairs.length, failedPairs, firstError };
+};
+
+/**
+ * Check whether a station pair belongs to a station selection
+ * @param {Array<string>} stations - Route stations in travel order
+ * @param {string} fromCity - Origin station
+ * @param {string} toCity - Destination station
+ * @param {Object|null} selection - See getSelectedPairs
+ * @returns {boolean}
+ */
+const isPairSelected = (stations, fromCity, toCity, selection) => {
+  if (!selection) return true;
+
+  if (selection.segment) {
+    // Boards at or before the segment start and alights at or after its end
+    const segmentFrom = stations.indexOf(selection.segment.from);
+    const segmentTo = stations.indexOf(selection.segment.to);
+    if (segmentFrom === -1 || segmentTo === -1 || segmentFrom >= segmentTo) return false;
+    return stations.indexOf(fromCity) <= segmentFrom && stations.indexOf(toCity) >= segmentTo;
+  }
+
+  const { origins = [], destinations = [] } = selection;
+  return (origins.length === 0 || origins.includes(fromCity)) &&
+    (destinations.length === 0 || destinations.includes(toCity));
+};
+
+/**
+ * List the station pairs a selection covers, in route order
+ * @param {Array<string>} stations - Route stations in travel order
+ * @param {Object|null} selection - null for every pair, `{origins, destinations}` to limit
+ *   boarding/alighting stations (an empty list means any), or `{segment: {from, to}}`
+ *   for every pair covering that segment
+ * @returns {Array<{fromCity: string, toCity: string}>}
+ */
+export const getSelectedPairs = (stations, selection = null) => {
+  const pairs = [];
+  for (let i = 0; i < stations.length; i++) {
+    for (let j = i + 1; j < stations.length; j++) {
+      if (isPairSelected(stations, stations[i], stations[j], selection)) {
+        pairs.push({ fromCity: stations[i], toCity: stations[j] });
+      }
+    }
+  }
+  return pairs;
+};
+
+/**
+ * Limit a prepared matrix to the pairs of a station selection, so only those
+ * pairs are queried
+ * @param {Object} matrixData - Matrix returned by prepareMatrix
+ * @param {Object|null} selection - See getSelectedPairs
+ * @returns {Object} - Matrix data without cells outside the selection
+ */
+export const restrictMatrixToStations = (matrixData, selection) => {
+  if (!selection) return matrixData;
+
+  const fareMatrices = {};
+  Object.entries(matrixData.fareMatrices).forEach(([seatType, rows]) => {
+    fareMatrices[seatType] = {};
+    Object.entries(rows).forEach(([fromCity, row]) => {
+      fareMatrices[seatType][fromCity] = {};
+      Object.entries(row).forEach(([toCity, cell]) => {
+        if (isPairSelected(matrixData.stations, fromCity, toCity, selection)) {
+          fareMatrices[seatType][fromCity][toCity] = cell;
+        }
+      });
+    });
+  });
+
+  return { ...matrixData, fareMatrices, stationSelection: selection };
+};
+
+/**
+ * Copy fare matrices down to row level so cells can be replaced without
+ * mutating a matrix that is already on screen
+ * @param {Object} fareMatrices - Matrices keyed by seat type, origin and destination
+ * @returns {Object} - Copied matrices
+ */
+const cloneFareMatrices = (fareMatrices) => {
+  const copy = {};
+  Object.entries(fareMatrices).forEach(([seatType, rows]) => {
+    copy[seatType] = {};
+    Object.entries(rows).forEach(([fromCity, row]) => {
+      copy[seatType][fromCity] = { ...row };
+    });
+  });
+  return copy;
+};
+
+/**
+ * List the station pairs an existing matrix covers, in route order
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @returns {Array<{fromCity: string, toCity: string, date: string}>}
+ */
+const getMatrixPairs = (matrixData) => {
+  const rows = matrixData.fareMatrices[SEAT_TYPES[0]] || {};
+  const pairs = [];
+  matrixData.stations.forEach(fromCity => {
+    Object.keys(rows[fromCity] || {}).forEach(toCity => {
+      pairs.push({
+        fromCity,
+        toCity,
+        date: matrixData.stationDatesFormatted?.[fromCity] || matrixData.date
+      });
+    });
+  });
+  return pairs;
+};
+
+/**
+ * Check whether a pair had seats of any type
+ * @param {Object} fareMatrices - Matrices keyed by seat type, origin and destination
+ * @param {string} fromCity - Origin station
+ * @param {string} toCity - Destination station
+ * @returns {boolean}
+ */
+const pairHasSeats = (fareMatrices, fromCity, toCity) => {
+  return SEAT_TYPES.some(seatType => {
+    const cell = fareMatrices[seatType]?.[fromCity]?.[toCity];
+    return Boolean(cell) && (cell.online + cell.offline) > 0;
+  });
+};
+
+/**
+ * Prepare a matrix for a train without fetching any seats: train route,
+ * schedule validation, station dates and a cell for every station pair,
+ * all marked as not fetched. Seats are loaded by computeMatrix or refreshMatrix.
  * @param {string} trainModel - Train model/number
  * @param {string} journeyDateStr - Journey date in DD-MMM-YYYY format
  * @param {string} apiDateFormat - Journey date in YYYY-MM-DD format
  * @param {Function} onProgress - Progress callback function
  * @param {AbortSignal} signal - Abort signal for cancellation
- * @returns {Promise<Object>} - Complete matrix data
+ * @param {Object|null} stationSelection - Only create cells for these pairs (see getSelectedPairs)
+ * @returns {Promise<Object>} - Matrix data with every cell not fetched yet
  */
-export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, onProgress, signal = null) => {
+export const prepareMatrix = async (trainModel, journeyDateStr, apiDateFormat, onProgress, signal = null, stationSelection = null) => {
   try {
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Operation canceled');
+      throw new CanceledError();
     }
     
     // Step 1: Fetch train information (no authentication required)
@@ -240,7 +543,7 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
     
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Operation canceled');
+      throw new CanceledError();
     }
     
     const stations = trainData.routes.map(r => r.city);
@@ -252,6 +555,8 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
     // Fetch app configuration from Firebase
     const appConfig = await getAppConfig();
     const enableWeekdayValidation = appConfig.enableWeekdayValidation;
+    // Kept with the matrix so every later refresh and route search prices tickets the same way
+    const fareRules = resolveFareRules(appConfig.fareRules);
 
     // Validate train schedule (can be controlled via Firebase config)
     validateTrainSchedule(journeyDateStr, days, trainName, enableWeekdayValidation);
@@ -261,7 +566,7 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
 
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Operation canceled');
+      throw new CanceledError();
     }
 
     // Clean halt times
@@ -291,7 +596,12 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
 
     const stationDates = calculateStationDates(routes, baseDate);
 
-    // Initialize fare matrices
+    // Initialize fare matrices - every selected pair starts as not fetched
+    const selectedPairs = getSelectedPairs(stations, stationSelection);
+    if (selectedPairs.length === 0) {
+      throw new Error("The selected stations do not form any route on this train.");
+    }
+
     const fareMatrices = {};
     const seatTypeHasData = {};
 
@@ -302,37 +612,16 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
       stations.forEach(fromCity => {
         fareMatrices[seatType][fromCity] = {};
       });
+      selectedPairs.forEach(({ fromCity, toCity }) => {
+        fareMatrices[seatType][fromCity][toCity] = createEmptyCell(CELL_STATUS.NOT_FETCHED);
+      });
     });
 
     if (onProgress) onProgress("Preparing route data...", 10);
 
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Operation canceled');
-    }
-
-    // Create all route combinations - match Python logic exactly
-    const routeCombinations = [];
-    for (let i = 0; i < stations.length; i++) {
-      for (let j = i + 1; j < stations.length; j++) {
-        const stationDateStr = stationDates[stations[i]];
-        // Format date exactly like Python: datetime.strptime(station_dates[from_city], "%Y-%m-%d").strftime("%d-%b-%Y")
-        const [year, month, day] = stationDateStr.split('-');
-        const monthAbbr = [
-          "Jan", "Feb", "Mar", "Apr", "May", "Jun",
-          "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"
-        ];
-        const monthIndex = parseInt(month, 10) - 1;
-        const monthStr = monthAbbr[monthIndex];
-        const dayStr = parseInt(day, 10).toString().padStart(2, '0');
-        const formattedDate = `${dayStr}-${monthStr}-${year}`;
-        
-        routeCombinations.push({
-          fromCity: stations[i],
-          toCity: stations[j],
-          date: formattedDate
-        });
-      }
+      throw new CanceledError();
     }
 
     // Step 4: Validate credentials before processing
@@ -340,161 +629,12 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
     
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Operation canceled');
+      throw new CanceledError();
     }
     
     // Validate credentials - will throw error if not set
     await validateCredentials();
 
-    if (onProgress) onProgress("Processing routes...", 15);
-
-    // Maximum concurrency: 10 like Python version (ThreadPoolExecutor(max_workers=10))
-    const MAX_CONCURRENT_REQUESTS = 10;
-    let completedCount = 0;
-    const totalCount = routeCombinations.length;
-    
-    // Process with same concurrency as Python version
-    const processWithOptimalSpeed = async (items) => {
-      const results = [];
-      const executing = new Set();
-      
-      for (const item of items) {
-        while (executing.size >= MAX_CONCURRENT_REQUESTS) {
-          await Promise.race(executing);
-        }
-        
-        const promise = (async () => {
-          const { fromCity, toCity, date } = item;
-          try {
-            // Check for cancellation before making request
-            if (signal?.aborted) {
-              throw new Error('Operation canceled');
-            }
-            
-            const result = await getSeatAvailability(trainModel, date, fromCity, toCity, signal);
-            
-            completedCount++;
-            if (onProgress) {
-              const progressPercent = 15 + Math.round((completedCount / totalCount) * 70);
-              onProgress(`Processing routes... (${completedCount}/${totalCount})`, progressPercent);
-            }
-            return { success: true, fromCity, toCity, seatInfo: result };
-          } catch (error) {
-            completedCount++;
-            if (onProgress) {
-              const progressPercent = 15 + Math.round((completedCount / totalCount) * 70);
-              onProgress(`Processing routes... (${completedCount}/${totalCount})`, progressPercent);
-            }
-            
-            // Check if error is due to cancellation
-            if (signal?.aborted || error.name === 'AbortError' || error.message.includes('canceled')) {
-              throw error; // Re-throw cancellation errors
-            }
-            
-            // Check if this is a critical authentication error that should stop matrix computation
-            if (error.message === 'AUTH_TOKEN_EXPIRED' || 
-                error.message === 'AUTH_DEVICE_KEY_EXPIRED' ||
-                error.message.includes('INVALID_CREDENTIALS:') || 
-                error.message.includes('CREDENTIALS_ERROR:') ||
-                error.message.includes('Authentication failed:')) {
-              throw error; // Re-throw authentication errors to stop matrix computation
-            }
-            
-            return { success: false, fromCity, toCity, seatInfo: null, error: error.message };
-          }
-        })();
-        
-        executing.add(promise);
-        results.push(promise);
-        
-        promise.finally(() => executing.delete(promise));
-      }
-      
-      return await Promise.allSettled(results);
-    };
-    
-    // Execute all requests with optimal speed matching Python version
-    const results = await processWithOptimalSpeed(routeCombinations);
-    
-    // Process all results - match exact Python logic including nested loop bug
-    let successCount = 0;
-    let failureCount = 0;
-    
-    console.log('\n🔍 Processing results summary:');
-    
-    results.forEach((promiseResult, index) => {
-      if (promiseResult.status === 'fulfilled') {
-        const { success, fromCity, toCity, seatInfo } = promiseResult.value;
-        
-        if (success) {
-          successCount++;
-          
-          // Log what seat types have data
-          if (seatInfo) {
-            const seatsWithData = SEAT_TYPES.filter(st => 
-              seatInfo[st] && (seatInfo[st].online + seatInfo[st].offline) > 0
-            );
-            if (seatsWithData.length > 0) {
-              console.log(`  ✓ ${fromCity} → ${toCity}: ${seatsWithData.join(', ')}`);
-            } else {
-              console.log(`  ⚠ ${fromCity} → ${toCity}: No seats available in any type`);
-            }
-          }
-        } else {
-          failureCount++;
-        }
-        
-        // First loop: Process the seat data exactly like Python version
-        SEAT_TYPES.forEach(seatType => {
-          const seatData = seatInfo ? 
-            (seatInfo[seatType] || { online: 0, offline: 0, fare: 0 }) : 
-            { online: 0, offline: 0, fare: 0 };
-          
-          fareMatrices[seatType][fromCity][toCity] = seatData;
-        });
-        
-        // Second loop: Check if seat types have data - match Python's nested structure
-        if (seatInfo) {
-          SEAT_TYPES.forEach(seatType => {
-            if (seatInfo[seatType] && 
-                (seatInfo[seatType].online + seatInfo[seatType].offline) > 0) {
-              seatTypeHasData[seatType] = true;
-            }
-          });
-        }
-      } else {
-        failureCount++;
-        console.error(`Promise rejected for route ${index}:`, promiseResult.reason);
-      }
-    });
-
-    console.log(`Concurrent requests completed: ${successCount} successful, ${failureCount} failed`);
-
-    // Log performance metrics
-    const totalRequests = routeCombinations.length;
-    const successRate = (successCount / totalRequests * 100).toFixed(1);
-    console.log(`Request success rate: ${successRate}%`);
-
-    // Check if any seat type has data
-    console.log('\n📈 Seat type data availability:');
-    SEAT_TYPES.forEach(seatType => {
-      console.log(`  ${seatType}: ${seatTypeHasData[seatType] ? '✓ Has data' : '✗ No data'}`);
-    });
-    
-    const hasAnyData = Object.values(seatTypeHasData).some(hasData => hasData);
-    console.log(`\n🎯 Overall: ${hasAnyData ? 'At least one seat type has data' : 'NO seat types have data'}\n`);
-    
-    if (!hasAnyData) {
-      throw new Error("No seats available for the selected train and date. Please try a different date or train.");
-    }
-
-    if (onProgress) onProgress("Finalizing results...", 87);
-
-    // Final check for cancellation
-    if (signal?.aborted) {
-      throw new Error('Operation canceled');
-    }
-
     // Format station dates for display - match Python logic exactly
     const stationDatesFormatted = {};
     Object.entries(stationDates).forEach(([station, dateStr]) => {
@@ -548,9 +688,7 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
       prevDayStr = formatPythonStyle(prevDay);
     }
 
-    if (onProgress) onProgress("Complete!", 100);
-
-    console.log('Matrix computation completed successfully');
+    console.log('Matrix prepared for', stations.length, 'stations');
 
     // Return object with camelCase for JavaScript frontend compatibility
     return {
@@ -569,23 +707,293 @@ export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, o
       hasSegmentedDates,
       nextDayStr,
       prevDayStr,
+      stationSelection,
+      fareRules,
+      successCount: 0,
+      failureCount: 0,
+      failedPairs: [],
     };
 
   } catch (error) {
-    console.error('Matrix computation error:', error);
+    console.error('Matrix preparation error:', error);
     
-    // Preserve AUTH errors
-    if (error.message === 'AUTH_TOKEN_EXPIRED' || error.message === 'AUTH_DEVICE_KEY_EXPIRED') {
+    // Preserve typed errors (auth, cancellation, train not running, no seats...)
+    if (error instanceof RailwayError) {
       throw error;
     }
     
-    // Preserve other specific error messages
-    if (error.message.includes('INVALID_CREDENTIALS:') || 
-        error.message.includes('CREDENTIALS_ERROR:') ||
-        error.message.includes('does not run on')) {
+    throw new Error(`Matrix computation failed: ${error.message}`);
+  }
+};
+
+/**
+ * Re-query only the pairs that failed in a previous matrix run
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {Function} onProgress - Progress callback function
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Object>} - New matrix data with the retried cells merged in
+ */
+export const retryFailedCells = async (matrixData, onProgress, signal = null) => {
+  const pairs = (matrixData.failedPairs || []).map(({ fromCity, toCity, date }) => ({ fromCity, toCity, date }));
+  if (pairs.length === 0) {
+    return matrixData;
+  }
+
+  try {
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+
+    if (onProgress) onProgress("Validating credentials...", 5);
+    await validateCredentials();
+
+    if (onProgress) onProgress("Processing routes...", 10);
+    const results = await fetchRoutePairs(matrixData.trainModel, pairs, {
+      onProgress,
+      signal,
+      progressStart: 10,
+      progressSpan: 85,
+      fareRules: matrixData.fareRules
+    });
+
+    // Copy the matrices so the previous params object is left untouched
+    const fareMatrices = cloneFareMatrices(matrixData.fareMatrices);
+    const seatTypeHasData = { ...matrixData.hasDataMap };
+
+    const { successCount, failureCount, failedPairs } = applyPairResults(fareMatrices, seatTypeHasData, results);
+    console.log(`Retried ${pairs.length} failed routes: ${successCount} recovered, ${failureCount} still failing`);
+
+    if (onProgress) onProgress("Complete!", 100);
+
+    return {
+      ...matrixData,
+      fareMatrices,
+      hasDataMap: seatTypeHasData,
+      successCount: (matrixData.successCount || 0) + successCount,
+      failureCount,
+      failedPairs,
+    };
+  } catch (error) {
+    console.error('Retry failed cells error:', error);
+
+    if (error instanceof RailwayError) {
       throw error;
     }
-    
+
+    throw new Error(`Retrying failed routes failed: ${error.message}`);
+  }
+};
+
+/**
+ * Fetch seats for a list of pairs and merge them into a matrix, handing the
+ * partly loaded matrix to `onUpdate` as results arrive
+ * @param {Object} matrixData - Matrix to load seats into (left untouched)
+ * @param {Array<{fromCity: string, toCity: string, date: string}>} pairs - Pairs to query, in request order
+ * @param {Object} options - Load options
+ * @param {Function} options.onUpdate - Receives the partly loaded matrix
+ * @param {Function} options.onProgress - Progress callback function
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @param {number} options.progressStart - Progress percentage when the first pair starts
+ * @param {number} options.progressSpan - Progress percentage covered by all pairs
+ * @returns {Promise<Object>} - Matrix data with every pair loaded
+ */
+const loadPairs = async (matrixData, pairs, {
+  onUpdate = null,
+  onProgress = null,
+  signal = null,
+  progressStart = 15,
+  progressSpan = 70
+} = {}) => {
+  const fareMatrices = cloneFareMatrices(matrixData.fareMatrices);
+  const loadedHasData = {};
+  SEAT_TYPES.forEach(seatType => {
+    loadedHasData[seatType] = false;
+  });
+
+  let successCount = 0;
+  const failedPairs = [];
+  let firstError = null;
+  let lastUpdate = 0;
+
+  const emitUpdate = () => {
+    // Pairs not loaded yet still show their previous seats
+    const hasDataMap = {};
+    SEAT_TYPES.forEach(seatType => {
+      hasDataMap[seatType] = loadedHasData[seatType] || Boolean(matrixData.hasDataMap[seatType]);
+    });
+    onUpdate({
+      ...matrixData,
+      fareMatrices: cloneFareMatrices(fareMatrices),
+      hasDataMap,
+      successCount,
+      failureCount: failedPairs.length,
+      failedPairs: [...failedPairs],
+    });
+  };
+
+  const onPairResult = (pairResult) => {
+    const summary = applyPairResults(fareMatrices, loadedHasData, [pairResult]);
+    successCount += summary.successCount;
+    failedPairs.push(...summary.failedPairs);
+    if (!firstError) firstError = summary.firstError;
+
+    const now = Date.now();
+    if (onUpdate && now - lastUpdate >= UPDATE_INTERVAL_MS) {
+      lastUpdate = now;
+      emitUpdate();
+    }
+  };
+
+  try {
+    await fetchRoutePairs(matrixData.trainModel, pairs, {
+      onProgress,
+      signal,
+      progressStart,
+      progressSpan,
+      onPairResult,
+      fareRules: matrixData.fareRules
+    });
+  } catch (error) {
+    // Keep whatever was loaded before the run stopped
+    if (onUpdate) emitUpdate();
+    throw error;
+  }
+
+  console.log(`Concurrent requests completed: ${successCount} successful, ${failedPairs.length} failed`);
+
+  // Log performance metrics
+  const successRate = pairs.length > 0 ? (successCount / pairs.length * 100).toFixed(1) : '0.0';
+  console.log(`Request success rate: ${successRate}%`);
+
+  // Check if any seat type has data
+  console.log('\n📈 Seat type data availability:');
+  SEAT_TYPES.forEach(seatType => {
+    console.log(`  ${seatType}: ${loadedHasData[seatType] ? '✓ Has data' : '✗ No data'}`);
+  });
+
+  const hasAnyData = Object.values(loadedHasData).some(hasData => hasData);
+  console.log(`\n🎯 Overall: ${hasAnyData ? 'At least one seat type has data' : 'NO seat types have data'}\n`);
+
+  if (!hasAnyData) {
+    // Nothing to show - a failed pair explains that better than "no seats"
+    throw firstError || new NoSeatsAvailableError();
+  }
+
+  return {
+    ...matrixData,
+    fareMatrices,
+    hasDataMap: loadedHasData,
+    successCount,
+    failureCount: failedPairs.length,
+    failedPairs,
+  };
+};
+
+/**
+ * Compute seat availability matrix for a train
+ * @param {string} trainModel - Train model/number
+ * @param {string} journeyDateStr - Journey date in DD-MMM-YYYY format
+ * @param {string} apiDateFormat - Journey date in YYYY-MM-DD format
+ * @param {Function} onProgress - Progress callback function
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {Function} onUpdate - Receives the partly computed matrix as cells arrive
+ * @param {Object|null} stationSelection - Only query these pairs (see getSelectedPairs)
+ * @returns {Promise<Object>} - Complete matrix data. Every cell carries a `status`
+ *   (see CELL_STATUS); failed pairs are also listed in `failedPairs`.
+ */
+export const computeMatrix = async (trainModel, journeyDateStr, apiDateFormat, onProgress, signal = null, onUpdate = null, stationSelection = null) => {
+  const matrixData = await prepareMatrix(trainModel, journeyDateStr, apiDateFormat, onProgress, signal, stationSelection);
+
+  try {
+    if (onUpdate) onUpdate(matrixData);
+
+    if (onProgress) onProgress("Processing routes...", 15);
+
+    console.log('\n🔍 Processing results summary:');
+
+    const result = await loadPairs(matrixData, getMatrixPairs(matrixData), {
+      onUpdate,
+      onProgress,
+      signal,
+      progressStart: 15,
+      progressSpan: 80
+    });
+
+    if (onProgress) onProgress("Complete!", 100);
+
+    console.log('Matrix computation completed successfully');
+
+    return result;
+
+  } catch (error) {
+    console.error('Matrix computation error:', error);
+
+    // Preserve typed errors (auth, cancellation, no seats...)
+    if (error instanceof RailwayError) {
+      throw error;
+    }
+
     throw new Error(`Matrix computation failed: ${error.message}`);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Load seats into an existing matrix without recomputing it - either a fresh
+ * matrix from prepareMatrix or a finished one that needs updating. Train
+ * route, station dates and the pair list are reused, so only the seat queries
+ * are sent. Pairs on screen and pairs that had seats are queried first, and
+ * the partly loaded matrix is handed to `onUpdate` while the rest are in flight.
+ * @param {Object} matrixData - Matrix returned by prepareMatrix or computeMatrix
+ * @param {Object} options - Refresh options
+ * @param {Array<{fromCity: string, toCity: string}>} options.priorityPairs - Pairs currently visible
+ * @param {Function} options.onUpdate - Receives the partly refreshed matrix
+ * @param {Function} options.onProgress - Progress callback function
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @returns {Promise<Object>} - Fully refreshed matrix data
+ */
+export const refreshMatrix = async (matrixData, {
+  priorityPairs = [],
+  onUpdate = null,
+  onProgress = null,
+  signal = null
+} = {}) => {
+  try {
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+
+    if (onProgress) onProgress("Validating credentials...", 2);
+    await validateCredentials();
+
+    const visiblePairs = new Set(priorityPairs.map(({ fromCity, toCity }) => `${fromCity}|${toCity}`));
+    const priority = ({ fromCity, toCity }) =>
+      (visiblePairs.has(`${fromCity}|${toCity}`) ? 2 : 0) +
+      (pairHasSeats(matrixData.fareMatrices, fromCity, toCity) ? 1 : 0);
+
+    // The request scheduler is first-in first-out, so request order is priority order.
+    // Sort is stable: pairs of equal priority keep their route order.
+    const pairs = getMatrixPairs(matrixData).sort((a, b) => priority(b) - priority(a));
+
+    if (onProgress) onProgress("Processing routes...", 5);
+
+    const result = await loadPairs(matrixData, pairs, {
+      onUpdate,
+      onProgress,
+      signal,
+      progressStart: 5,
+      progressSpan: 90
+    });
+
+    if (onProgress) onProgress("Complete!", 100);
+
+    return result;
+  } catch (error) {
+    console.error('Matrix refresh error:', error);
+
+    if (error instanceof RailwayError) {
+      throw error;
+    }
+
+    throw new Error(`Matrix refresh failed: ${error.message}`);
+  }
+};
@@ -0,0 +1,173 @@
+import { SEAT_TYPES, parseDateString } from './railwayAPI';
+import { prepareMatrix, refreshMatrix } from './matrixCalculator';
+import { findDirectRoute, findSegmentedRoutes, getTicketFare } from './routePlanner';
+import {
+  RailwayError,
+  CanceledError,
+  TrainNotRunningError,
+  NoSeatsAvailableError,
+  isAuthError,
+  isCanceledError
+} from './railwayErrors';
+
+// Outcome of one date in a sweep
+export const SWEEP_DATE_STATUS = {
+  OK: 'ok',
+  OFF_DAY: 'off_day',
+  NO_SEATS: 'no_seats',
+  FAILED: 'failed',
+};
+
+/**
+ * Availability of one seat type on a loaded matrix.
+ * For a segment selection this is the best ticket plan for the segment itself;
+ * otherwise it covers every route in the matrix.
+ * @param {Object} matrixData - Loaded matrix
+ * @param {string} seatType - Seat type
+ * @returns {{routeCount: number, seats: number, fare: number|null}} - Routes with
+ *   online seats, most seats on one ticket (fewest on any ticket of the segment
+ *   plan) and the cheapest fare (the plan's total for a segment)
+ */
+const summarizeSeatType = (matrixData, seatType) => {
+  const segment = matrixData.stationSelection?.segment;
+  if (segment) {
+    const plan = findDirectRoute(matrixData, segment.from, segment.to, seatType) ||
+      findSegmentedRoutes(matrixData, segment.from, segment.to, seatType)?.cheapest;
+    return plan
+      ? { routeCount: plan.segments.length, seats: Math.min(...plan.segments.map(s => s.seats)), fare: plan.totalFare }
+      : { routeCount: 0, seats: 0, fare: null };
+  }
+
+  let routeCount = 0;
+  let seats = 0;
+  let fare = null;
+  Object.values(matrixData.fareMatrices[seatType] || {}).forEach(row => {
+    Object.values(row).forEach(cell => {
+      if (!(cell.online > 0)) return;
+      routeCount++;
+      seats = Math.max(seats, cell.online);
+      const total = getTicketFare(cell, seatType, matrixData.fareRules).total;
+      if (fare === null || total < fare) {
+        fare = total;
+      }
+    });
+  });
+  return { routeCount, seats, fare };
+};
+
+/**
+ * Prepare and load the matrix for one date of a sweep
+ * @param {string} trainModel - Train model/number
+ * @param {string} journeyDate - Journey date in DD-MMM-YYYY format
+ * @param {Object|null} stationSelection - See getSelectedPairs
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Object>} - Date entry (without the date itself)
+ */
+const sweepDate = async (trainModel, journeyDate, stationSelection, signal) => {
+  let prepared;
+  try {
+    prepared = await prepareMatrix(trainModel, journeyDate, parseDateString(journeyDate), null, signal, stationSelection);
+  } catch (error) {
+    if (error instanceof TrainNotRunningError) {
+      return { status: SWEEP_DATE_STATUS.OFF_DAY, error: null, trainName: null, seatSummary: {}, matrixData: null };
+    }
+    throw error;
+  }
+
+  try {
+    const matrixData = await refreshMatrix(prepared, { signal });
+    const seatSummary = {};
+    SEAT_TYPES.forEach(seatType => {
+      if (matrixData.hasDataMap[seatType]) {
+        seatSummary[seatType] = summarizeSeatType(matrixData, seatType);
+      }
+    });
+    return { status: SWEEP_DATE_STATUS.OK, error: null, trainName: matrixData.trainName, seatSummary, matrixData };
+  } catch (error) {
+    if (error instanceof NoSeatsAvailableError) {
+      return { status: SWEEP_DATE_STATUS.NO_SEATS, error: null, trainName: prepared.trainName, seatSummary: {}, matrixData: null };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Compute a train's matrix (or a station selection of it) on several dates.
+ * Dates the train does not run on are reported as off days without querying
+ * seats, using the same schedule check as a single matrix.
+ * @param {string} trainModel - Train model/number
+ * @param {Array<string>} journeyDates - Journey dates in DD-MMM-YYYY format, in order
+ * @param {Function} onProgress - Progress callback function
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {Object|null} stationSelection - Only query these pairs (see getSelectedPairs)
+ * @returns {Promise<Object>} - Sweep data with one entry per date
+ */
+export const computeMatrixSweep = async (trainModel, journeyDates, onProgress, signal = null, stationSelection = null) => {
+  try {
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+
+    if (onProgress) onProgress(`Checking ${journeyDates.length} dates...`, 5);
+
+    let completed = 0;
+    const settled = await Promise.allSettled(journeyDates.map(async (journeyDate) => {
+      try {
+        return await sweepDate(trainModel, journeyDate, stationSelection, signal);
+      } finally {
+        completed++;
+        if (onProgress) {
+          onProgress(`Checked ${completed} of ${journeyDates.length} dates`, 5 + Math.round((completed / journeyDates.length) * 90));
+        }
+      }
+    }));
+
+    // Credentials and cancellation affect every date - report them instead of a partial result
+    const fatal = settled.find(({ status, reason }) =>
+      status === 'rejected' && (isAuthError(reason) || isCanceledError(reason)));
+    if (fatal) {
+      throw fatal.reason;
+    }
+
+    const dates = journeyDates.map((date, index) => {
+      const { status, value, reason } = settled[index];
+      if (status === 'rejected') {
+        return {
+          date,
+          status: SWEEP_DATE_STATUS.FAILED,
+          error: { code: reason?.code || null, message: reason?.message || 'Unknown error' },
+          trainName: null,
+          seatSummary: {},
+          matrixData: null
+        };
+      }
+      return { date, ...value };
+    });
+
+    if (dates.every(entry => entry.status === SWEEP_DATE_STATUS.FAILED)) {
+      throw settled[0].reason;
+    }
+
+    // Only show seat types the train sells on at least one date
+    const seatTypes = SEAT_TYPES.filter(seatType =>
+      dates.some(entry => entry.seatSummary[seatType]));
+
+    if (onProgress) onProgress("Complete!", 100);
+
+    return {
+      trainModel,
+      trainName: dates.find(entry => entry.trainName)?.trainName || trainModel,
+      stationSelection,
+      seatTypes,
+      dates
+    };
+  } catch (error) {
+    console.error('Matrix sweep error:', error);
+
+    if (error instanceof RailwayError) {
+      throw error;
+    }
+
+    throw new Error(`Date sweep failed: ${error.message}`);
+  }
+};
@@ -1,6 +1,20 @@
-import { RailwayAccountStorage } from './storage';
-
-const BASE_URL = "https://railspaapi.shohoz.com/v1.0/web";
+import { railwayRequest, validateCredentials } from './railwayClient';
+import { searchTrips } from './tripSearchCache';
+import { DEFAULT_FARE_RULES, applySeatTypeFare, getTicketPrice, resolveFareRules } from './fareRules';
+import { getAppConfig } from './firebaseData';
+import {
+  RailwayError,
+  CanceledError,
+  NoTrainsFoundError,
+  OrderLimitExceededError,
+  SeatInfoUnavailableError,
+  TrainNotListedError,
+  ERROR_CODES,
+  isAuthError,
+  isCanceledError
+} from './railwayErrors';
+
+export { validateCredentials } from './railwayClient';
 
 // Seat types supported by Bangladesh Railway
 export const SEAT_TYPES = [
@@ -8,31 +22,6 @@ export const SEAT_TYPES = [
   "AC_S", "F_BERTH", "AC_B", "SHULOV", "AC_CHAIR"
 ];
 
-/**
- * Validate credentials before making API calls
- * @returns {Promise<{authToken: string, deviceKey: string}>} - Auth token and device key
- */
-export const validateCredentials = async () => {
-  try {
-    const credentials = await RailwayAccountStorage.getCredentials();
-    
-    if (!credentials.authToken || !credentials.deviceKey) {
-      throw new Error("AUTH_CREDENTIALS_REQUIRED");
-    }
-
-    if (credentials.authToken.trim() === '' || credentials.deviceKey.trim() === '') {
-      throw new Error("AUTH_CREDENTIALS_REQUIRED");
-    }
-
-    return credentials;
-  } catch (error) {
-    if (error.message === "AUTH_CREDENTIALS_REQUIRED") {
-      throw error;
-    }
-    throw new Error("AUTH_CREDENTIALS_REQUIRED");
-  }
-};
-
 /**
  * Verify credentials with Bangladesh Railway API
  * @param {string} authToken - Authentication token
@@ -40,60 +29,19 @@ export const validateCredentials = async () => {
  * @returns {Promise<Object>} - Verification result with user data
  */
 export const verifyCredentials = async (authToken, deviceKey) => {
-  try {
-    const response = await fetch(`${BASE_URL}/auth/profile`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${authToken.trim()}`,
-        'x-device-key': deviceKey.trim(),
-        'Content-Type': 'application/json',
-      },
-      timeout: 10000
-    });
-
-    const data = await response.json();
-
-    if (response.status === 429) {
-      // Handle rate limiting
-      throw new Error("You are requesting too frequently. Please wait and try after some time.");
-    }
+  const data = await railwayRequest('/auth/profile', {
+    auth: { authToken, deviceKey }
+  });
 
-    if (response.status === 401) {
-      // Check which credential is invalid
-      const errorMessages = data?.error?.messages || [];
-      if (Array.isArray(errorMessages) && errorMessages.length > 0) {
-        const errorMsg = errorMessages[0];
-        if (errorMsg.includes("Invalid User Access Token!")) {
-          throw new Error('AUTH_TOKEN_EXPIRED');
-        } else if (errorMsg.includes("You are not authorized for this request")) {
-          throw new Error('AUTH_DEVICE_KEY_EXPIRED');
-        } else {
-          throw new Error(`Verification failed: ${errorMsg}`);
-        }
-      } else {
-        throw new Error('AUTH_TOKEN_EXPIRED'); // Default to token expired
-      }
-    } else if (response.ok && data.data) {
-      // Successful verification
-      return {
-        success: true,
-        data: data.data,
-        message: 'Credentials verified successfully!'
-      };
-    } else {
-      throw new Error('Verification failed. Unable to verify your credentials.');
-    }
-  } catch (error) {
-    if (error.message === 'AUTH_TOKEN_EXPIRED' || error.message === 'AUTH_DEVICE_KEY_EXPIRED') {
-      throw error;
-    }
-    
-    if (error.message.includes('Network') || error.name === 'AbortError' || error.code === 'ECONNABORTED') {
-      throw new Error('Unable to connect to Bangladesh Railway servers. Please check your internet connection.');
-    }
-    
-    throw new Error(error.message || 'Unable to verify your credentials.');
+  if (!data?.data) {
+    throw new Error('Verification failed. Unable to verify your credentials.');
   }
+
+  return {
+    success: true,
+    data: data.data,
+    message: 'Credentials verified successfully!'
+  };
 };
 
 /**
@@ -104,56 +52,17 @@ export const verifyCredentials = async (authToken, deviceKey) => {
  * @returns {Promise<Object>} - Train route data
  */
 export const fetchTrainData = async (model, apiDate, signal = null) => {
-  const url = `${BASE_URL}/train-routes`;
-  const payload = {
-    model: model,
-    departure_date_time: apiDate
-  };
-
-  // Single retry for train data - it usually works on first try
-  const maxRetries = 1;
-  let retryCount = 0;
-
-  while (retryCount < maxRetries) {
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-        signal: signal
-      });
-
-      if (response.status === 429) {
-        throw new Error("You are requesting too frequently. Please wait and try after some time.");
-      }
-
-      if (response.status === 403) {
-        throw new Error("Rate limit exceeded. Please try again later.");
-      }
-
-      if (response.status >= 500) {
-        retryCount += 1;
-        if (retryCount >= maxRetries) {
-          throw new Error("Server temporarily unavailable. Please try again.");
-        }
-        continue;
-      }
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const result = await response.json();
-      return result.data;
-    } catch (error) {
-      if (error.message.includes("Network request failed") || error.message.includes("Failed to fetch")) {
-        throw new Error("Network connection failed. Please check your internet connection.");
-      }
-      throw error;
-    }
-  }
+  // No authentication required - train routes are public
+  const result = await railwayRequest('/train-routes', {
+    method: 'POST',
+    auth: false,
+    body: {
+      model: model,
+      departure_date_time: apiDate
+    },
+    signal
+  });
+  return result?.data;
 };
 
 /**
@@ -164,125 +73,50 @@ export const fetchTrainData = async (model, apiDate, signal = null) => {
  * @param {string} fromCity - Origin city
  * @param {string} toCity - Destination city
  * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {Object} fareRules - Fare rules (see fareRules.js)
  * @returns {Promise<Object>} - Seat availability data
+ * @throws {TrainNotListedError} When the train sells no ticket between the two stations
  */
-export const getSeatAvailability = async (trainModel, journeyDate, fromCity, toCity, signal = null) => {
-  // Validate and get credentials
-  const credentials = await validateCredentials();
-
-  const url = `${BASE_URL}/bookings/search-trips-v2`;
-  const params = new URLSearchParams({
-    from_city: fromCity,
-    to_city: toCity,
-    date_of_journey: journeyDate,
-    seat_class: "SHULOV"
-  });
-
-  const maxRetries = 1;
-  let retryCount = 0;
-
-  while (retryCount < maxRetries) {
-    try {
-      const response = await fetch(`${url}?${params}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${credentials.authToken}`,
-          'x-device-key': credentials.deviceKey,
-          'Content-Type': 'application/json'
-        },
-        signal: signal
+export const getSeatAvailability = async (trainModel, journeyDate, fromCity, toCity, signal = null, fareRules = DEFAULT_FARE_RULES) => {
+  const result = await searchTrips({
+    fromCity,
+    toCity,
+    date: journeyDate,
+    seatClass: "SHULOV"
+  }, { signal });
+
+  const trains = result?.data?.trains || [];
+
+  for (const train of trains) {
+    if (train.train_model === trainModel) {
+      const seatInfo = {};
+      
+      // Initialize all seat types
+      SEAT_TYPES.forEach(stype => {
+        seatInfo[stype] = { online: 0, offline: 0, fare: 0, vat_amount: 0 };
       });
 
-      if (response.status === 429) {
-        throw new Error("You are requesting too frequently. Please wait and try after some time.");
-      }
-
-      if (response.status === 401) {
-        try {
-          const errorData = await response.json();
-          const errorMessages = errorData.error?.messages || [];
-          if (Array.isArray(errorMessages)) {
-            for (const msg of errorMessages) {
-              if (msg.includes("You are not authorized for this request") || msg.includes("Please login first")) {
-                throw new Error("AUTH_DEVICE_KEY_EXPIRED");
-              } else if (msg.includes("Invalid User Access Token!")) {
-                throw new Error("AUTH_TOKEN_EXPIRED");
-              }
-            }
-          }
-          throw new Error("AUTH_TOKEN_EXPIRED");
-        } catch (jsonError) {
-          if (jsonError.message === "AUTH_DEVICE_KEY_EXPIRED" || jsonError.message === "AUTH_TOKEN_EXPIRED") {
-            throw jsonError;
-          }
-          throw new Error("AUTH_TOKEN_EXPIRED");
-        }
-      }
-
-      if (response.status === 403) {
-        throw new Error("Rate limit exceeded. Please try again later.");
-      }
-
-      if (response.status >= 500) {
-        retryCount += 1;
-        if (retryCount >= maxRetries) {
-          throw new Error("Server error. Please try again.");
-        }
-        continue;
-      }
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const result = await response.json();
-      const trains = result.data?.trains || [];
-
-      for (const train of trains) {
-        if (train.train_model === trainModel) {
-          const seatInfo = {};
+      // Process available seat types
+      for (const seat of train.seat_types || []) {
+        const stype = seat.type;
+        if (SEAT_TYPES.includes(stype)) {
+          // Berth surcharge and VAT handling come from the fare rules
+          const { fare, vat_amount: vatAmount } = applySeatTypeFare(stype, seat.fare, seat.vat_amount, fareRules);
           
-          // Initialize all seat types
-          SEAT_TYPES.forEach(stype => {
-            seatInfo[stype] = { online: 0, offline: 0, fare: 0, vat_amount: 0 };
-          });
-
-          // Process available seat types
-          for (const seat of train.seat_types || []) {
-            const stype = seat.type;
-            if (SEAT_TYPES.includes(stype)) {
-              let fare = parseFloat(seat.fare);
-              const vatAmount = parseFloat(seat.vat_amount);
-              
-              // Add extra charge for berth seats
-              if (stype === "AC_B" || stype === "F_BERTH") {
-                fare += 50;
-              }
-              
-              seatInfo[stype] = {
-                online: seat.seat_counts.online,
-                offline: seat.seat_counts.offline,
-                fare: fare,
-                vat_amount: vatAmount
-              };
-            }
-          }
-          
-          return seatInfo;
+          seatInfo[stype] = {
+            online: seat.seat_counts.online,
+            offline: seat.seat_counts.offline,
+            fare: fare,
+            vat_amount: vatAmount
+          };
         }
       }
       
-      throw new Error("Train not found");
-    } catch (error) {
-      if (error.message === "AUTH_TOKEN_EXPIRED" || error.message === "AUTH_DEVICE_KEY_EXPIRED") {
-        throw error;
-      }
-      if (error.message.includes("Network request failed") || error.message.includes("Failed to fetch")) {
-        throw new Error("Network connection failed. Please check your internet connection.");
-      }
-      throw error;
+      return seatInfo;
     }
   }
+  
+  throw new TrainNotListedError({ trainModel, fromCity, toCity });
 };
 
 /**
@@ -406,7 +240,7 @@ export const searchTrainsBetweenStations = async (origin, destination, onProgres
 
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Search canceled');
+      throw new CanceledError();
     }
 
     // Use future dates for search (same logic as main project)
@@ -424,65 +258,35 @@ export const searchTrainsBetweenStations = async (origin, destination, onProgres
 
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Search canceled');
+      throw new CanceledError();
     }
 
-    // Fetch trains for both dates with concurrency control
-    const MAX_CONCURRENT_REQUESTS = 10; // Same as Matrix and Seat Availability
+    // Fetch trains for both dates (concurrency is handled by the shared request scheduler)
     const allRequests = [
       { date: date1Str, name: 'Day 1' },
       { date: date2Str, name: 'Day 2' }
     ];
 
-    const results = [];
-    const executing = new Set();
     let completedCount = 0;
     const totalCount = allRequests.length;
 
-    for (const request of allRequests) {
-      // Limit concurrent requests
-      while (executing.size >= MAX_CONCURRENT_REQUESTS) {
-        await Promise.race(executing);
-      }
-
-      // Check for cancellation
-      if (signal?.aborted) {
-        throw new Error('Search canceled');
-      }
-
-      const promise = (async () => {
-        try {
-          const trains = await fetchTrainsForDate(origin, destination, request.date, signal);
-          completedCount++;
-          if (onProgress) {
-            const progressPercent = 10 + Math.round((completedCount / totalCount) * 75);
-            onProgress(`Fetching ${request.name} schedule...`, progressPercent);
-          }
-          return trains;
-        } catch (error) {
-          completedCount++;
-          if (onProgress) {
-            const progressPercent = 10 + Math.round((completedCount / totalCount) * 75);
-            onProgress(`Fetching ${request.name} schedule...`, progressPercent);
-          }
-          throw error;
+    const settledResults = await Promise.allSettled(allRequests.map(async (request) => {
+      try {
+        return await fetchTrainsForDate(origin, destination, request.date, signal);
+      } finally {
+        completedCount++;
+        if (onProgress) {
+          const progressPercent = 10 + Math.round((completedCount / totalCount) * 75);
+          onProgress(`Fetching ${request.name} schedule...`, progressPercent);
         }
-      })();
-
-      executing.add(promise);
-      results.push(promise);
-
-      promise.finally(() => executing.delete(promise));
-    }
-
-    // Wait for all results
-    const settledResults = await Promise.allSettled(results);
+      }
+    }));
 
     if (onProgress) onProgress('Processing results...', 87);
 
     // Check for cancellation
     if (signal?.aborted) {
-      throw new Error('Search canceled');
+      throw new CanceledError();
     }
 
     // Extract successful results
@@ -493,7 +297,7 @@ export const searchTrainsBetweenStations = async (origin, destination, onProgres
     if (settledResults.every(result => result.status === 'rejected')) {
       // Check if any error is an auth error - prioritize those
       for (const result of settledResults) {
-        if (result.reason?.message === 'AUTH_TOKEN_EXPIRED' || result.reason?.message === 'AUTH_DEVICE_KEY_EXPIRED') {
+        if (isAuthError(result.reason)) {
           throw result.reason;
         }
       }
@@ -516,11 +320,11 @@ export const searchTrainsBetweenStations = async (origin, destination, onProgres
     
   } catch (error) {
     // Handle cancellation gracefully
-    if (error.message === 'Search canceled' || signal?.aborted) {
-      throw new Error('Search canceled');
+    if (isCanceledError(error) || signal?.aborted) {
+      throw new CanceledError();
     }
-    // Preserve AUTH errors
-    if (error.message === 'AUTH_TOKEN_EXPIRED' || error.message === 'AUTH_DEVICE_KEY_EXPIRED') {
+    // Preserve typed API errors (auth, rate limit, network...)
+    if (error instanceof RailwayError) {
       throw error;
     }
     throw new Error(error.message || 'Failed to search trains');
@@ -552,112 +356,13 @@ const formatDateObjectForAPI = (date) => {
  * @returns {Promise<Array>} - Array of trains
  */
 const fetchTrainsForDate = async (origin, destination, dateStr, signal = null) => {
-  // Get credentials
-  const credentials = await validateCredentials();
-
-  const url = `${BASE_URL}/bookings/search-trips-v2`;
-  const params = new URLSearchParams({
-    from_city: origin,
-    to_city: destination,
-    date_of_journey: dateStr,
-    seat_class: 'S_CHAIR'
-  });
-
-  const maxRetries = 2;
-  let retryCount = 0;
-  
-  while (retryCount < maxRetries) {
-    try {
-      const response = await fetch(`${url}?${params}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${credentials.authToken}`,
-          'x-device-key': credentials.deviceKey,
-          'Content-Type': 'application/json',
-        },
-        signal: signal,
-        timeout: 10000
-      });
-
-      // Handle rate limiting (429)
-      if (response.status === 429) {
-        throw new Error("You are requesting too frequently. Please wait and try after some time.");
-      }
-
-      // Handle 401 unauthorized (invalid credentials)
-      if (response.status === 401) {
-        try {
-          const errorData = await response.json();
-          const errorMessages = errorData?.error?.messages || [];
-          if (Array.isArray(errorMessages)) {
-            for (const msg of errorMessages) {
-              if (msg.includes("You are not authorized for this request") || msg.includes("Please login first")) {
-                throw new Error("AUTH_DEVICE_KEY_EXPIRED");
-              } else if (msg.includes("Invalid User Access Token!")) {
-                throw new Error("AUTH_TOKEN_EXPIRED");
-              }
-            }
-          }
-        } catch (parseError) {
-          if (parseError.message === 'AUTH_TOKEN_EXPIRED' || parseError.message === 'AUTH_DEVICE_KEY_EXPIRED') {
-            throw parseError;
-          }
-        }
-        throw new Error('AUTH_TOKEN_EXPIRED'); // Default to token expired
-      }
-      
-      // Handle rate limiting (403)
-      if (response.status === 403) {
-        throw new Error("Rate limit exceeded. Please try again later.");
-      }
-        
-      // Handle server errors with retry
-      if (response.status >= 500) {
-        retryCount++;
-        if (retryCount === maxRetries) {
-          throw new Error("Unable to connect to Bangladesh Railway website. Please try again later.");
-        }
-        continue;
-      }
-      
-      if (!response.ok) {
-        throw new Error(`Search request failed with status ${response.status}`);
-      }
-      
-      const data = await response.json();
-      return data?.data?.trains || [];
-      
-    } catch (error) {
-      // Check if it's a cancellation
-      if (error.name === 'AbortError' || signal?.aborted) {
-        throw new Error('Search canceled');
-      }
-
-      // Preserve AUTH errors - don't retry, just throw immediately
-      if (error.message === 'AUTH_TOKEN_EXPIRED' || error.message === 'AUTH_DEVICE_KEY_EXPIRED') {
-        throw error;
-      }
-
-      if (error.name === 'AbortError' || error.code === 'ECONNABORTED') {
-        retryCount++;
-        if (retryCount === maxRetries) {
-          throw new Error("Request timeout. Please check your internet connection and try again.");
-        }
-        continue;
-      }
-      
-      if (error.message.includes("Rate limit") || error.message.includes("Bangladesh Railway")) {
-        throw error;
-      }
-      
-      retryCount++;
-      if (retryCount === maxRetries) {
-        throw new Error("Network error. Please check your internet connection and try again.");
-      }
-    }
-  }
-  
-  return [];
+  const data = await searchTrips({
+    fromCity: origin,
+    toCity: destination,
+    date: dateStr,
+    seatClass: 'S_CHAIR'
+  }, { maxAttempts: 2, signal });
+  return data?.data?.trains || [];
 };
 
 /**
@@ -809,239 +514,166 @@ const groupSeatsByCoach = (seats) => {
  * @param {string} tripId - Trip ID
  * @param {string} tripRouteId - Trip route ID
  * @param {AbortSignal} signal - Abort signal for cancellation
- * @returns {Promise<Object>} - Seat layout data
+ * @returns {Promise<Object>} - Seat layout data, with coach_layouts holding each
+ *   coach's floors as rows of seat cells (null for aisles and gaps)
  */
 export const fetchSeatLayout = async (tripId, tripRouteId, signal = null) => {
-  // Get credentials
-  const credentials = await validateCredentials();
-
-  const url = `${BASE_URL}/bookings/seat-layout`;
-  const params = new URLSearchParams({
-    trip_id: tripId,
-    trip_route_id: tripRouteId
+  const data = await railwayRequest('/bookings/seat-layout', {
+    params: {
+      trip_id: tripId,
+      trip_route_id: tripRouteId
+    },
+    maxAttempts: 2,
+    signal
   });
 
-  const maxRetries = 2;
-  let retryCount = 0;
-
-  while (retryCount < maxRetries) {
-    try {
-      const response = await fetch(`${url}?${params.toString()}`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${credentials.authToken}`,
-          'x-device-key': credentials.deviceKey,
-          'Content-Type': 'application/json',
-        },
-        signal: signal
-      });
-
-      if (response.status === 429) {
-        throw new Error("You are requesting too frequently. Please wait and try after some time.");
-      }
-
-      if (response.status >= 500) {
-        retryCount += 1;
-        if (retryCount === maxRetries) {
-          throw new Error("We're unable to connect to the Bangladesh Railway website right now. Please try again in a few minutes.");
-        }
-        continue;
-      }
-
-      if (response.status === 401) {
-        try {
-          const errorData = await response.json();
-          const errorMessages = errorData.error?.messages || [];
-          if (Array.isArray(errorMessages) && errorMessages.length > 0) {
-            for (const msg of errorMessages) {
-              if (msg.includes("You are not authorized for this request") || msg.includes("Please login first")) {
-                throw new Error("AUTH_DEVICE_KEY_EXPIRED");
-              } else if (msg.includes("Invalid User Access Token!")) {
-                throw new Error("AUTH_TOKEN_EXPIRED");
-              }
-            }
-          }
-        } catch (parseError) {
-          if (parseError.message === 'AUTH_TOKEN_EXPIRED' || parseError.message === 'AUTH_DEVICE_KEY_EXPIRED') {
-            throw parseError;
-          }
-        }
-        throw new Error('AUTH_TOKEN_EXPIRED'); // Default to token expired
-      }
-
-      if (response.status === 422) {
-        const errorData = await response.json();
-        const errorMessages = errorData.error?.messages || [];
-        
-        let errorMessage = "Unable to fetch seat layout";
-        let errorKey = "";
-        
-        // Check if errorMessages is an array or object
-        if (Array.isArray(errorMessages) && errorMessages.length > 0) {
-          errorMessage = errorMessages[0];
-        } else if (typeof errorMessages === 'object' && errorMessages !== null) {
-          errorMessage = errorMessages.message || errorMessage;
-          errorKey = errorMessages.errorKey || "";
-        }
-        
-        // Create error object with error_info attached
-        const error = new Error(errorMessage);
-        error.error_info = {
-          is_422: true,
-          message: errorMessage,
-          errorKey: errorKey
-        };
-        throw error;
-      }
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const seatLayout = data.data?.seatLayout || [];
-
-      // Extract all seats
-      const allSeats = [];
-      seatLayout.forEach(floor => {
-        floor.layout.forEach(row => {
-          row.forEach(seat => {
-            if (seat.seat_number) {
-              allSeats.push({
-                seat_number: seat.seat_number,
-                seat_availability: seat.seat_availability,
-                ticket_type: seat.ticket_type
-              });
-            }
-          });
-        });
-      });
-
-      // Categorize seats
-      const availableSeats = allSeats
-        .filter(s => s.seat_availability === 1)
-        .map(s => s.seat_number)
-        .sort((a, b) => {
-          const sortA = sortSeatNumber(a);
-          const sortB = sortSeatNumber(b);
-          for (let i = 0; i < sortA.length; i++) {
-            if (sortA[i] < sortB[i]) return -1;
-            if (sortA[i] > sortB[i]) return 1;
-          }
-          return 0;
-        });
-
-      const bookingProcessSeats = allSeats
-        .filter(s => s.seat_availability === 2 && [1, 2, 3].includes(s.ticket_type))
-        .map(s => s.seat_number)
-        .sort((a, b) => {
-          const sortA = sortSeatNumber(a);
-          const sortB = sortSeatNumber(b);
-          for (let i = 0; i < sortA.length; i++) {
-            if (sortA[i] < sortB[i]) return -1;
-            if (sortA[i] > sortB[i]) return 1;
-          }
-          return 0;
-        });
+  const seatLayout = data?.data?.seatLayout || [];
+
+  // Extract all seats, keeping each floor's grid for the coach map
+  // (cells without a seat number are aisles and gaps)
+  const allSeats = [];
+  const coachLayouts = {};
+  seatLayout.forEach(floor => {
+    const rows = (floor.layout || []).map(row => row.map(seat => {
+      if (!seat?.seat_number) {
+        return null;
+      }
+      const cell = {
+        seat_number: seat.seat_number,
+        seat_availability: seat.seat_availability,
+        ticket_type: seat.ticket_type
+      };
+      allSeats.push(cell);
+      return cell;
+    }));
 
-      // Analyze ticket types
-      const ticketTypeSeats = { 1: [], 2: [], 3: [], 4: [] };
-      allSeats.forEach(seat => {
-        if (seat.ticket_type && ticketTypeSeats[seat.ticket_type]) {
-          ticketTypeSeats[seat.ticket_type].push(seat.seat_number);
-        }
-      });
+    const firstSeat = rows.flat().find(cell => cell);
+    if (!firstSeat) {
+      return;
+    }
+    const coach = firstSeat.seat_number.split('-')[0];
+    if (!coachLayouts[coach]) {
+      coachLayouts[coach] = { coach, floors: [] };
+    }
+    coachLayouts[coach].floors.push({
+      name: floor.floor_name || `Floor ${coachLayouts[coach].floors.length + 1}`,
+      rows
+    });
+  });
 
-      // Sort each ticket type
-      Object.keys(ticketTypeSeats).forEach(type => {
-        ticketTypeSeats[type].sort((a, b) => {
-          const sortA = sortSeatNumber(a);
-          const sortB = sortSeatNumber(b);
-          for (let i = 0; i < sortA.length; i++) {
-            if (sortA[i] < sortB[i]) return -1;
-            if (sortA[i] > sortB[i]) return 1;
-          }
-          return 0;
-        });
-      });
+  // Categorize seats
+  const availableSeats = allSeats
+    .filter(s => s.seat_availability === 1)
+    .map(s => s.seat_number)
+    .sort((a, b) => {
+      const sortA = sortSeatNumber(a);
+      const sortB = sortSeatNumber(b);
+      for (let i = 0; i < sortA.length; i++) {
+        if (sortA[i] < sortB[i]) return -1;
+        if (sortA[i] > sortB[i]) return 1;
+      }
+      return 0;
+    });
 
-      const ticketTypes = {};
-      const ticketTypeLabels = {
-        1: "Issued Tickets to Buy",
-        2: "Soon-to-be-Issued Tickets to Buy",
-        3: "Issued Tickets to Buy",
-        4: "Reserved Tickets Under Authority"
-      };
+  const bookingProcessSeats = allSeats
+    .filter(s => s.seat_availability === 2 && [1, 2, 3].includes(s.ticket_type))
+    .map(s => s.seat_number)
+    .sort((a, b) => {
+      const sortA = sortSeatNumber(a);
+      const sortB = sortSeatNumber(b);
+      for (let i = 0; i < sortA.length; i++) {
+        if (sortA[i] < sortB[i]) return -1;
+        if (sortA[i] > sortB[i]) return 1;
+      }
+      return 0;
+    });
 
-      Object.entries(ticketTypeSeats).forEach(([type, seats]) => {
-        if (seats.length > 0) {
-          ticketTypes[type] = {
-            label: ticketTypeLabels[type],
-            seats: seats,
-            count: seats.length,
-            grouped: groupSeatsByCoach(seats)
-          };
-        }
-      });
+  // Analyze ticket types
+  const ticketTypeSeats = { 1: [], 2: [], 3: [], 4: [] };
+  allSeats.forEach(seat => {
+    if (seat.ticket_type && ticketTypeSeats[seat.ticket_type]) {
+      ticketTypeSeats[seat.ticket_type].push(seat.seat_number);
+    }
+  });
 
-      // Combine type 1 and 3 as issued_combined
-      const issuedSeats = [...(ticketTypeSeats[1] || []), ...(ticketTypeSeats[3] || [])];
-      if (issuedSeats.length > 0) {
-        issuedSeats.sort((a, b) => {
-          const sortA = sortSeatNumber(a);
-          const sortB = sortSeatNumber(b);
-          for (let i = 0; i < sortA.length; i++) {
-            if (sortA[i] < sortB[i]) return -1;
-            if (sortA[i] > sortB[i]) return 1;
-          }
-          return 0;
-        });
-        
-        ticketTypes.issued_combined = {
-          label: "Issued Tickets to Buy",
-          seats: issuedSeats,
-          count: issuedSeats.length,
-          grouped: groupSeatsByCoach(issuedSeats)
-        };
+  // Sort each ticket type
+  Object.keys(ticketTypeSeats).forEach(type => {
+    ticketTypeSeats[type].sort((a, b) => {
+      const sortA = sortSeatNumber(a);
+      const sortB = sortSeatNumber(b);
+      for (let i = 0; i < sortA.length; i++) {
+        if (sortA[i] < sortB[i]) return -1;
+        if (sortA[i] > sortB[i]) return 1;
       }
+      return 0;
+    });
+  });
 
-      ticketTypes.issued_total = {
-        count: issuedSeats.length
-      };
+  const ticketTypes = {};
+  const ticketTypeLabels = {
+    1: "Issued Tickets to Buy",
+    2: "Soon-to-be-Issued Tickets to Buy",
+    3: "Issued Tickets to Buy",
+    4: "Reserved Tickets Under Authority"
+  };
 
-      return {
-        is_422: false,
-        available_seats: availableSeats,
-        booking_process_seats: bookingProcessSeats,
-        available_count: availableSeats.length,
-        booking_process_count: bookingProcessSeats.length,
-        ticket_types: ticketTypes,
-        grouped_seats: groupSeatsByCoach(availableSeats),
-        grouped_booking_process: groupSeatsByCoach(bookingProcessSeats),
-        grouped_ticket_types: {
-          1: ticketTypes[1]?.grouped || {},
-          2: ticketTypes[2]?.grouped || {},
-          3: ticketTypes[3]?.grouped || {},
-          4: ticketTypes[4]?.grouped || {}
-        }
+  Object.entries(ticketTypeSeats).forEach(([type, seats]) => {
+    if (seats.length > 0) {
+      ticketTypes[type] = {
+        label: ticketTypeLabels[type],
+        seats: seats,
+        count: seats.length,
+        grouped: groupSeatsByCoach(seats)
       };
+    }
+  });
 
-    } catch (error) {
-      if (error.message === 'AUTH_TOKEN_EXPIRED' || 
-          error.message === 'AUTH_DEVICE_KEY_EXPIRED' ||
-          error.message.includes('INVALID_CREDENTIALS:') || 
-          error.message.includes('CREDENTIALS_ERROR:')) {
-        throw error;
-      }
+  // Combine type 1 and 3 as issued_combined
+  const issuedSeats = [...(ticketTypeSeats[1] || []), ...(ticketTypeSeats[3] || [])];
+  if (issuedSeats.length > 0) {
+    issuedSeats.sort((a, b) => {
+      const sortA = sortSeatNumber(a);
+      const sortB = sortSeatNumber(b);
+      for (let i = 0; i < sortA.length; i++) {
+        if (sortA[i] < sortB[i]) return -1;
+        if (sortA[i] > sortB[i]) return 1;
+      }
+      return 0;
+    });
+    
+    ticketTypes.issued_combined = {
+      label: "Issued Tickets to Buy",
+      seats: issuedSeats,
+      count: issuedSeats.length,
+      grouped: groupSeatsByCoach(issuedSeats)
+    };
+  }
 
-      if (retryCount < maxRetries - 1) {
-        retryCount++;
-        continue;
-      }
+  ticketTypes.issued_total = {
+    count: issuedSeats.length
+  };
 
-      throw error;
-    }
-  }
+  return {
+    is_422: false,
+    available_seats: availableSeats,
+    booking_process_seats: bookingProcessSeats,
+    available_count: availableSeats.length,
+    booking_process_count: bookingProcessSeats.length,
+    ticket_types: ticketTypes,
+    grouped_seats: groupSeatsByCoach(availableSeats),
+    grouped_booking_process: groupSeatsByCoach(bookingProcessSeats),
+    grouped_ticket_types: {
+      1: ticketTypes[1]?.grouped || {},
+      2: ticketTypes[2]?.grouped || {},
+      3: ticketTypes[3]?.grouped || {},
+      4: ticketTypes[4]?.grouped || {}
+    },
+    coach_layouts: Object.values(coachLayouts).sort((a, b) => {
+      const orderA = COACH_INDEX[a.coach] !== undefined ? COACH_INDEX[a.coach] : BANGLA_COACH_ORDER.length + 1;
+      const orderB = COACH_INDEX[b.coach] !== undefined ? COACH_INDEX[b.coach] : BANGLA_COACH_ORDER.length + 1;
+      return orderA - orderB || a.coach.localeCompare(b.coach);
+    })
+  };
 };
 
 /**
@@ -1127,381 +759,231 @@ const calculateJourneyDuration = (departureTime, arrivalTime) => {
  */
 export const checkSeatAvailability = async (origin, destination, date, seatClass = 'S_CHAIR', onProgress = null, signal = null) => {
   try {
-    // Validate credentials first
-    const credentials = await validateCredentials();
-
     if (onProgress) onProgress('Connecting to railway system...', 5);
 
-    // Fetch available trains using GET with query parameters (same as getSeatAvailability)
-    const url = `${BASE_URL}/bookings/search-trips-v2`;
-    const params = new URLSearchParams({
-      from_city: origin,
-      to_city: destination,
-      date_of_journey: date,
-      seat_class: seatClass
-    });
-
-    const maxRetries = 2;
-    let retryCount = 0;
-
-    while (retryCount < maxRetries) {
-      try {
-        const response = await fetch(`${url}?${params.toString()}`, {
-          method: 'GET',
-          headers: {
-            'Authorization': `Bearer ${credentials.authToken}`,
-            'x-device-key': credentials.deviceKey,
-            'Content-Type': 'application/json',
-          },
-          signal: signal
-        });
-
-        // Handle rate limiting (429)
-        if (response.status === 429) {
-          throw new Error("You are requesting too frequently. Please wait and try after some time.");
-        }
-
-        // Handle 401 unauthorized (invalid credentials)
-        if (response.status === 401) {
-          try {
-            const errorData = await response.json();
-            const errorMessages = errorData.error?.messages || [];
-            if (Array.isArray(errorMessages)) {
-              for (const msg of errorMessages) {
-                if (msg.includes("Invalid User Access Token!")) {
-                  throw new Error("AUTH_TOKEN_EXPIRED");
-                } else if (msg.includes("You are not authorized for this request") || msg.includes("Please login first")) {
-                  throw new Error("AUTH_DEVICE_KEY_EXPIRED");
-                }
-              }
-            }
-          } catch (jsonError) {
-            if (jsonError.message === "AUTH_TOKEN_EXPIRED" || jsonError.message === "AUTH_DEVICE_KEY_EXPIRED") {
-              throw jsonError;
-            }
-          }
-          throw new Error("AUTH_TOKEN_EXPIRED");
-        }
+    // Loaded alongside the search; getAppConfig falls back to defaults instead of failing
+    const fareRulesPromise = getAppConfig().then(config => resolveFareRules(config.fareRules));
 
-        if (response.status === 422) {
-          throw new Error("No trains found for the given criteria.");
-        }
-
-        if (response.status === 403) {
-          throw new Error("Rate limit exceeded. Please try again later.");
-        }
-
-        if (response.status >= 500) {
-          retryCount += 1;
-          if (retryCount === maxRetries) {
-            throw new Error("We're facing a problem with the Bangladesh Railway website. Please try again in a few minutes.");
-          }
-          continue;
-        }
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
+    // Fetch available trains (same endpoint as getSeatAvailability)
+    let data;
+    try {
+      data = await searchTrips({
+        fromCity: origin,
+        toCity: destination,
+        date,
+        seatClass
+      }, { maxAttempts: 2, signal });
+    } catch (error) {
+      if (error.status === 422) {
+        throw new NoTrainsFoundError();
+      }
+      throw error;
+    }
 
-        const data = await response.json();
-        const trains = data.data?.trains || [];
+    const trains = data?.data?.trains || [];
 
-        if (trains.length === 0) {
-          throw new Error("No trains found for the given criteria.");
-        }
+    if (trains.length === 0) {
+      throw new NoTrainsFoundError();
+    }
 
-        if (onProgress) onProgress(`Found ${trains.length} train${trains.length > 1 ? 's' : ''}`, 10);
+    if (onProgress) onProgress(`Found ${trains.length} train${trains.length > 1 ? 's' : ''}`, 10);
 
-        // Process each train - Use trip_number as key (matches Flask backend)
-        const result = {};
-        let allFailed422 = true;
-        
-        // Maximum concurrency: 10 requests at a time (same as matrix calculator)
-        const MAX_CONCURRENT_REQUESTS = 10;
-        
-        // Collect all seat type requests across all trains
-        const allSeatRequests = [];
-        const trainMetadata = {};
-        
-        trains.forEach(train => {
-          const tripNumber = train.trip_number || train.train_name || 'Unknown Train';
-          
-          // Initialize result structure for this train
-          result[tripNumber] = {
-            from_station: train.from_station_name || origin,
-            to_station: train.to_station_name || destination,
-            departure_time: train.departure_date_time || 'N/A',
-            arrival_time: train.arrival_date_time || 'N/A',
-            journey_duration: calculateJourneyDuration(
-              train.departure_date_time || '',
-              train.arrival_date_time || ''
-            ),
-            seat_data: []
-          };
-          
-          trainMetadata[tripNumber] = {
-            seatTypeCount: 0
-          };
-          
-          // Queue all seat type requests for this train
-          const seatTypes = train.seat_types || [];
-          seatTypes.forEach(seatType => {
-            allSeatRequests.push({
-              tripNumber,
-              seatType,
-              train
-            });
-            trainMetadata[tripNumber].seatTypeCount++;
-          });
+    // Process each train - Use trip_number as key (matches Flask backend)
+    const result = {};
+    let allFailed422 = true;
+    
+    // Collect all seat type requests across all trains
+    const allSeatRequests = [];
+    const trainMetadata = {};
+    
+    trains.forEach(train => {
+      const tripNumber = train.trip_number || train.train_name || 'Unknown Train';
+      
+      // Initialize result structure for this train
+      result[tripNumber] = {
+        from_station: train.from_station_name || origin,
+        to_station: train.to_station_name || destination,
+        departure_time: train.departure_date_time || 'N/A',
+        arrival_time: train.arrival_date_time || 'N/A',
+        journey_duration: calculateJourneyDuration(
+          train.departure_date_time || '',
+          train.arrival_date_time || ''
+        ),
+        seat_data: []
+      };
+      
+      trainMetadata[tripNumber] = {
+        seatTypeCount: 0
+      };
+      
+      // Queue all seat type requests for this train
+      const seatTypes = train.seat_types || [];
+      seatTypes.forEach(seatType => {
+        allSeatRequests.push({
+          tripNumber,
+          seatType,
+          train
         });
+        trainMetadata[tripNumber].seatTypeCount++;
+      });
+    });
+    
+    // Fire every seat layout request at once - the shared request scheduler
+    // limits concurrency and backs off on rate limits
+    let completedCount = 0;
+    const totalCount = allSeatRequests.length;
+    
+    const seatResults = await Promise.allSettled(allSeatRequests.map(async (request) => {
+      const { tripNumber, seatType } = request;
+      try {
+        const seatLayoutData = await fetchSeatLayout(
+          seatType.trip_id,
+          seatType.trip_route_id,
+          signal
+        );
         
-        // Process with concurrent batch requests (10 at a time)
-        let completedCount = 0;
-        const totalCount = allSeatRequests.length;
+        completedCount++;
+        if (onProgress) {
+          const progressPercent = 10 + Math.round((completedCount / totalCount) * 80);
+          onProgress(`Processing seats... (${completedCount}/${totalCount})`, progressPercent);
+        }
         
-        const processWithConcurrency = async (requests) => {
-          const results = [];
-          const executing = new Set();
-          
-          for (const request of requests) {
-            // Limit concurrent requests
-            while (executing.size >= MAX_CONCURRENT_REQUESTS) {
-              await Promise.race(executing);
-            }
-            
-            const promise = (async () => {
-              const { tripNumber, seatType } = request;
-              try {
-                const seatLayoutData = await fetchSeatLayout(
-                  seatType.trip_id,
-                  seatType.trip_route_id,
-                  signal
-                );
-                
-                completedCount++;
-                if (onProgress) {
-                  const progressPercent = 10 + Math.round((completedCount / totalCount) * 80);
-                  onProgress(`Processing seats... (${completedCount}/${totalCount})`, progressPercent);
-                }
-                
-                return {
-                  success: true,
-                  tripNumber,
-                  seatData: {
-                    type: seatType.type || 'Unknown',
-                    ...seatLayoutData
-                  }
-                };
-              } catch (error) {
-                console.error(`Error fetching seat layout for ${tripNumber} - ${seatType.type}:`, error);
-                
-                completedCount++;
-                if (onProgress) {
-                  const progressPercent = 10 + Math.round((completedCount / totalCount) * 80);
-                  onProgress(`Processing seats... (${completedCount}/${totalCount})`, progressPercent);
-                }
-                
-                // Extract error_info if it exists (for 422 errors)
-                let errorInfo = null;
-                if (error.error_info) {
-                  errorInfo = error.error_info;
-                }
-                
-                return {
-                  success: false,
-                  tripNumber,
-                  seatData: {
-                    type: seatType.type || 'Unknown',
-                    is_422: true,
-                    error_info: errorInfo,
-                    error_message: error.message || 'Failed to fetch seat information',
-                    available_count: 0,
-                    booking_process_count: 0,
-                    ticket_types: {},
-                    grouped_seats: {},
-                    grouped_booking_process: {},
-                    grouped_ticket_types: {}
-                  }
-                };
-              }
-            })();
-            
-            executing.add(promise);
-            results.push(promise);
-            
-            promise.finally(() => executing.delete(promise));
+        return {
+          success: true,
+          tripNumber,
+          seatData: {
+            type: seatType.type || 'Unknown',
+            ticket_fare: seatType.fare !== undefined
+              ? getTicketPrice(seatType.type, seatType.fare, seatType.vat_amount, await fareRulesPromise)
+              : null,
+            ...seatLayoutData
           }
-          
-          return await Promise.allSettled(results);
         };
+      } catch (error) {
+        console.error(`Error fetching seat layout for ${tripNumber} - ${seatType.type}:`, error);
         
-        // Execute all requests with concurrency
-        const seatResults = await processWithConcurrency(allSeatRequests);
+        completedCount++;
+        if (onProgress) {
+          const progressPercent = 10 + Math.round((completedCount / totalCount) * 80);
+          onProgress(`Processing seats... (${completedCount}/${totalCount})`, progressPercent);
+        }
         
-        // Organize results back to train structure
-        seatResults.forEach((promiseResult) => {
-          if (promiseResult.status === 'fulfilled') {
-            const { success, tripNumber, seatData } = promiseResult.value;
-            
-            result[tripNumber].seat_data.push(seatData);
-            
-            if (success && !seatData.is_422) {
-              allFailed422 = false;
-            }
-          }
-        });
+        // Extract error_info if it exists (for 422 errors)
+        let errorInfo = null;
+        if (error.error_info) {
+          errorInfo = error.error_info;
+        }
         
-        // Check if all seat types have 422 error for each train, and add error_message
-        // This matches Python app.py lines 396-438
-        Object.keys(result).forEach(tripNumber => {
-          const trainDetails = result[tripNumber];
-          let trainHas422Error = false;
-          let trainErrorMessage = null;
-          
-          // First pass: determine if train has any 422 errors and set trainErrorMessage
-          for (const seatType of trainDetails.seat_data) {
-            if (seatType.is_422 && seatType.error_info) {
-              trainHas422Error = true;
-              const message = seatType.error_info.message || '';
-              const errorKey = seatType.error_info.errorKey || '';
-              
-              // Match Python app.py lines 566-570
-              if (errorKey === 'OrderLimitExceeded' && trainErrorMessage === null) {
-                trainErrorMessage = 'Please retry with a different account as you have reached the maximum order limit for this train on the selected day, so seat info cannot be fetched at this moment.';
-              } else if (trainErrorMessage === null) {
-                trainErrorMessage = 'Please retry with a different account to get seat info for this train.';
-              }
-            }
+        return {
+          success: false,
+          tripNumber,
+          error,
+          seatData: {
+            type: seatType.type || 'Unknown',
+            is_422: true,
+            error_info: errorInfo,
+            error_code: error.code || null,
+            error_message: error.message || 'Failed to fetch seat information',
+            available_count: 0,
+            booking_process_count: 0,
+            ticket_types: {},
+            grouped_seats: {},
+            grouped_booking_process: {},
+            grouped_ticket_types: {},
+            coach_layouts: []
           }
-          
-          // Second pass: if trainErrorMessage is set, apply it to ALL seat types (Python line 434-435)
-          if (trainErrorMessage) {
-            for (const seatType of trainDetails.seat_data) {
-              seatType.error_message = trainErrorMessage;
-            }
-          }
-          
-          // Determine if ALL seat types have 422 error (Python line 436-438)
-          const allSeats422 = trainDetails.seat_data.every(st => st.is_422);
-          trainDetails.all_seats_422 = allSeats422;
-        });
-
-        // If all trains failed with 422, analyze error details and throw specific custom message (matches Python lines 518-552)
-        if (allFailed422 && trains.length > 0) {
-          // Analyze the first train's error to determine the specific message
-          let customErrorMessage = null;
-          
-          for (const trainName of Object.keys(result)) {
-            const trainDetails = result[trainName];
-            for (const seatType of trainDetails.seat_data) {
-              if (seatType.is_422 && seatType.error_info) {
-                const message = seatType.error_info.message || "";
-                const errorKey = seatType.error_info.errorKey || "";
-                
-                // Check for ticket purchase timing issue (Python lines 524-528)
-                if (message.includes("ticket purchase for this trip will be available") || 
-                    message.includes("East Zone") || 
-                    message.includes("West Zone")) {
-                  const timeMatch = message.match(/(\d+:\d+\s*[APMapm]+)/);
-                  const retryTime = timeMatch ? timeMatch[1] : "8:00 AM or 2:00 PM";
-                  customErrorMessage = `Ticket purchasing for the selected criteria is not yet available, so seat info cannot be fetched at this moment. Please try again after ${retryTime}. Alternatively, search for a different day.`;
-                  break;
-                }
-                // Check for ongoing purchase process (Python lines 529-534)
-                else if (message.includes("Your purchase process is on-going")) {
-                  const timeMatch = message.match(/(\d+)\s*minute[s]?\s*(\d+)\s*second[s]?/i);
-                  if (timeMatch) {
-                    const minutes = parseInt(timeMatch[1]);
-                    const seconds = parseInt(timeMatch[2]);
-                    const totalSeconds = minutes * 60 + seconds;
-                    const retryDate = new Date(Date.now() + totalSeconds * 1000);
-                    const retryTime = retryDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true });
-                    customErrorMessage = `Your purchase process for some tickets is ongoing for this account, so seat info cannot be fetched at this moment. Please try again after ${retryTime} or retry with a different account.`;
-                  } else {
-                    customErrorMessage = "Your purchase process for some tickets is ongoing for this account, so seat info cannot be fetched at this moment. Please retry with a different account.";
-                  }
-                  break;
-                }
-                // Check for multiple order attempt (Python lines 535-540)
-                else if (message.includes("Multiple order attempt detected")) {
-                  const timeMatch = message.match(/(\d+)\s*minute[s]?\s*(\d+)\s*second[s]?/i);
-                  if (timeMatch) {
-                    const minutes = parseInt(timeMatch[1]);
-                    const seconds = parseInt(timeMatch[2]);
-                    const totalSeconds = minutes * 60 + seconds;
-                    const retryDate = new Date(Date.now() + totalSeconds * 1000);
-                    const retryTime = retryDate.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: true });
-                    customErrorMessage = `You already have an active reservation process in this account, so seat info cannot be fetched at this moment. Please try again after ${retryTime} or retry with a different account.`;
-                  } else {
-                    customErrorMessage = "You already have an active reservation process in this account, so seat info cannot be fetched at this moment. Please retry with a different account.";
-                  }
-                  break;
-                }
-                // Check for OrderLimitExceeded (Python lines 541-543)
-                else if (errorKey === "OrderLimitExceeded") {
-                  customErrorMessage = "Please retry with a different account as you have reached the maximum order limit for all trains between your chosen stations on the selected day, so seat info cannot be fetched at this moment. Alternatively, search for a different day.";
-                  break;
-                }
-              }
-            }
-            if (customErrorMessage) break;
-          }
-          
-          // If no specific error was identified, use generic message (Python lines 544-545)
-          if (!customErrorMessage) {
-            customErrorMessage = "An error occurred while fetching seat details. Please retry with a different account for the given criteria.";
-          }
-          
-          const error = new Error(customErrorMessage);
-          error.details = result;
-          throw error;
-        }
-
-        if (onProgress) onProgress('Finalizing results...', 95);
-
-        return result;
-
-      } catch (error) {
-        if (error.message === 'AUTH_TOKEN_EXPIRED' || 
-            error.message === 'AUTH_DEVICE_KEY_EXPIRED' ||
-            error.message.includes('INVALID_CREDENTIALS:') || 
-            error.message.includes('CREDENTIALS_ERROR:')) {
-          throw error;
-        }
-
-        // Check if this is our "No trains found" error - don't retry, just throw it
-        if (error.message === "No trains found for the given criteria.") {
-          throw error;
+        };
+      }
+    }));
+    
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+    
+    // Organize results back to train structure
+    const seatErrors = [];
+    seatResults.forEach((promiseResult) => {
+      if (promiseResult.status === 'fulfilled') {
+        const { success, tripNumber, seatData, error } = promiseResult.value;
+        
+        result[tripNumber].seat_data.push(seatData);
+        
+        if (success && !seatData.is_422) {
+          allFailed422 = false;
         }
-
-        // Check if this is any of our custom 422 error messages - don't retry, just throw them
-        if (error.message.includes("Ticket purchasing for the selected criteria is not yet available") ||
-            error.message.includes("Your purchase process for some tickets is ongoing") ||
-            error.message.includes("You already have an active reservation process") ||
-            error.message.includes("maximum order limit for all trains") ||
-            error.message.includes("An error occurred while fetching seat details")) {
-          throw error;
+        if (error) {
+          seatErrors.push(error);
         }
-
-        if (error.message.includes("Network request failed") || error.message.includes("Failed to fetch")) {
-          throw new Error("We couldn't reach the Bangladesh Railway website. Please check your internet connection and try again.");
+      }
+    });
+    
+    // Check if all seat types have 422 error for each train, and add error_message
+    // This matches Python app.py lines 396-438
+    Object.keys(result).forEach(tripNumber => {
+      const trainDetails = result[tripNumber];
+      let trainHas422Error = false;
+      let trainErrorMessage = null;
+      
+      // First pass: the first 422 error decides the message for the whole train
+      for (const seatType of trainDetails.seat_data) {
+        if (seatType.is_422 && seatType.error_info) {
+          trainHas422Error = true;
+          trainErrorMessage = seatType.error_code === ERROR_CODES.ORDER_LIMIT_EXCEEDED
+            ? new OrderLimitExceededError({ scope: 'train' }).message
+            : new SeatInfoUnavailableError({ scope: 'train' }).message;
+          break;
         }
-
-        // Only retry on server errors if we have a response object
-        if (error.response?.status >= 500 && retryCount < maxRetries - 1) {
-          retryCount++;
-          continue;
+      }
+      
+      // Second pass: if trainErrorMessage is set, apply it to ALL seat types (Python line 434-435)
+      if (trainErrorMessage) {
+        for (const seatType of trainDetails.seat_data) {
+          seatType.error_message = trainErrorMessage;
         }
+      }
+      
+      // Determine if ALL seat types have 422 error (Python line 436-438)
+      const allSeats422 = trainDetails.seat_data.every(st => st.is_422);
+      trainDetails.all_seats_422 = allSeats422;
+    });
 
-        throw error;
+    // If all trains failed with 422, surface the most specific error (matches Python lines 518-552)
+    if (allFailed422 && trains.length > 0) {
+      const authError = seatErrors.find(isAuthError);
+      if (authError) {
+        throw authError;
+      }
+
+      // The first recognised 422 reason explains the whole search
+      const reasonError = seatErrors.find(error => error.error_info && (
+        error.code === ERROR_CODES.TICKET_SALE_NOT_OPEN ||
+        error.code === ERROR_CODES.PURCHASE_IN_PROGRESS ||
+        error.code === ERROR_CODES.ORDER_LIMIT_EXCEEDED
+      ));
+
+      let error;
+      if (reasonError?.code === ERROR_CODES.ORDER_LIMIT_EXCEEDED) {
+        error = new OrderLimitExceededError({ scope: 'route' });
+      } else if (reasonError) {
+        error = reasonError;
+      } else if (seatErrors.length > 0 && !seatErrors.some(e => e.error_info)) {
+        // Nothing was refused by Shohoz - rate limit, network or server trouble instead
+        error = seatErrors[0];
+      } else {
+        // If no specific error was identified, use generic message (Python lines 544-545)
+        error = new SeatInfoUnavailableError({ scope: 'route' });
       }
+      
+      error.details = result;
+      throw error;
     }
 
+    if (onProgress) onProgress('Finalizing results...', 95);
+
+    return result;
+
   } catch (error) {
-    if (error.message === 'AUTH_TOKEN_EXPIRED' || 
-        error.message === 'AUTH_DEVICE_KEY_EXPIRED' ||
-        error.message.includes('INVALID_CREDENTIALS:') || 
-        error.message.includes('CREDENTIALS_ERROR:')) {
+    if (error instanceof RailwayError) {
       throw error;
     }
 
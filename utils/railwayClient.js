@@ -0,0 +1,328 @@
+import { RailwayAccountStorage } from './storage';
+import { scheduleRequest } from './requestScheduler';
+import {
+  ERROR_CODES,
+  RailwayError,
+  AuthTokenExpiredError,
+  DeviceKeyExpiredError,
+  CredentialsRequiredError,
+  RateLimitedError,
+  OrderLimitExceededError,
+  PurchaseInProgressError,
+  TicketSaleNotOpenError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  CanceledError
+} from './railwayErrors';
+
+export const BASE_URL = "https://railspaapi.shohoz.com/v1.0/web";
+
+// React Native's fetch has no timeout option, so every attempt gets its own budget
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Validate credentials before making API calls
+ * @returns {Promise<{authToken: string, deviceKey: string}>} - Auth token and device key
+ */
+export const validateCredentials = async () => {
+  const credentials = await RailwayAccountStorage.getCredentials();
+
+  if (!credentials.authToken || !credentials.deviceKey) {
+    throw new CredentialsRequiredError();
+  }
+
+  if (credentials.authToken.trim() === '' || credentials.deviceKey.trim() === '') {
+    throw new CredentialsRequiredError();
+  }
+
+  return credentials;
+};
+
+/**
+ * Read a JSON body without failing on empty or non-JSON responses
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object|null>} - Parsed body or null
+ */
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw error;
+    }
+    return null;
+  }
+};
+
+/**
+ * Normalise Shohoz error payloads into a list of messages and an error key.
+ * Errors arrive either as `{ error: { messages: [..] } }` or as
+ * `{ error: { messages: { message, errorKey } } }`.
+ * @param {Object|null} data - Parsed response body
+ * @returns {{messages: Array<string>, errorKey: string}}
+ */
+const extractErrorDetails = (data) => {
+  const errorMessages = data?.error?.messages;
+
+  if (Array.isArray(errorMessages)) {
+    return {
+      messages: errorMessages.filter(msg => typeof msg === 'string'),
+      errorKey: ''
+    };
+  }
+
+  if (errorMessages && typeof errorMessages === 'object') {
+    return {
+      messages: errorMessages.message ? [errorMessages.message] : [],
+      errorKey: errorMessages.errorKey || ''
+    };
+  }
+
+  return { messages: [], errorKey: '' };
+};
+
+/**
+ * Decide which credential a 401 response is complaining about
+ * @param {Array<string>} messages - Error messages from the response
+ * @returns {RailwayError} - Token or device key error
+ */
+const classifyAuthFailure = (messages) => {
+  if (messages.some(msg => msg.includes("Invalid User Access Token!"))) {
+    return new AuthTokenExpiredError();
+  }
+  if (messages.some(msg => msg.includes("You are not authorized for this request") || msg.includes("Please login first"))) {
+    return new DeviceKeyExpiredError();
+  }
+  return new AuthTokenExpiredError(); // Default to token expired
+};
+
+/**
+ * Parse a "N minutes M seconds" wait from a Shohoz message into an absolute time
+ * @param {string} message - Error message
+ * @returns {number|null} - Epoch milliseconds or null when no wait is given
+ */
+const parseWaitUntil = (message) => {
+  const timeMatch = message.match(/(\d+)\s*minute[s]?\s*(\d+)\s*second[s]?/i);
+  if (!timeMatch) return null;
+
+  const totalSeconds = parseInt(timeMatch[1], 10) * 60 + parseInt(timeMatch[2], 10);
+  return Date.now() + totalSeconds * 1000;
+};
+
+/**
+ * Parse the Retry-After header (seconds or HTTP date) into an absolute time
+ * @param {Response} response - Fetch response
+ * @returns {number|null} - Epoch milliseconds or null when absent
+ */
+const parseRetryAfter = (response) => {
+  const value = response.headers?.get?.('Retry-After');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Date.now() + seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Map a 422 message from Shohoz onto the matching error type
+ * @param {string} message - First error message
+ * @param {string} errorKey - Error key, when Shohoz sends one
+ * @returns {RailwayError} - Classified error
+ */
+const classifyUnprocessable = (message, errorKey) => {
+  if (message.includes("ticket purchase for this trip will be available") ||
+      message.includes("East Zone") ||
+      message.includes("West Zone")) {
+    const timeMatch = message.match(/(\d+:\d+\s*[APMapm]+)/);
+    return new TicketSaleNotOpenError({ opensAt: timeMatch ? timeMatch[1] : null });
+  }
+  if (message.includes("Your purchase process is on-going")) {
+    return new PurchaseInProgressError({ reason: 'ongoing', retryAt: parseWaitUntil(message) });
+  }
+  if (message.includes("Multiple order attempt detected")) {
+    return new PurchaseInProgressError({ reason: 'multipleOrder', retryAt: parseWaitUntil(message) });
+  }
+  if (errorKey === "OrderLimitExceeded") {
+    return new OrderLimitExceededError({ scope: 'train' });
+  }
+  return new RailwayError(ERROR_CODES.HTTP, message, { status: 422 });
+};
+
+/**
+ * Turn a non-2xx response into a typed RailwayError. 422 errors also carry
+ * the raw `error_info` that seat results keep for display.
+ * @param {Response} response - Fetch response
+ * @param {Object|null} data - Parsed response body
+ * @returns {RailwayError} - Classified error
+ */
+const classifyResponse = (response, data) => {
+  const status = response.status;
+  const { messages, errorKey } = extractErrorDetails(data);
+
+  if (status === 401) {
+    return classifyAuthFailure(messages);
+  }
+  if (status === 429 || status === 403) {
+    return new RateLimitedError({ status, retryAt: parseRetryAfter(response) });
+  }
+  if (status === 422) {
+    const message = messages[0] || 'Request could not be processed';
+    const error = classifyUnprocessable(message, errorKey);
+    error.error_info = {
+      is_422: true,
+      message: message,
+      errorKey: errorKey
+    };
+    return error;
+  }
+  if (status >= 500) {
+    return new ServerError({ status });
+  }
+  return new RailwayError(ERROR_CODES.HTTP, `HTTP error! status: ${status}`, { status });
+};
+
+/**
+ * Build request headers, attaching credentials when the endpoint needs them
+ * @param {{authToken: string, deviceKey: string}|null} credentials - Credentials or null
+ * @returns {Object} - Request headers
+ */
+const buildHeaders = (credentials) => {
+  const headers = {
+    'Content-Type': 'application/json',
+  };
+
+  if (credentials) {
+    headers['Authorization'] = `Bearer ${credentials.authToken.trim()}`;
+    headers['x-device-key'] = credentials.deviceKey.trim();
+  }
+
+  return headers;
+};
+
+/**
+ * Perform a single fetch attempt with a real timeout.
+ * The caller's signal and the timeout both abort the underlying request, but
+ * they surface as different errors: CanceledError vs retryable TimeoutError.
+ * @param {string} url - Full request URL
+ * @param {Object} init - fetch options without a signal
+ * @param {number} timeoutMs - Time budget for the request and its body
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @returns {Promise<{response: Response, data: Object|null}>}
+ */
+const fetchWithTimeout = async (url, init, timeoutMs, signal) => {
+  if (signal?.aborted) {
+    throw new CanceledError();
+  }
+
+  const controller = new AbortController();
+  const onCallerAbort = () => controller.abort();
+  signal?.addEventListener('abort', onCallerAbort);
+
+  let timer = null;
+  let timedOut = false;
+  // Rejects even if the platform fetch ignores the abort
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+      reject(new TimeoutError({ timeoutMs }));
+    }, timeoutMs);
+  });
+
+  try {
+    const response = await Promise.race([
+      fetch(url, { ...init, signal: controller.signal }),
+      timeout
+    ]);
+    const data = await Promise.race([readJson(response), timeout]);
+    return { response, data };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new CanceledError();
+    }
+    if (timedOut) {
+      throw new TimeoutError({ timeoutMs });
+    }
+    // fetch reports a failed connection as a TypeError - anything else is a bug, not the network
+    if (error instanceof TypeError) {
+      throw new NetworkError();
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onCallerAbort);
+  }
+};
+
+/**
+ * Send a request to the Shohoz railway API.
+ * Owns the base URL, auth headers, scheduling, retries and response
+ * classification so that every endpoint reports failures the same way.
+ * @param {string} path - Endpoint path relative to BASE_URL (e.g. "/train-routes")
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default: GET)
+ * @param {Object} options.params - Query string parameters
+ * @param {Object} options.body - JSON body for POST requests
+ * @param {boolean|Object} options.auth - true to use stored credentials, false for none,
+ *   or an explicit {authToken, deviceKey} pair
+ * @param {number} options.maxAttempts - Attempts for retryable failures (5xx, network, timeout)
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @returns {Promise<Object>} - Parsed JSON response body
+ * @throws {RailwayError} - Typed error describing why the request failed
+ */
+export const railwayRequest = async (path, {
+  method = 'GET',
+  params = null,
+  body = null,
+  auth = true,
+  maxAttempts = 1,
+  timeout = DEFAULT_TIMEOUT_MS,
+  signal = null
+} = {}) => {
+  const credentials = auth === true ? await validateCredentials() : (auth || null);
+  const query = params ? `?${new URLSearchParams(params).toString()}` : '';
+  const url = `${BASE_URL}${path}${query}`;
+  const headers = buildHeaders(credentials);
+
+  // Every request shares the app-wide scheduler, which also retries rate limits
+  return scheduleRequest(async () => {
+    let attempt = 0;
+
+    while (true) {
+      attempt += 1;
+
+      let response;
+      let data;
+      try {
+        ({ response, data } = await fetchWithTimeout(url, {
+          method,
+          headers,
+          body: body ? JSON.stringify(body) : undefined
+        }, timeout, signal));
+      } catch (error) {
+        // Network failures and timeouts may be retried; cancellation never is
+        if (error.retryable && attempt < maxAttempts) {
+          continue;
+        }
+        throw error;
+      }
+
+      if (response.ok) {
+        return data;
+      }
+
+      const error = classifyResponse(response, data);
+      // Rate limits are retried by the scheduler; only server errors are retried here
+      if (error.code === ERROR_CODES.SERVER && attempt < maxAttempts) {
+        continue;
+      }
+      throw error;
+    }
+  }, { signal });
+};
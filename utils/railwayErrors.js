@@ -0,0 +1,323 @@
+// Error codes shared by the API layer and the screens.
+// Screens branch on `error.code`; the English wording lives in the classes below.
+export const ERROR_CODES = {
+  AUTH_TOKEN_EXPIRED: 'AUTH_TOKEN_EXPIRED',
+  DEVICE_KEY_EXPIRED: 'AUTH_DEVICE_KEY_EXPIRED',
+  CREDENTIALS_REQUIRED: 'AUTH_CREDENTIALS_REQUIRED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ORDER_LIMIT_EXCEEDED: 'ORDER_LIMIT_EXCEEDED',
+  PURCHASE_IN_PROGRESS: 'PURCHASE_IN_PROGRESS',
+  TICKET_SALE_NOT_OPEN: 'TICKET_SALE_NOT_OPEN',
+  SEAT_INFO_UNAVAILABLE: 'SEAT_INFO_UNAVAILABLE',
+  TRAIN_NOT_RUNNING: 'TRAIN_NOT_RUNNING',
+  TRAIN_NOT_LISTED: 'TRAIN_NOT_LISTED',
+  NO_TRAINS_FOUND: 'NO_TRAINS_FOUND',
+  NO_SEATS_AVAILABLE: 'NO_SEATS_AVAILABLE',
+  SERVER: 'SERVER_ERROR',
+  NETWORK: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  CANCELED: 'CANCELED',
+  HTTP: 'HTTP_ERROR',
+};
+
+/**
+ * Format a retry time for display (e.g. "03:15:20 PM")
+ * @param {number|null} retryAt - Epoch milliseconds
+ * @returns {string|null} - Formatted time or null
+ */
+const formatRetryTime = (retryAt) => {
+  if (!retryAt) return null;
+  return new Date(retryAt).toLocaleTimeString('en-US', {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: true
+  });
+};
+
+/**
+ * Base class for every error raised by the railway API layer
+ */
+export class RailwayError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message - User-facing English message
+   * @param {Object} options - Extra fields
+   * @param {number} options.status - HTTP status, when the error came from a response
+   * @param {boolean} options.retryable - Whether repeating the request may succeed
+   * @param {boolean} options.isCredentialError - Whether the user must fix credentials in Settings
+   */
+  constructor(code, message, { status = null, retryable = false, isCredentialError = false } = {}) {
+    super(message);
+    this.name = 'RailwayError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.isCredentialError = isCredentialError;
+  }
+}
+
+export class AuthTokenExpiredError extends RailwayError {
+  constructor() {
+    super(
+      ERROR_CODES.AUTH_TOKEN_EXPIRED,
+      'Your Auth Token has expired or is invalid (valid for 24 hours). Please update your credentials in Settings with a new token and device key.',
+      { status: 401, isCredentialError: true }
+    );
+    this.name = 'AuthTokenExpiredError';
+  }
+}
+
+export class DeviceKeyExpiredError extends RailwayError {
+  constructor() {
+    super(
+      ERROR_CODES.DEVICE_KEY_EXPIRED,
+      'Your Device Key has expired or is invalid. Please update your credentials in Settings with a new token and device key.',
+      { status: 401, isCredentialError: true }
+    );
+    this.name = 'DeviceKeyExpiredError';
+  }
+}
+
+export class CredentialsRequiredError extends RailwayError {
+  constructor() {
+    super(
+      ERROR_CODES.CREDENTIALS_REQUIRED,
+      'Railway credentials not found. Please add your credentials in Settings.',
+      { isCredentialError: true }
+    );
+    this.name = 'CredentialsRequiredError';
+  }
+}
+
+export class RateLimitedError extends RailwayError {
+  /**
+   * @param {Object} options
+   * @param {number} options.status - 429 (too frequent) or 403 (blocked for a while)
+   * @param {number|null} options.retryAt - Epoch milliseconds after which a retry is allowed
+   */
+  constructor({ status = 429, retryAt = null } = {}) {
+    super(
+      ERROR_CODES.RATE_LIMITED,
+      status === 429
+        ? 'You are requesting too frequently. Please wait and try after some time.'
+        : 'Too many requests. Please try again in a few minutes.',
+      { status, retryable: true }
+    );
+    this.name = 'RateLimitedError';
+    this.retryAt = retryAt;
+  }
+}
+
+export class OrderLimitExceededError extends RailwayError {
+  /**
+   * @param {Object} options
+   * @param {string} options.scope - 'train' for a single train, 'route' for every train on the route
+   */
+  constructor({ scope = 'route' } = {}) {
+    super(
+      ERROR_CODES.ORDER_LIMIT_EXCEEDED,
+      scope === 'train'
+        ? 'Please retry with a different account as you have reached the maximum order limit for this train on the selected day, so seat info cannot be fetched at this moment.'
+        : 'Please retry with a different account as you have reached the maximum order limit for all trains between your chosen stations on the selected day, so seat info cannot be fetched at this moment. Alternatively, search for a different day.',
+      { status: 422 }
+    );
+    this.name = 'OrderLimitExceededError';
+    this.scope = scope;
+  }
+}
+
+export class PurchaseInProgressError extends RailwayError {
+  /**
+   * @param {Object} options
+   * @param {string} options.reason - 'ongoing' for an open purchase, 'multipleOrder' for a parallel reservation
+   * @param {number|null} options.retryAt - Epoch milliseconds when the account is free again
+   */
+  constructor({ reason = 'ongoing', retryAt = null } = {}) {
+    const retryTime = formatRetryTime(retryAt);
+    const subject = reason === 'multipleOrder'
+      ? 'You already have an active reservation process in this account'
+      : 'Your purchase process for some tickets is ongoing for this account';
+    const advice = retryTime
+      ? `Please try again after ${retryTime} or retry with a different account.`
+      : 'Please retry with a different account.';
+
+    super(
+      ERROR_CODES.PURCHASE_IN_PROGRESS,
+      `${subject}, so seat info cannot be fetched at this moment. ${advice}`,
+      { status: 422, retryable: true }
+    );
+    this.name = 'PurchaseInProgressError';
+    this.reason = reason;
+    this.retryAt = retryAt;
+  }
+}
+
+export class TicketSaleNotOpenError extends RailwayError {
+  /**
+   * @param {Object} options
+   * @param {string} options.opensAt - Sale opening time as announced by Shohoz (e.g. "8:00 AM")
+   */
+  constructor({ opensAt = null } = {}) {
+    super(
+      ERROR_CODES.TICKET_SALE_NOT_OPEN,
+      `Ticket purchasing for the selected criteria is not yet available, so seat info cannot be fetched at this moment. Please try again after ${opensAt || '8:00 AM or 2:00 PM'}. Alternatively, search for a different day.`,
+      { status: 422 }
+    );
+    this.name = 'TicketSaleNotOpenError';
+    this.opensAt = opensAt;
+  }
+}
+
+export class SeatInfoUnavailableError extends RailwayError {
+  /**
+   * Shohoz refused seat info for a reason we do not recognise
+   * @param {Object} options
+   * @param {string} options.scope - 'train' for a single train, 'route' for every train on the route
+   */
+  constructor({ scope = 'route' } = {}) {
+    super(
+      ERROR_CODES.SEAT_INFO_UNAVAILABLE,
+      scope === 'train'
+        ? 'Please retry with a different account to get seat info for this train.'
+        : 'An error occurred while fetching seat details. Please retry with a different account for the given criteria.',
+      { status: 422 }
+    );
+    this.name = 'SeatInfoUnavailableError';
+    this.scope = scope;
+  }
+}
+
+export class TrainNotRunningError extends RailwayError {
+  /**
+   * @param {Object} options
+   * @param {string} options.trainName - Train name
+   * @param {string} options.weekday - Full weekday name (e.g. "Friday")
+   */
+  constructor({ trainName, weekday }) {
+    super(ERROR_CODES.TRAIN_NOT_RUNNING, `${trainName} does not run on ${weekday}.`);
+    this.name = 'TrainNotRunningError';
+    this.trainName = trainName;
+    this.weekday = weekday;
+  }
+}
+
+export class TrainNotListedError extends RailwayError {
+  /**
+   * The train is missing from the search between two stations, so no ticket
+   * is sold for that pair. This is an answer, not a failure - retrying it
+   * gives the same result.
+   * @param {Object} options
+   * @param {string} options.trainModel - Train model/number
+   * @param {string} options.fromCity - Origin station
+   * @param {string} options.toCity - Destination station
+   */
+  constructor({ trainModel, fromCity, toCity }) {
+    super(ERROR_CODES.TRAIN_NOT_LISTED, `No tickets are sold on this train from ${fromCity} to ${toCity}.`);
+    this.name = 'TrainNotListedError';
+    this.trainModel = trainModel;
+    this.fromCity = fromCity;
+    this.toCity = toCity;
+  }
+}
+
+export class NoTrainsFoundError extends RailwayError {
+  constructor() {
+    super(
+      ERROR_CODES.NO_TRAINS_FOUND,
+      'At this moment, no trains are found between your selected origin and destination stations on the selected day. Please retry with a different criteria.'
+    );
+    this.name = 'NoTrainsFoundError';
+  }
+}
+
+export class NoSeatsAvailableError extends RailwayError {
+  constructor() {
+    super(
+      ERROR_CODES.NO_SEATS_AVAILABLE,
+      'No seats available for the selected train and date. Please try a different date or train.'
+    );
+    this.name = 'NoSeatsAvailableError';
+  }
+}
+
+export class ServerError extends RailwayError {
+  constructor({ status = 500 } = {}) {
+    super(
+      ERROR_CODES.SERVER,
+      "We're facing a problem with the Bangladesh Railway website. Please try again in a few minutes.",
+      { status, retryable: true }
+    );
+    this.name = 'ServerError';
+  }
+}
+
+export class NetworkError extends RailwayError {
+  constructor() {
+    super(
+      ERROR_CODES.NETWORK,
+      "We couldn't reach the Bangladesh Railway website. Please check your internet connection and try again.",
+      { retryable: true }
+    );
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends RailwayError {
+  /**
+   * The request outlived its time budget. Unlike CanceledError this was not
+   * the user's decision, so it may be retried.
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Time budget that was exceeded
+   */
+  constructor({ timeoutMs = null } = {}) {
+    super(
+      ERROR_CODES.TIMEOUT,
+      'The Bangladesh Railway website took too long to respond. Please check your internet connection and try again.',
+      { retryable: true }
+    );
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class CanceledError extends RailwayError {
+  constructor() {
+    super(ERROR_CODES.CANCELED, 'Operation canceled');
+    this.name = 'CanceledError';
+  }
+}
+
+/**
+ * Check whether an error is an authentication failure that must not be retried
+ * @param {Error} error - Any error
+ * @returns {boolean} - True for expired token/device key or missing credentials
+ */
+export const isAuthError = (error) => {
+  return error?.code === ERROR_CODES.AUTH_TOKEN_EXPIRED ||
+    error?.code === ERROR_CODES.DEVICE_KEY_EXPIRED ||
+    error?.code === ERROR_CODES.CREDENTIALS_REQUIRED;
+};
+
+/**
+ * Check whether an error means the user (or an abort signal) canceled the work
+ * @param {Error} error - Any error
+ * @returns {boolean} - True for cancellation
+ */
+export const isCanceledError = (error) => {
+  return error?.code === ERROR_CODES.CANCELED || error?.name === 'AbortError';
+};
+
+/**
+ * Get the message and dialog flags a screen should show for an error
+ * @param {Error} error - Any error
+ * @param {string} fallbackMessage - Message for errors without one
+ * @returns {{message: string, isCredentialError: boolean}}
+ */
+export const describeError = (error, fallbackMessage = 'An unexpected error occurred. Please try again.') => {
+  const message = error?.message;
+  return {
+    message: message && message !== 'undefined' ? message : fallbackMessage,
+    isCredentialError: Boolean(error?.isCredentialError)
+  };
+};
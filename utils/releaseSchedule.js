@@ -0,0 +1,109 @@
+// Bangladesh Railway sells tickets 10 days ahead (an 11-day window including
+// today). Sales for a date open at 8:00 AM for East zone trains and 2:00 PM for
+// West zone trains, Bangladesh time (UTC+6, no daylight saving).
+const BANGLADESH_UTC_OFFSET_MS = 6 * 60 * 60 * 1000;
+export const ADVANCE_BOOKING_DAYS = 10;
+
+export const SALE_OPENING_TIMES = {
+  EAST: '8:00 AM',
+  WEST: '2:00 PM',
+};
+
+// Zone names as shown to the user
+export const ZONE_LABELS = {
+  EAST: 'East zone',
+  WEST: 'West zone',
+};
+
+// Wait after the opening time before an automatic check, so the first
+// request doesn't reach Shohoz while it still reports sales as closed
+export const AUTO_CHECK_DELAY_MS = 5000;
+
+const MONTH_ABBREVIATIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Parse a clock time like "8:00 AM" or "2:00 pm"
+ * @param {string|null} text - Clock time
+ * @returns {{hour: number, minute: number}|null} - 24-hour time, or null when unreadable
+ */
+export const parseClockTime = (text) => {
+  const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10) % 12;
+  if (match[3].toUpperCase() === 'PM') hour += 12;
+  return { hour, minute: parseInt(match[2], 10) };
+};
+
+/**
+ * Moment ticket sales open for a journey date
+ * @param {string} journeyDateString - Journey date in YYYY-MM-DD format
+ * @param {string} zone - Train zone from trains.json ("EAST" or "WEST")
+ * @param {string|null} opensAt - Opening time announced by Shohoz, overriding the zone's usual time
+ * @returns {number} - Epoch milliseconds
+ */
+export const getSaleOpeningTime = (journeyDateString, zone, opensAt = null) => {
+  const [year, month, day] = journeyDateString.split('-').map(Number);
+  const time = parseClockTime(opensAt) || parseClockTime(SALE_OPENING_TIMES[zone] || SALE_OPENING_TIMES.EAST);
+  return Date.UTC(year, month - 1, day - ADVANCE_BOOKING_DAYS, time.hour, time.minute) - BANGLADESH_UTC_OFFSET_MS;
+};
+
+/**
+ * Zone of a train from trains.json
+ * @param {string} trainModel - Train model/number
+ * @param {Array<Object>} trains - Every train from trains.json
+ * @returns {string|null} - "EAST", "WEST", or null when the train is unknown
+ */
+export const getTrainZone = (trainModel, trains) =>
+  trains.find(train => train.train_number === String(trainModel))?.zone || null;
+
+/**
+ * Sale openings for a journey date, soonest first
+ * @param {string} journeyDateString - Journey date in YYYY-MM-DD format
+ * @param {Array<string>} zones - Zones of the trains in question (both for a station pair,
+ *   since the trains on it are not known before searching)
+ * @param {number} now - Current time in epoch milliseconds
+ * @param {string|null} opensAt - Opening time announced by Shohoz for this date, if any. It
+ *   replaces the per-zone openings with a single one whose zone is null.
+ * @returns {{openings: Array<{zone: string|null, opensAt: number}>, next: Object|null, isOpen: boolean}} -
+ *   Every opening, the next one still to come, and whether sales are open for every zone
+ */
+export const getReleaseSchedule = (journeyDateString, zones, now = Date.now(), opensAt = null) => {
+  const openings = (parseClockTime(opensAt) ? [null] : [...new Set(zones)])
+    .map(zone => ({ zone, opensAt: getSaleOpeningTime(journeyDateString, zone, opensAt) }))
+    .sort((a, b) => a.opensAt - b.opensAt);
+  const next = openings.find(opening => opening.opensAt > now) || null;
+  return { openings, next, isOpen: !next };
+};
+
+/**
+ * Format time left as "2d 4h", "1h 05m 09s", "5m 09s" or "9s"
+ * @param {number} ms - Milliseconds left
+ * @returns {string}
+ */
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+  return `${seconds}s`;
+};
+
+/**
+ * Format a moment in Bangladesh time as "8:00 AM, 18 Oct"
+ * @param {number} timestamp - Epoch milliseconds
+ * @returns {string}
+ */
+export const formatBangladeshTime = (timestamp) => {
+  const local = new Date(timestamp + BANGLADESH_UTC_OFFSET_MS);
+  const hour = local.getUTCHours() % 12 || 12;
+  const minute = String(local.getUTCMinutes()).padStart(2, '0');
+  const period = local.getUTCHours() < 12 ? 'AM' : 'PM';
+  return `${hour}:${minute} ${period}, ${local.getUTCDate()} ${MONTH_ABBREVIATIONS[local.getUTCMonth()]}`;
+};
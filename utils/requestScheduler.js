@@ -0,0 +1,165 @@
+import { ERROR_CODES, CanceledError } from './railwayErrors';
+
+// Concurrency bounds shared by every Shohoz request in the app
+const MAX_CONCURRENCY = 10; // Same as the Python version (ThreadPoolExecutor(max_workers=10))
+const MIN_CONCURRENCY = 1;
+
+// Successful requests needed before concurrency is raised by one
+const SUCCESSES_PER_STEP = 5;
+
+// Backoff for rate-limited requests without a Retry-After header
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Global scheduler state - one queue for the whole app
+let concurrency = MAX_CONCURRENCY;
+let activeCount = 0;
+let successStreak = 0;
+let pausedUntil = 0;
+let pauseTimer = null;
+const waitQueue = [];
+
+/**
+ * Start queued requests while there are free slots and no rate-limit pause
+ */
+const pump = () => {
+  const now = Date.now();
+
+  if (pausedUntil > now) {
+    if (!pauseTimer) {
+      pauseTimer = setTimeout(() => {
+        pauseTimer = null;
+        pump();
+      }, pausedUntil - now);
+    }
+    return;
+  }
+
+  while (activeCount < concurrency && waitQueue.length > 0) {
+    const waiter = waitQueue.shift();
+    activeCount++;
+    waiter.start();
+  }
+};
+
+/**
+ * Wait for a request slot
+ * @param {AbortSignal} signal - Abort signal; aborting removes the request from the queue
+ * @returns {Promise<void>} - Resolves once the caller may send its request
+ */
+const acquireSlot = (signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError());
+    return;
+  }
+
+  const onAbort = () => {
+    const index = waitQueue.indexOf(waiter);
+    if (index !== -1) {
+      waitQueue.splice(index, 1);
+    }
+    reject(new CanceledError());
+  };
+
+  const waiter = {
+    start: () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }
+  };
+
+  signal?.addEventListener('abort', onAbort);
+  waitQueue.push(waiter);
+  pump();
+});
+
+/**
+ * Free a request slot and let the next queued request start
+ */
+const releaseSlot = () => {
+  activeCount--;
+  pump();
+};
+
+/**
+ * Delay before retrying a rate-limited request. Honours Retry-After when the
+ * server sent one, otherwise uses exponential backoff with jitter.
+ * @param {number} attempt - Zero-based retry number
+ * @param {number|null} retryAt - Epoch milliseconds from Retry-After
+ * @returns {number} - Delay in milliseconds
+ */
+const getBackoffDelay = (attempt, retryAt) => {
+  if (retryAt) {
+    return Math.max(0, retryAt - Date.now());
+  }
+
+  const exponential = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt));
+  // Keep at least half the delay, randomise the rest so queued requests spread out
+  return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+/**
+ * Slow down after a 429/403: halve concurrency and pause every queued request
+ * @param {Error} error - The RateLimitedError
+ * @param {number} attempt - Zero-based retry number
+ */
+const recordRateLimit = (error, attempt) => {
+  // Requests already in flight when the limit hit report it too - only slow down once per pause
+  if (pausedUntil <= Date.now()) {
+    concurrency = Math.max(MIN_CONCURRENCY, Math.floor(concurrency / 2));
+  }
+  successStreak = 0;
+  pausedUntil = Math.max(pausedUntil, Date.now() + getBackoffDelay(attempt, error.retryAt));
+};
+
+/**
+ * Speed back up after a run of successful requests
+ */
+const recordSuccess = () => {
+  successStreak++;
+  if (successStreak >= SUCCESSES_PER_STEP && concurrency < MAX_CONCURRENCY) {
+    concurrency++;
+    successStreak = 0;
+  }
+};
+
+/**
+ * Run a request through the app-wide scheduler.
+ * Requests wait for a free slot, and rate-limited requests are retried after
+ * the backoff instead of failing, so long runs slow down rather than abort.
+ * @param {Function} task - Async function performing one request
+ * @param {Object} options - Scheduling options
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @param {number} options.maxRetries - Rate-limit retries before giving up
+ * @returns {Promise<*>} - Whatever the task resolves to
+ */
+export const scheduleRequest = async (task, { signal = null, maxRetries = MAX_RATE_LIMIT_RETRIES } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(signal);
+
+    try {
+      const result = await task();
+      recordSuccess();
+      return result;
+    } catch (error) {
+      if (error.code !== ERROR_CODES.RATE_LIMITED || attempt >= maxRetries || signal?.aborted) {
+        throw error;
+      }
+      recordRateLimit(error, attempt);
+    } finally {
+      releaseSlot();
+    }
+  }
+};
+
+/**
+ * Get a snapshot of the scheduler for progress messages
+ * @returns {{concurrency: number, active: number, queued: number, pausedUntil: number|null}}
+ */
+export const getSchedulerState = () => ({
+  concurrency,
+  active: activeCount,
+  queued: waitQueue.length,
+  pausedUntil: pausedUntil > Date.now() ? pausedUntil : null
+});
@@ -0,0 +1,167 @@
+import { computeCorridor } from './corridorPlanner';
+import { CanceledError, isAuthError, isCanceledError } from './railwayErrors';
+
+/**
+ * Train name without the number, e.g. "AGHNIBINA EXPRESS" for "AGHNIBINA EXPRESS (735)"
+ * @param {string} trainName - Full train name
+ * @returns {string}
+ */
+const getBaseName = (trainName) => trainName.replace(/\s*\(\d+\)\s*$/, '').trim();
+
+/**
+ * Find the trains that make the return run of a train: the reversed origin and
+ * destination under the same name (735/736), otherwise the neighbouring
+ * odd/even number on the reversed run - some pairs have different names
+ * (MAHANAGAR GODHULI 703 / MAHANAGAR PROVATI 704).
+ * @param {Object} train - Entry from trains.json
+ * @param {Array<Object>} trains - Every train from trains.json
+ * @returns {Array<Object>} - Return trains, best match first (empty when there is none)
+ */
+export const findReturnTrains = (train, trains) => {
+  const reversed = trains.filter(candidate =>
+    candidate !== train &&
+    candidate.origin_city === train.destination_city &&
+    candidate.destination_city === train.origin_city);
+
+  const sameName = reversed.filter(candidate =>
+    getBaseName(candidate.train_name) === getBaseName(train.train_name));
+  if (sameName.length > 0) {
+    return sameName;
+  }
+
+  const number = parseInt(train.train_number, 10);
+  const pairNumber = number % 2 === 1 ? number + 1 : number - 1;
+  return reversed.filter(candidate => parseInt(candidate.train_number, 10) === pairNumber);
+};
+
+/**
+ * Train entry without its matrix, for showing next to the other direction
+ * @param {Object} train - Train entry from computeCorridor
+ * @param {Object} option - Ticket plan
+ * @returns {Object}
+ */
+const toJourney = (train, option) => ({
+  trainModel: train.trainModel,
+  trainName: train.trainName,
+  departureTime: train.departureTime,
+  arrivalTime: train.arrivalTime,
+  option
+});
+
+/**
+ * Pair every outbound plan with every return plan
+ * @param {Object} outbound - Outbound corridor data
+ * @param {Object} inbound - Return corridor data
+ * @param {number} limit - Number of pairs to keep
+ * @returns {{combinations: Array<Object>, classCombinations: Array<Object>}} - Cheapest
+ *   pairs of each train's best plan, and the cheapest pair per seat type taken both ways
+ */
+const combineJourneys = (outbound, inbound, limit) => {
+  const combinations = [];
+  outbound.trains.forEach(out => {
+    if (!out.bestOption) return;
+    inbound.trains.forEach(back => {
+      if (!back.bestOption) return;
+      combinations.push({
+        outbound: toJourney(out, out.bestOption),
+        inbound: toJourney(back, back.bestOption),
+        totalFare: out.bestOption.totalFare + back.bestOption.totalFare
+      });
+    });
+  });
+  combinations.sort((a, b) => a.totalFare - b.totalFare);
+
+  const cheapestFor = (corridor, seatType) => {
+    let best = null;
+    corridor.trains.forEach(train => {
+      const option = train.seatOptions[seatType];
+      if (option && (!best || option.totalFare < best.option.totalFare)) {
+        best = toJourney(train, option);
+      }
+    });
+    return best;
+  };
+
+  const classCombinations = [];
+  outbound.seatTypes.filter(seatType => inbound.seatTypes.includes(seatType)).forEach(seatType => {
+    const out = cheapestFor(outbound, seatType);
+    const back = cheapestFor(inbound, seatType);
+    if (out && back) {
+      classCombinations.push({ seatType, outbound: out, inbound: back, totalFare: out.option.totalFare + back.option.totalFare });
+    }
+  });
+  classCombinations.sort((a, b) => a.totalFare - b.totalFare);
+
+  return { combinations: combinations.slice(0, limit), classCombinations };
+};
+
+/**
+ * Check both directions of a round trip and combine their fares. Each direction
+ * is a corridor comparison; a direction that fails is reported on its own so
+ * the other one can still be shown.
+ * @param {Object} trip - Round trip
+ * @param {string} trip.origin - Outbound origin station
+ * @param {string} trip.destination - Outbound destination station
+ * @param {string} trip.outboundDate - Outbound date in DD-MMM-YYYY format
+ * @param {string} trip.returnDate - Return date in DD-MMM-YYYY format
+ * @param {Array<string>|null} trip.outboundTrainModels - Outbound trains (null for every train)
+ * @param {Array<string>|null} trip.returnTrainModels - Return trains (null for every train)
+ * @param {Function} onProgress - Progress callback function
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @param {number} limit - Number of combined journeys to keep
+ * @returns {Promise<Object>} - Both directions and their combined fares
+ */
+export const computeRoundTrip = async ({
+  origin,
+  destination,
+  outboundDate,
+  returnDate,
+  outboundTrainModels = null,
+  returnTrainModels = null
+}, onProgress, signal = null, limit = 10) => {
+  if (signal?.aborted) {
+    throw new CanceledError();
+  }
+
+  let firstError = null;
+  const runDirection = async (from, to, date, trainModels, progressStart, label) => {
+    try {
+      const data = await computeCorridor(from, to, date, (message, progress) => {
+        if (onProgress) onProgress(`${label}: ${message}`, progressStart + Math.round(progress * 0.48));
+      }, signal, { trainModels });
+      return { status: 'ok', error: null, data };
+    } catch (error) {
+      // Credentials and cancellation affect both directions
+      if (isAuthError(error) || isCanceledError(error)) {
+        throw error;
+      }
+      if (!firstError) firstError = error;
+      return { status: 'failed', error: { code: error?.code || null, message: error?.message || 'Unknown error' }, data: null };
+    }
+  };
+
+  // One direction after the other, so each gets the whole request budget
+  const outbound = await runDirection(origin, destination, outboundDate, outboundTrainModels, 2, 'Outbound');
+  const inbound = await runDirection(destination, origin, returnDate, returnTrainModels, 50, 'Return');
+
+  if (outbound.status === 'failed' && inbound.status === 'failed') {
+    throw firstError;
+  }
+
+  const { combinations, classCombinations } = outbound.data && inbound.data
+    ? combineJourneys(outbound.data, inbound.data, limit)
+    : { combinations: [], classCombinations: [] };
+
+  if (onProgress) onProgress("Complete!", 100);
+
+  return {
+    origin,
+    destination,
+    outboundDate,
+    returnDate,
+    outbound,
+    inbound,
+    combinations,
+    classCombinations
+  };
+};
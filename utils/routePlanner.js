@@ -0,0 +1,472 @@
+import { DEFAULT_FARE_RULES, getServiceCharge } from './fareRules';
+
+// Route planning over a computed fare matrix. Everything here takes plain data
+// (matrixData from computeMatrix) and returns plain data - no React, storage or
+// network - so screens and other planners share one implementation.
+
+/**
+ * Price of one ticket for a matrix cell
+ * @param {Object} seatInfo - Matrix cell
+ * @param {string} seatType - Seat type of the cell
+ * @param {Object} fareRules - Fare rules the matrix was priced with
+ * @returns {{base: number, vat: number, charge: number, total: number}}
+ */
+export const getTicketFare = (seatInfo, seatType, fareRules = DEFAULT_FARE_RULES) => {
+  const base = parseFloat(seatInfo.fare);
+  const vat = parseFloat(seatInfo.vat_amount || 0);
+  const charge = getServiceCharge(seatType, fareRules);
+
+  return { base, vat, charge, total: base + vat + charge };
+};
+
+/**
+ * Check that a journey can be searched on this matrix
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @returns {string|null} - Message explaining the problem, or null when the query is valid
+ */
+export const validateRouteQuery = (matrixData, origin, destination) => {
+  if (!origin || !destination) {
+    return 'Please select both origin and destination stations';
+  }
+  if (origin === destination) {
+    return 'Origin and destination cannot be the same';
+  }
+  if (matrixData.stations.indexOf(origin) >= matrixData.stations.indexOf(destination)) {
+    return 'Origin station must come before destination station in the train route';
+  }
+  return null;
+};
+
+// Each step down the user's class ranking makes a ticket count 10% dearer when
+// choosing between classes. Only the choice is weighted - reported fares never are.
+const PREFERENCE_STEP = 0.1;
+
+/**
+ * Drop the seat classes the user never wants
+ * @param {Array<string>} seatTypes - Seat types to consider
+ * @param {{order: Array<string>, excluded: Array<string>}|null} preference - Class preference
+ * @returns {Array<string>}
+ */
+export const getAllowedSeatTypes = (seatTypes, preference) =>
+  seatTypes.filter(seatType => !preference?.excluded?.includes(seatType));
+
+/**
+ * Position of a seat class in the user's ranking; unranked classes come last
+ * @param {string} seatType - Seat type
+ * @param {Object|null} preference - Class preference
+ * @returns {number}
+ */
+const getPreferenceRank = (seatType, preference) => {
+  const order = preference?.order || [];
+  const rank = order.indexOf(seatType);
+  return rank === -1 ? order.length : rank;
+};
+
+/**
+ * Cost used to choose between tickets: the fare, weighted by class preference
+ * @param {Object} segment - Segment from buildSegment
+ * @param {Object|null} preference - Class preference
+ * @returns {number}
+ */
+const getSegmentScore = (segment, preference) =>
+  segment.total * (1 + PREFERENCE_STEP * getPreferenceRank(segment.seatType, preference));
+
+/**
+ * Check whether a matrix cell sells enough seats online for the whole group
+ * @param {Object} seatInfo - Matrix cell
+ * @param {number} passengers - Group size
+ * @returns {boolean}
+ */
+export const hasSeatsForGroup = (seatInfo, passengers = 1) =>
+  Boolean(seatInfo) && seatInfo.online > 0 && seatInfo.online >= passengers;
+
+/**
+ * Build one ticket segment from a matrix cell. Fares cover every passenger;
+ * farePerPassenger keeps the single-ticket price.
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} from - Boarding station
+ * @param {string} to - Alighting station
+ * @param {string} seatType - Seat type
+ * @param {Object} seatInfo - Matrix cell
+ * @param {number} passengers - Group size
+ * @returns {Object} - Segment with fare breakdown
+ */
+const buildSegment = (matrixData, from, to, seatType, seatInfo, passengers) => {
+  const { base, vat, charge, total: farePerPassenger } = getTicketFare(seatInfo, seatType, matrixData.fareRules);
+
+  return {
+    from,
+    to,
+    seatType,
+    passengers,
+    base: base * passengers,
+    vat: vat * passengers,
+    charge: charge * passengers,
+    farePerPassenger,
+    total: farePerPassenger * passengers,
+    seats: seatInfo.online + seatInfo.offline,
+    date: matrixData.stationDatesFormatted?.[from] || matrixData.date // Use formatted date
+  };
+};
+
+// What a segmented route was optimised for
+export const ROUTE_OBJECTIVES = {
+  CHEAPEST: 'CHEAPEST',
+  FEWEST_SEGMENTS: 'FEWEST_SEGMENTS'
+};
+
+// Path cost orderings - each breaks ties with the other measure.
+// score is the fare weighted by class preference (equal to the fare without one).
+const COMPARE_COSTS = {
+  [ROUTE_OBJECTIVES.CHEAPEST]: (a, b) => (a.score - b.score) || (a.segmentCount - b.segmentCount),
+  [ROUTE_OBJECTIVES.FEWEST_SEGMENTS]: (a, b) => (a.segmentCount - b.segmentCount) || (a.score - b.score)
+};
+
+/**
+ * Wrap segments into a route with its fare breakdown
+ * @param {string} type - DIRECT, SEGMENTED or MIXED_SEGMENTED
+ * @param {string|null} seatType - Seat type, or null for mixed routes
+ * @param {Array<Object>} segments - Segments from buildSegment
+ * @returns {Object} - Route
+ */
+const buildRoute = (type, seatType, segments) => {
+  const fareBreakdown = { base: 0, vat: 0, charge: 0 };
+  segments.forEach(segment => {
+    fareBreakdown.base += segment.base;
+    fareBreakdown.vat += segment.vat;
+    fareBreakdown.charge += segment.charge;
+  });
+
+  return {
+    type,
+    ...(seatType ? { seatType } : {}),
+    passengers: segments[0].passengers,
+    segments,
+    totalFare: segments.reduce((sum, segment) => sum + segment.total, 0),
+    fareBreakdown
+  };
+};
+
+/**
+ * Best ticket with enough online seats between two stations among some seat types:
+ * the cheapest one, after weighting by class preference
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} from - Boarding station
+ * @param {string} to - Alighting station
+ * @param {Array<string>} seatTypes - Seat types allowed for the ticket
+ * @param {number} passengers - Group size
+ * @param {Object|null} preference - Class preference
+ * @returns {Object|null} - Segment or null when the group cannot buy this ticket online
+ */
+const getBestSegment = (matrixData, from, to, seatTypes, passengers, preference) => {
+  let best = null;
+  let bestScore = Infinity;
+  seatTypes.forEach(seatType => {
+    const seatInfo = matrixData.fareMatrices[seatType]?.[from]?.[to];
+    if (hasSeatsForGroup(seatInfo, passengers)) {
+      const segment = buildSegment(matrixData, from, to, seatType, seatInfo, passengers);
+      const score = getSegmentScore(segment, preference);
+      if (score < bestScore) {
+        best = segment;
+        bestScore = score;
+      }
+    }
+  });
+  return best;
+};
+
+/**
+ * Weighted shortest path over the fare matrix.
+ * Tickets only run forward along the route, so the stations are already in
+ * topological order and a single pass relaxes every ticket exactly once.
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {Array<string>} seatTypes - Seat types allowed on each segment
+ * @param {string} objective - One of ROUTE_OBJECTIVES
+ * @param {number} passengers - Group size
+ * @param {Object|null} preference - Class preference
+ * @returns {Array<Object>|null} - Segments of the best path or null when none exists
+ */
+export const findShortestPath = (matrixData, origin, destination, seatTypes, objective, passengers, preference) => {
+  const { stations } = matrixData;
+  const originIndex = stations.indexOf(origin);
+  const destinationIndex = stations.indexOf(destination);
+  if (originIndex === -1 || destinationIndex <= originIndex) {
+    return null;
+  }
+
+  const compare = COMPARE_COSTS[objective];
+  // Station -> best cost found so far and the last segment of that path
+  const best = { [origin]: { score: 0, segmentCount: 0, segment: null } };
+
+  for (let i = originIndex; i < destinationIndex; i++) {
+    const from = stations[i];
+    const reached = best[from];
+    if (!reached) continue;
+
+    for (let j = i + 1; j <= destinationIndex; j++) {
+      const to = stations[j];
+      const segment = getBestSegment(matrixData, from, to, seatTypes, passengers, preference);
+      if (!segment) continue;
+
+      const candidate = {
+        score: reached.score + getSegmentScore(segment, preference),
+        segmentCount: reached.segmentCount + 1,
+        segment
+      };
+      if (!best[to] || compare(candidate, best[to]) < 0) {
+        best[to] = candidate;
+      }
+    }
+  }
+
+  if (!best[destination]) {
+    return null;
+  }
+
+  const segments = [];
+  for (let station = destination; station !== origin; station = best[station].segment.from) {
+    segments.unshift(best[station].segment);
+  }
+  return segments;
+};
+
+/**
+ * Find the cheapest and the fewest-segments paths of a route type
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {Array<string>} seatTypes - Seat types allowed on each segment
+ * @param {string} type - SEGMENTED or MIXED_SEGMENTED
+ * @param {string|null} seatType - Seat type of a SEGMENTED route
+ * @param {number} passengers - Group size
+ * @param {Object|null} preference - Class preference
+ * @returns {{cheapest: Object, fewestSegments: Object}|null} - The same route
+ *   object for both when one path wins on both counts
+ */
+const findBestRoutes = (matrixData, origin, destination, seatTypes, type, seatType, passengers, preference = null) => {
+  const cheapestPath = findShortestPath(matrixData, origin, destination, seatTypes, ROUTE_OBJECTIVES.CHEAPEST, passengers, preference);
+  if (!cheapestPath) {
+    return null;
+  }
+  const fewestPath = findShortestPath(matrixData, origin, destination, seatTypes, ROUTE_OBJECTIVES.FEWEST_SEGMENTS, passengers, preference);
+
+  const cheapest = buildRoute(type, seatType, cheapestPath);
+  if (fewestPath.length === cheapestPath.length) {
+    cheapest.objectives = [ROUTE_OBJECTIVES.CHEAPEST, ROUTE_OBJECTIVES.FEWEST_SEGMENTS];
+    return { cheapest, fewestSegments: cheapest };
+  }
+
+  cheapest.objectives = [ROUTE_OBJECTIVES.CHEAPEST];
+  const fewestSegments = buildRoute(type, seatType, fewestPath);
+  fewestSegments.objectives = [ROUTE_OBJECTIVES.FEWEST_SEGMENTS];
+  return { cheapest, fewestSegments };
+};
+
+/**
+ * Find a direct ticket between two stations
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {string} seatType - Seat type
+ * @param {number} passengers - Group size
+ * @returns {Object|null} - DIRECT route or null when the group cannot buy it online
+ */
+export const findDirectRoute = (matrixData, origin, destination, seatType, passengers = 1) => {
+  const route = matrixData?.fareMatrices?.[seatType]?.[origin]?.[destination];
+  if (!hasSeatsForGroup(route, passengers)) {
+    return null;
+  }
+
+  return buildRoute('DIRECT', seatType, [buildSegment(matrixData, origin, destination, seatType, route, passengers)]);
+};
+
+/**
+ * Find chains of tickets of one seat type covering the journey
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {string} seatType - Seat type
+ * @param {number} passengers - Group size
+ * @returns {{cheapest: Object, fewestSegments: Object}|null} - SEGMENTED routes or null
+ *   when the journey cannot be covered
+ */
+export const findSegmentedRoutes = (matrixData, origin, destination, seatType, passengers = 1) =>
+  findBestRoutes(matrixData, origin, destination, [seatType], 'SEGMENTED', seatType, passengers);
+
+/**
+ * Find chains of tickets covering the journey where each ticket may use a different
+ * seat type. Each ticket's class is chosen on fare weighted by the class preference.
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {Array<string>} seatTypes - Seat types allowed on each segment
+ * @param {number} passengers - Group size
+ * @param {{order: Array<string>, excluded: Array<string>}|null} preference - Classes ranked
+ *   best first, and classes never to use
+ * @returns {{cheapest: Object, fewestSegments: Object}|null} - MIXED_SEGMENTED routes or null
+ *   when the journey cannot be covered
+ */
+export const findMixedSegmentedRoutes = (matrixData, origin, destination, seatTypes, passengers = 1, preference = null) =>
+  findBestRoutes(
+    matrixData,
+    origin,
+    destination,
+    getAllowedSeatTypes(seatTypes, preference),
+    'MIXED_SEGMENTED',
+    null,
+    passengers,
+    preference
+  );
+
+/**
+ * Find longer single tickets that cover the journey - boarding at an earlier
+ * station and/or getting off at a later one - for seat types where the direct
+ * ticket is sold out. Ranked by the extra fare over the direct ticket.
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {Array<string>} seatTypes - Seat types to consider
+ * @param {Object} options - Search options
+ * @param {number} options.passengers - Group size
+ * @param {number} options.limit - Number of tickets to return
+ * @returns {Array<Object>} - WIDER routes, smallest extra fare first
+ */
+export const findWiderTickets = (matrixData, origin, destination, seatTypes, {
+  passengers = 1,
+  limit = 5
+} = {}) => {
+  const { stations, fareMatrices } = matrixData;
+  const originIndex = stations.indexOf(origin);
+  const destinationIndex = stations.indexOf(destination);
+  if (originIndex === -1 || destinationIndex <= originIndex) {
+    return [];
+  }
+
+  const tickets = [];
+  seatTypes.forEach(seatType => {
+    const directCell = fareMatrices[seatType]?.[origin]?.[destination];
+    if (hasSeatsForGroup(directCell, passengers)) return;
+
+    // The fare is known even when the direct ticket is sold out
+    const directFare = directCell?.fare > 0
+      ? buildSegment(matrixData, origin, destination, seatType, directCell, passengers).total
+      : null;
+
+    for (let i = 0; i <= originIndex; i++) {
+      for (let j = destinationIndex; j < stations.length; j++) {
+        if (i === originIndex && j === destinationIndex) continue;
+
+        const seatInfo = fareMatrices[seatType]?.[stations[i]]?.[stations[j]];
+        if (!hasSeatsForGroup(seatInfo, passengers)) continue;
+
+        const route = buildRoute('WIDER', seatType, [
+          buildSegment(matrixData, stations[i], stations[j], seatType, seatInfo, passengers)
+        ]);
+        route.coveredFrom = origin;
+        route.coveredTo = destination;
+        route.extraFare = directFare === null ? null : route.totalFare - directFare;
+        tickets.push(route);
+      }
+    }
+  });
+
+  // Tickets without a known direct fare go last, cheapest first
+  return tickets
+    .sort((a, b) => {
+      if (a.extraFare === null || b.extraFare === null) {
+        return (a.extraFare === null) - (b.extraFare === null) || a.totalFare - b.totalFare;
+      }
+      return a.extraFare - b.extraFare || a.totalFare - b.totalFare;
+    })
+    .slice(0, limit);
+};
+
+// How an itinerary list can be ordered
+export const RANKING_OBJECTIVES = {
+  TOTAL_FARE: 'TOTAL_FARE',
+  SEGMENTS: 'SEGMENTS',
+  COMFORT: 'COMFORT'
+};
+
+// Seat comfort from least to most comfortable
+const SEAT_COMFORT_ORDER = [
+  'SHULOV', 'SHOVAN', 'S_CHAIR', 'F_SEAT', 'F_CHAIR',
+  'SNIGDHA', 'AC_CHAIR', 'AC_S', 'F_BERTH', 'AC_B'
+];
+
+/**
+ * Comfort of an itinerary - a journey is only as comfortable as its worst seat
+ * @param {Object} route - Route from the route finders
+ * @returns {number} - Higher is more comfortable
+ */
+export const getRouteComfort = (route) =>
+  Math.min(...route.segments.map(segment => SEAT_COMFORT_ORDER.indexOf(segment.seatType)));
+
+const byFare = (a, b) => a.totalFare - b.totalFare;
+const bySegments = (a, b) => a.segments.length - b.segments.length;
+const byComfort = (a, b) => getRouteComfort(b) - getRouteComfort(a);
+
+const COMPARE_ITINERARIES = {
+  [RANKING_OBJECTIVES.TOTAL_FARE]: (a, b) => byFare(a, b) || bySegments(a, b) || byComfort(a, b),
+  [RANKING_OBJECTIVES.SEGMENTS]: (a, b) => bySegments(a, b) || byFare(a, b) || byComfort(a, b),
+  [RANKING_OBJECTIVES.COMFORT]: (a, b) => byComfort(a, b) || byFare(a, b) || bySegments(a, b)
+};
+
+/**
+ * Identify an itinerary by its tickets so different strategies don't list it twice
+ * @param {Object} route - Route from the route finders
+ * @returns {string}
+ */
+const getRouteKey = (route) =>
+  route.segments.map(segment => `${segment.from}>${segment.to}:${segment.seatType}`).join('|');
+
+/**
+ * Rank itineraries from every strategy - direct, segmented per seat type,
+ * mixed seat types and wider tickets - and keep the best few for the chosen objective
+ * @param {Object} matrixData - Matrix returned by computeMatrix
+ * @param {string} origin - Boarding station
+ * @param {string} destination - Alighting station
+ * @param {Array<string>} allSeatTypes - Seat types to consider before exclusions
+ * @param {Object} options - Ranking options
+ * @param {string} options.objective - One of RANKING_OBJECTIVES
+ * @param {number} options.limit - Number of itineraries to return
+ * @param {number} options.passengers - Group size every ticket must seat
+ * @param {Object|null} options.classPreference - Ranked and excluded classes (see findMixedSegmentedRoutes)
+ * @returns {Array<Object>} - Routes, best first
+ */
+export const findRankedItineraries = (matrixData, origin, destination, allSeatTypes, {
+  objective = RANKING_OBJECTIVES.TOTAL_FARE,
+  limit = 5,
+  passengers = 1,
+  classPreference = null
+} = {}) => {
+  const seatTypes = getAllowedSeatTypes(allSeatTypes, classPreference);
+  const candidates = [];
+
+  seatTypes.forEach(seatType => {
+    candidates.push(findDirectRoute(matrixData, origin, destination, seatType, passengers));
+  });
+  seatTypes.forEach(seatType => {
+    const routes = findSegmentedRoutes(matrixData, origin, destination, seatType, passengers);
+    if (routes) candidates.push(routes.cheapest, routes.fewestSegments);
+  });
+  const mixedRoutes = findMixedSegmentedRoutes(matrixData, origin, destination, seatTypes, passengers, classPreference);
+  if (mixedRoutes) candidates.push(mixedRoutes.cheapest, mixedRoutes.fewestSegments);
+  candidates.push(...findWiderTickets(matrixData, origin, destination, seatTypes, { passengers, limit }));
+
+  // Earlier strategies win duplicates: a one-ticket "segmented" path is the direct route
+  const itineraries = new Map();
+  candidates.forEach(route => {
+    if (route && !itineraries.has(getRouteKey(route))) {
+      itineraries.set(getRouteKey(route), route);
+    }
+  });
+
+  return Array.from(itineraries.values())
+    .sort(COMPARE_ITINERARIES[objective])
+    .slice(0, limit);
+};
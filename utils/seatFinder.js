@@ -0,0 +1,142 @@
+// Berth classes seat passengers in cabins, where the berths across the
+// cabin (the row in front or behind) are as good as the one alongside
+const BERTH_SEAT_TYPES = ['AC_B', 'F_BERTH'];
+
+/**
+ * Check whether a coach map cell is a seat that can be bought online
+ * @param {Object|null} seat - Seat cell from coach_layouts
+ * @returns {boolean}
+ */
+const isAvailable = (seat) => Boolean(seat) && seat.seat_availability === 1;
+
+/**
+ * Runs of side-by-side available seats in each row. Aisles and gaps (null
+ * cells) break a run.
+ * @param {Array<Array<Object|null>>} rows - Rows of a floor
+ * @returns {Array<Object>} - Runs as {seats, rows}
+ */
+const findRowRuns = (rows) => {
+  const runs = [];
+  rows.forEach((row, rowIndex) => {
+    let run = [];
+    [...row, null].forEach(seat => {
+      if (isAvailable(seat)) {
+        run.push(seat.seat_number);
+        return;
+      }
+      if (run.length > 0) {
+        runs.push({ seats: run, rows: [rowIndex] });
+      }
+      run = [];
+    });
+  });
+  return runs;
+};
+
+/**
+ * Blocks of available berths that touch alongside or across the cabin
+ * (same column in the next or previous row)
+ * @param {Array<Array<Object|null>>} rows - Rows of a floor
+ * @returns {Array<Object>} - Blocks as {seats, rows}
+ */
+const findFacingBlocks = (rows) => {
+  const visited = rows.map(row => row.map(() => false));
+  const blocks = [];
+
+  rows.forEach((row, rowIndex) => {
+    row.forEach((seat, columnIndex) => {
+      if (!isAvailable(seat) || visited[rowIndex][columnIndex]) return;
+
+      const seats = [];
+      const blockRows = new Set();
+      const stack = [[rowIndex, columnIndex]];
+      visited[rowIndex][columnIndex] = true;
+
+      while (stack.length > 0) {
+        const [r, c] = stack.pop();
+        seats.push(rows[r][c].seat_number);
+        blockRows.add(r);
+        [[r, c - 1], [r, c + 1], [r - 1, c], [r + 1, c]].forEach(([nr, nc]) => {
+          if (rows[nr] && isAvailable(rows[nr][nc]) && !visited[nr][nc]) {
+            visited[nr][nc] = true;
+            stack.push([nr, nc]);
+          }
+        });
+      }
+
+      blocks.push({ seats, rows: [...blockRows].sort((a, b) => a - b) });
+    });
+  });
+
+  return blocks;
+};
+
+/**
+ * Sort seat numbers of one coach by their number ("KA-9" before "KA-10")
+ * @param {Array<string>} seats - Seat numbers
+ * @returns {Array<string>}
+ */
+const sortCoachSeats = (seats) => [...seats].sort((a, b) => {
+  const numberA = parseInt(a.split('-').pop(), 10);
+  const numberB = parseInt(b.split('-').pop(), 10);
+  if (!isNaN(numberA) && !isNaN(numberB) && numberA !== numberB) {
+    return numberA - numberB;
+  }
+  return a.localeCompare(b);
+});
+
+/**
+ * Find where a party can sit together: runs of adjacent available seats in
+ * the same coach and row, or for berth classes blocks of berths facing each
+ * other across a cabin. Coaches are ranked by how many parties of that size
+ * they can seat together.
+ * @param {Array<Object>} coachLayouts - coach_layouts from fetchSeatLayout
+ * @param {number} partySize - Number of passengers travelling together
+ * @param {string} seatType - Seat type the layout belongs to
+ * @returns {Object} - {partySize, groupCount, coaches}, where each coach is
+ *   {coach, groupCount, availableCount, clusters} and each cluster is
+ *   {seats, floor, rows, facing, groupCount}. Only coaches with at least
+ *   one cluster are listed.
+ */
+export const findAdjacentSeats = (coachLayouts, partySize, seatType) => {
+  const size = Math.max(1, Math.floor(partySize) || 1);
+  const isBerth = BERTH_SEAT_TYPES.includes(seatType);
+
+  const coaches = (coachLayouts || []).map(({ coach, floors }) => {
+    const clusters = [];
+    let availableCount = 0;
+
+    floors.forEach(({ name, rows }) => {
+      availableCount += rows.flat().filter(isAvailable).length;
+      const candidates = isBerth ? findFacingBlocks(rows) : findRowRuns(rows);
+      candidates.forEach(({ seats, rows: clusterRows }) => {
+        if (seats.length < size) return;
+        clusters.push({
+          seats: sortCoachSeats(seats),
+          floor: name,
+          rows: clusterRows,
+          facing: clusterRows.length > 1,
+          groupCount: Math.floor(seats.length / size)
+        });
+      });
+    });
+
+    // Largest clusters first - they leave room for the party to choose
+    clusters.sort((a, b) => b.seats.length - a.seats.length);
+
+    return {
+      coach,
+      groupCount: clusters.reduce((sum, cluster) => sum + cluster.groupCount, 0),
+      availableCount,
+      clusters
+    };
+  })
+    .filter(coach => coach.clusters.length > 0)
+    .sort((a, b) => b.groupCount - a.groupCount || b.availableCount - a.availableCount);
+
+  return {
+    partySize: size,
+    groupCount: coaches.reduce((sum, coach) => sum + coach.groupCount, 0),
+    coaches
+  };
+};
@@ -0,0 +1,426 @@
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import * as BackgroundTask from 'expo-background-task';
+import { searchTrips } from './tripSearchCache';
+import { SeatWatchStorage } from './storage';
+import { CanceledError, isAuthError, isCanceledError } from './railwayErrors';
+
+// Android runs background tasks at most every 15 minutes, so shorter
+// intervals would only ever be honoured while the app is open
+export const WATCH_INTERVAL_OPTIONS = [15, 30, 60];
+export const DEFAULT_WATCH_INTERVAL_MINUTES = 30;
+
+export const SEAT_WATCH_TASK = 'seat-watch-check';
+const SEAT_WATCH_CHANNEL_ID = 'seat-watch';
+
+// Pause between two watches in one run - watches go out one at a time
+const WATCH_REQUEST_GAP_MS = 3000;
+// How often the open app looks for watches that are due
+const FOREGROUND_TICK_MS = 60000;
+// Checks kept per watch
+const MAX_WATCH_HISTORY = 30;
+
+// One run at a time per JS context (foreground timer, app resume, background task)
+let runInProgress = null; // {promise, force}
+// Forced run waiting for a due-only run to finish
+let forcedRunQueued = null;
+let taskRegistered = false;
+
+/**
+ * Today's date in YYYY-MM-DD format (local time)
+ * @returns {string}
+ */
+const getTodayString = () => {
+  const today = new Date();
+  const month = String(today.getMonth() + 1).padStart(2, '0');
+  const day = String(today.getDate()).padStart(2, '0');
+  return `${today.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Convert a DD-MMM-YYYY date to YYYY-MM-DD so dates compare as strings
+ * @param {string} date - Date in DD-MMM-YYYY format
+ * @returns {string}
+ */
+const toSortableDate = (date) => {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const [day, month, year] = date.split('-');
+  const monthIndex = months.findIndex(name => name.toLowerCase() === String(month).toLowerCase());
+  return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Wait between watches, stopping early on cancellation
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort);
+});
+
+/**
+ * Check a watch once. The search goes through the shared trip search cache,
+ * so watches on the same pair and date share one request.
+ * @param {Object} watch - Seat watch
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<{seats: number, trainName: string|null}>} - Most online seats
+ *   of the watched class on one train (the watched train, or any train on the pair)
+ */
+const checkWatch = async (watch, signal) => {
+  const result = await searchTrips({
+    fromCity: watch.origin,
+    toCity: watch.destination,
+    date: watch.date,
+    seatClass: watch.seatType
+  }, { signal });
+
+  let best = { seats: 0, trainName: null };
+  (result?.data?.trains || [])
+    .filter(train => !watch.trainModel || train.train_model === watch.trainModel)
+    .forEach(train => {
+      const seatType = (train.seat_types || []).find(seat => seat.type === watch.seatType);
+      const seats = seatType?.seat_counts?.online || 0;
+      if (seats > best.seats || !best.trainName) {
+        best = { seats, trainName: train.trip_number || train.train_name || null };
+      }
+    });
+  return best;
+};
+
+/**
+ * Raise the local notification for a watch that reached its seat count
+ * @param {Object} watch - Seat watch
+ * @param {{seats: number, trainName: string|null}} check - Result of the check
+ */
+const notifySeatsFound = async (watch, { seats, trainName }) => {
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: `${seats} ${watch.seatType} seat${seats === 1 ? '' : 's'} available`,
+        body: `${trainName || watch.trainName || 'A train'} · ${watch.origin} → ${watch.destination} on ${watch.date}`,
+        data: { watchId: watch.id },
+      },
+      trigger: { channelId: SEAT_WATCH_CHANNEL_ID },
+    });
+  } catch (error) {
+    console.error('Error showing seat watch notification:', error);
+  }
+};
+
+/**
+ * Register the background check while any watch is active, and remove it otherwise
+ * @param {Array<Object>} watches - Every saved watch
+ */
+const syncSeatWatchTask = async (watches) => {
+  try {
+    const hasActive = watches.some(watch => watch.active);
+    const isRegistered = await TaskManager.isTaskRegisteredAsync(SEAT_WATCH_TASK);
+    if (hasActive && !isRegistered) {
+      await BackgroundTask.registerTaskAsync(SEAT_WATCH_TASK, {
+        minimumInterval: WATCH_INTERVAL_OPTIONS[0]
+      });
+    } else if (!hasActive && isRegistered) {
+      await BackgroundTask.unregisterTaskAsync(SEAT_WATCH_TASK);
+    }
+  } catch (error) {
+    console.error('Error updating seat watch background task:', error);
+  }
+};
+
+/**
+ * Save the watch list and keep the background task in step with it
+ * @param {Array<Object>} watches - Every watch
+ * @returns {Promise<Array<Object>>} - The saved watches
+ */
+const saveWatches = async (watches) => {
+  await SeatWatchStorage.saveWatches(watches);
+  await syncSeatWatchTask(watches);
+  return watches;
+};
+
+/**
+ * Ask for permission to show seat alerts and set up their Android channel
+ * @returns {Promise<boolean>} - Whether notifications can be shown
+ */
+export const ensureNotificationPermission = async () => {
+  try {
+    await Notifications.setNotificationChannelAsync(SEAT_WATCH_CHANNEL_ID, {
+      name: 'Seat Watch',
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) {
+      return true;
+    }
+    if (!current.canAskAgain) {
+      return false;
+    }
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return false;
+  }
+};
+
+/**
+ * Save a new seat watch
+ * @param {Object} fields - Watch settings
+ * @param {string|null} fields.trainModel - Train to watch (null for any train on the pair)
+ * @param {string|null} fields.trainName - Train name for display
+ * @param {string} fields.origin - Boarding station
+ * @param {string} fields.destination - Alighting station
+ * @param {string} fields.date - Journey date in DD-MMM-YYYY format
+ * @param {string} fields.seatType - Seat class
+ * @param {number} fields.minSeats - Alert once at least this many seats are online
+ * @param {number} fields.intervalMinutes - Minutes between checks
+ * @returns {Promise<Array<Object>>} - Every watch, including the new one
+ */
+export const addSeatWatch = async ({
+  trainModel = null,
+  trainName = null,
+  origin,
+  destination,
+  date,
+  seatType,
+  minSeats = 1,
+  intervalMinutes = DEFAULT_WATCH_INTERVAL_MINUTES
+}) => {
+  const watches = await SeatWatchStorage.getWatches();
+  const watch = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    trainModel,
+    trainName,
+    origin,
+    destination,
+    date,
+    seatType,
+    minSeats: Math.max(1, minSeats),
+    intervalMinutes: Math.max(WATCH_INTERVAL_OPTIONS[0], intervalMinutes),
+    active: true,
+    createdAt: Date.now(),
+    lastCheckedAt: null,
+    lastSeats: null,
+    lastTrainName: null,
+    lastError: null,
+    history: []
+  };
+  return saveWatches([...watches, watch]);
+};
+
+/**
+ * Delete a seat watch
+ * @param {string} watchId - Watch ID
+ * @returns {Promise<Array<Object>>} - Remaining watches
+ */
+export const removeSeatWatch = async (watchId) => {
+  const watches = await SeatWatchStorage.getWatches();
+  return saveWatches(watches.filter(watch => watch.id !== watchId));
+};
+
+/**
+ * Pause or resume a seat watch
+ * @param {string} watchId - Watch ID
+ * @param {boolean} active - Whether the watch should be checked
+ * @returns {Promise<Array<Object>>} - Every watch
+ */
+export const setSeatWatchActive = async (watchId, active) => {
+  const watches = await SeatWatchStorage.getWatches();
+  return saveWatches(watches.map(watch => (watch.id === watchId ? { ...watch, active } : watch)));
+};
+
+/**
+ * Check the watches that are due, one after the other with a pause in
+ * between, and save the results. Results collected before a cancellation
+ * are still saved, so alerts already sent are not sent again.
+ * @param {boolean} force - Check every active watch, due or not
+ * @param {AbortSignal} signal - Abort signal for cancellation
+ * @returns {Promise<Array<Object>>} - Every watch after the run
+ */
+const checkDueWatches = async (force, signal) => {
+  const now = Date.now();
+  const today = getTodayString();
+  const watches = await SeatWatchStorage.getWatches();
+  const updates = {};
+  let canceledError = null;
+
+  watches
+    .filter(watch => watch.active && toSortableDate(watch.date) < today)
+    .forEach(watch => {
+      updates[watch.id] = { active: false };
+    });
+
+  const due = watches.filter(watch =>
+    watch.active && !updates[watch.id] &&
+    (force || !watch.lastCheckedAt || now - watch.lastCheckedAt >= watch.intervalMinutes * 60000));
+
+  for (let index = 0; index < due.length; index++) {
+    const watch = due[index];
+    if (index > 0) {
+      try {
+        await wait(WATCH_REQUEST_GAP_MS, signal);
+      } catch (error) {
+        canceledError = error;
+        break;
+      }
+    }
+
+    const checkedAt = Date.now();
+    try {
+      const check = await checkWatch(watch, signal);
+      const alerted = check.seats >= watch.minSeats && !(watch.lastSeats >= watch.minSeats);
+      if (alerted) {
+        await notifySeatsFound(watch, check);
+      }
+      updates[watch.id] = {
+        lastCheckedAt: checkedAt,
+        lastSeats: check.seats,
+        lastTrainName: check.trainName,
+        lastError: null,
+        history: [{ checkedAt, seats: check.seats, trainName: check.trainName, alerted, error: null }, ...watch.history]
+          .slice(0, MAX_WATCH_HISTORY)
+      };
+    } catch (error) {
+      if (isCanceledError(error)) {
+        canceledError = error;
+        break;
+      }
+      console.error(`Seat watch check failed for ${watch.origin} → ${watch.destination}:`, error);
+
+      // The seat count is left as it was so a failed check cannot cause a repeat alert
+      const lastError = { code: error?.code || null, message: error?.message || 'Unknown error' };
+      updates[watch.id] = {
+        lastCheckedAt: checkedAt,
+        lastError,
+        history: [{ checkedAt, seats: null, trainName: null, alerted: false, error: lastError }, ...watch.history]
+          .slice(0, MAX_WATCH_HISTORY)
+      };
+
+      // Missing or expired credentials fail every watch - try again next run
+      if (isAuthError(error)) {
+        break;
+      }
+    }
+  }
+
+  let result = watches;
+  if (Object.keys(updates).length > 0) {
+    // Apply the results to the latest list - watches may have been added,
+    // paused or deleted while the checks were running
+    const latest = await SeatWatchStorage.getWatches();
+    result = await saveWatches(latest.map(watch => (updates[watch.id] ? { ...watch, ...updates[watch.id] } : watch)));
+  }
+
+  if (canceledError) {
+    throw canceledError;
+  }
+  return result;
+};
+
+/**
+ * Check the watches that are due. A watch alerts when its seat count reaches
+ * the minimum after being below it, so a watch that stays above the minimum
+ * alerts once. Watches for past dates are paused.
+ * Calls during a run share it; a forced call during a due-only run is
+ * queued behind it, since that run may skip watches that are not due yet.
+ * @param {Object} options - Run options
+ * @param {boolean} options.force - Check every active watch, due or not
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @returns {Promise<Array<Object>>} - Every watch after the run
+ */
+export const runSeatWatches = async ({ force = false, signal = null } = {}) => {
+  if (runInProgress) {
+    if (!force || runInProgress.force) {
+      return runInProgress.promise;
+    }
+    if (!forcedRunQueued) {
+      forcedRunQueued = runInProgress.promise
+        .catch(() => {})
+        .then(() => {
+          forcedRunQueued = null;
+          return runSeatWatches({ force: true, signal });
+        });
+    }
+    return forcedRunQueued;
+  }
+
+  const promise = checkDueWatches(force, signal);
+  runInProgress = { promise, force };
+  try {
+    return await promise;
+  } finally {
+    if (runInProgress?.promise === promise) {
+      runInProgress = null;
+    }
+  }
+};
+
+/**
+ * Check due watches while the app is open: on start, whenever it comes back
+ * to the foreground, and once a minute
+ * @returns {Function} - Stops the polling
+ */
+export const startSeatWatchPolling = () => {
+  const runDue = () => {
+    runSeatWatches().catch(error => console.error('Seat watch run failed:', error));
+  };
+
+  runDue();
+  const timer = setInterval(() => {
+    if (AppState.currentState === 'active') runDue();
+  }, FOREGROUND_TICK_MS);
+  const subscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') runDue();
+  });
+
+  return () => {
+    clearInterval(timer);
+    subscription.remove();
+  };
+};
+
+/**
+ * Set up seat alerts for the whole app: show them while the app is open and
+ * define the background check. Call once from the app entry at load time, not
+ * from a component, so the task exists when Android starts the app only to run it.
+ */
+export const registerSeatWatchTask = () => {
+  if (taskRegistered) {
+    return;
+  }
+  taskRegistered = true;
+
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: true,
+      shouldShowList: true,
+      shouldPlaySound: true,
+      shouldSetBadge: false,
+    }),
+  });
+
+  TaskManager.defineTask(SEAT_WATCH_TASK, async () => {
+    try {
+      await runSeatWatches();
+      return BackgroundTask.BackgroundTaskResult.Success;
+    } catch (error) {
+      console.error('Seat watch background task failed:', error);
+      return BackgroundTask.BackgroundTaskResult.Failed;
+    }
+  });
+};
@@ -4,6 +4,8 @@ const STORAGE_KEYS = {
   AUTH_TOKEN: 'railway_auth_token',
   DEVICE_KEY: 'railway_device_key',
   DISMISSED_NOTICE_VERSION: 'dismissed_notice_version',
+  SEAT_CLASS_PREFERENCE: 'seat_class_preference',
+  SEAT_WATCHES: 'seat_watches',
 };
 
 export const RailwayAccountStorage = {
@@ -82,4 +84,71 @@ export const RailwayAccountStorage = {
       return false;
     }
   },
-};
\ No newline at end of file
+};
+
+export const SeatClassPreferenceStorage = {
+  /**
+   * Get the stored seat class preference
+   * @returns {Promise<{order: Array<string>, excluded: Array<string>}>} - Classes ranked best first, and classes never to use
+   */
+  async getPreference() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.SEAT_CLASS_PREFERENCE);
+      const preference = stored ? JSON.parse(stored) : {};
+      return {
+        order: Array.isArray(preference.order) ? preference.order : [],
+        excluded: Array.isArray(preference.excluded) ? preference.excluded : [],
+      };
+    } catch (error) {
+      console.error('Error getting seat class preference:', error);
+      return { order: [], excluded: [] };
+    }
+  },
+
+  /**
+   * Save the seat class preference
+   * @param {{order: Array<string>, excluded: Array<string>}} preference - Seat class preference
+   * @returns {Promise<boolean>} - Success status
+   */
+  async savePreference(preference) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.SEAT_CLASS_PREFERENCE, JSON.stringify(preference));
+      return true;
+    } catch (error) {
+      console.error('Error saving seat class preference:', error);
+      return false;
+    }
+  },
+};
+
+export const SeatWatchStorage = {
+  /**
+   * Get every saved seat watch
+   * @returns {Promise<Array<Object>>} - Watches, oldest first
+   */
+  async getWatches() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.SEAT_WATCHES);
+      const watches = stored ? JSON.parse(stored) : [];
+      return Array.isArray(watches) ? watches : [];
+    } catch (error) {
+      console.error('Error getting seat watches:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Replace the saved seat watches
+   * @param {Array<Object>} watches - Watches to save
+   * @returns {Promise<boolean>} - Success status
+   */
+  async saveWatches(watches) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.SEAT_WATCHES, JSON.stringify(watches));
+      return true;
+    } catch (error) {
+      console.error('Error saving seat watches:', error);
+      return false;
+    }
+  },
+};
@@ -0,0 +1,129 @@
+import { railwayRequest } from './railwayClient';
+import { CanceledError } from './railwayErrors';
+
+// search-trips-v2 returns every train on a pair, so one response can answer
+// every train and screen asking about the same pair for a short while
+const CACHE_TTL_MS = 60000;
+
+// Cache key -> { promise, settled, expiresAt, waiters, controller }
+const searchCache = new Map();
+
+/**
+ * Build the cache key for a search
+ * @param {string} fromCity - Origin station
+ * @param {string} toCity - Destination station
+ * @param {string} date - Journey date as sent to the API
+ * @param {string} seatClass - Seat class as sent to the API
+ * @returns {string}
+ */
+const getCacheKey = (fromCity, toCity, date, seatClass) => `${fromCity}|${toCity}|${date}|${seatClass}`;
+
+/**
+ * Start a shared request and put it in the cache
+ * @param {string} key - Cache key
+ * @param {Object} params - Query string parameters
+ * @param {number} maxAttempts - Attempts for retryable failures
+ * @returns {Object} - Cache entry
+ */
+const startSearch = (key, params, maxAttempts) => {
+  const entry = {
+    settled: false,
+    expiresAt: 0,
+    waiters: 0,
+    // Owned by the cache, not by any caller - see searchTrips
+    controller: new AbortController()
+  };
+
+  entry.promise = railwayRequest('/bookings/search-trips-v2', {
+    params,
+    maxAttempts,
+    signal: entry.controller.signal
+  }).then(
+    (data) => {
+      entry.settled = true;
+      entry.expiresAt = Date.now() + CACHE_TTL_MS;
+      return data;
+    },
+    (error) => {
+      // Failures are never cached - the next caller tries again
+      entry.settled = true;
+      if (searchCache.get(key) === entry) {
+        searchCache.delete(key);
+      }
+      throw error;
+    }
+  );
+  // Callers that gave up no longer listen - don't report their rejection as unhandled
+  entry.promise.catch(() => {});
+
+  searchCache.set(key, entry);
+  return entry;
+};
+
+/**
+ * Search trips between two stations through the shared response cache.
+ * Identical searches running at the same time share one request, and a
+ * finished response is reused for a short while. A caller's signal only
+ * cancels its own wait; the request itself is aborted once every caller
+ * waiting on it has canceled.
+ * @param {Object} search - Search parameters
+ * @param {string} search.fromCity - Origin station
+ * @param {string} search.toCity - Destination station
+ * @param {string} search.date - Journey date (DD-MMM-YYYY)
+ * @param {string} search.seatClass - Seat class (e.g. "S_CHAIR")
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Abort signal for cancellation
+ * @param {number} options.maxAttempts - Attempts for retryable failures
+ * @returns {Promise<Object>} - Parsed search-trips-v2 response (shared - do not mutate)
+ */
+export const searchTrips = async ({ fromCity, toCity, date, seatClass }, { signal = null, maxAttempts = 1 } = {}) => {
+  if (signal?.aborted) {
+    throw new CanceledError();
+  }
+
+  const key = getCacheKey(fromCity, toCity, date, seatClass);
+  let entry = searchCache.get(key);
+
+  if (!entry || (entry.settled && entry.expiresAt <= Date.now())) {
+    entry = startSearch(key, {
+      from_city: fromCity,
+      to_city: toCity,
+      date_of_journey: date,
+      seat_class: seatClass
+    }, maxAttempts);
+  }
+
+  if (entry.settled) {
+    return entry.promise;
+  }
+
+  entry.waiters++;
+  let onAbort = null;
+  const canceled = new Promise((_, reject) => {
+    onAbort = () => reject(new CanceledError());
+    signal?.addEventListener('abort', onAbort);
+  });
+
+  try {
+    return await Promise.race([entry.promise, canceled]);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    entry.waiters--;
+
+    // Nobody is waiting any more - stop the request instead of finishing it for nothing
+    if (entry.waiters === 0 && !entry.settled) {
+      entry.controller.abort();
+      if (searchCache.get(key) === entry) {
+        searchCache.delete(key);
+      }
+    }
+  }
+};
+
+/**
+ * Drop every cached search so the next request goes to the server.
+ * Used when the user explicitly asks for fresh data (pull to refresh).
+ */
+export const clearTripSearchCache = () => {
+  searchCache.clear();
+};